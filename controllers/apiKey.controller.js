@@ -0,0 +1,434 @@
+import { ApiKeyModel } from "../models/apiKey.model.js";
+import { actorOf } from "../utils/actor.utils.js";
+import { isActiveKey, issueApiKey } from "../utils/apiKeys.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { workspaceExists } from "../utils/workspaces.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "6717a1f4c2a8b5e2d4f0a456"
+ *         name:
+ *           type: string
+ *           example: "nightly-loader"
+ *         role:
+ *           type: string
+ *           enum: [reader, uploader, admin]
+ *           description: "`reader` can call the `/api` read endpoints, `uploader` can also upload and correct records, `admin` can also delete, change calendars, corporate actions and profiles, and manage keys"
+ *         prefix:
+ *           type: string
+ *           example: "sk_Q2x9fA"
+ *           description: Start of the key, to recognise it
+ *         active:
+ *           type: boolean
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *           description: Workspace the key is limited to; keys without one choose it with the `X-Workspace` header
+ *         limits:
+ *           $ref: '#/components/schemas/ApiKeyLimits'
+ *         created_by:
+ *           type: string
+ *         rotated_from:
+ *           type: string
+ *           nullable: true
+ *           description: Id of the key this one replaced
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ApiKeyLimits:
+ *       type: object
+ *       description: The key's own rate limits (see `GET /usage`). Unset or null limits use the server defaults; 0 lifts a limit.
+ *       properties:
+ *         requests_per_minute:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           example: 600
+ *         uploads_per_day:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           example: 200
+ *         rows_per_day:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           example: 5000000
+ *     IssuedApiKey:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             key:
+ *               type: string
+ *               example: "sk_Q2x9fA3kLm0pZ7rT1vYb8nWc5dEh4jGs"
+ *               description: The key to send in `X-API-Key`. It is only returned here and can't be read again.
+ */
+
+const formatKey = ({ _id, key_hash, createdAt, updatedAt, __v, ...apiKey }) => ({
+  id: _id,
+  ...apiKey,
+  active: isActiveKey(apiKey),
+  created_at: createdAt,
+});
+
+const notFound = (res, id) =>
+  sendError(res, 404, `No API key found with id '${id}'.`);
+
+// Admin keys limited to a workspace only see and manage keys of that
+// workspace; keys in other workspaces are treated as missing
+const keyScope = (req) =>
+  req.apiKey?.workspace ? { workspace: req.apiKey.workspace } : {};
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists the issued keys, newest first, without the keys themselves. Keys limited to a workspace only see and manage the keys of that workspace.
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: (Optional) Only keys that can (`true`) or can no longer (`false`) be used.
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Issue an API key
+ *     description: Creates a key with the given role. The key is in the response only; store it, as it can't be read again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "nightly-loader"
+ *                 description: Who or what uses the key; recorded as the actor of uploads and record changes made with it
+ *               role:
+ *                 type: string
+ *                 enum: [reader, uploader, admin]
+ *               workspace:
+ *                 type: string
+ *                 description: (Optional) Limit the key to this workspace. Keys issued with a key limited to a workspace are limited to the same one. A limited key cannot change trading calendars or corporate actions, which every workspace shares.
+ *               limits:
+ *                 $ref: '#/components/schemas/ApiKeyLimits'
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: (Optional) When the key stops working
+ *     responses:
+ *       201:
+ *         description: Key issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: Invalid name, role, limits or expiry
+ *       404:
+ *         description: No workspace with this name
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const keys = (await ApiKeyModel.find(keyScope(req)).sort({ _id: -1 }).lean()).map(
+      formatKey
+    );
+    res.status(200).json({
+      keys: active === undefined ? keys : keys.filter((key) => key.active === active),
+    });
+  } catch (error) {
+    console.error("Error in getApiKeys API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the API keys. Please try again later."
+    );
+  }
+};
+
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, role, limits = {}, expires_at = null } = req.body;
+    const bound = req.apiKey?.workspace;
+    if (bound && req.body.workspace && req.body.workspace !== bound) {
+      return sendError(res, 403, `This API key can only use the '${bound}' workspace.`);
+    }
+    // Keys issued by a workspace-bound key are bound to the same workspace
+    const workspace = bound || req.body.workspace;
+
+    if (workspace && !(await workspaceExists(workspace))) {
+      return sendError(res, 404, `No workspace named '${workspace}'.`);
+    }
+
+    const { apiKey, key } = await issueApiKey({
+      name,
+      role,
+      workspace,
+      limits,
+      expiresAt: expires_at,
+      createdBy: actorOf(req).actor,
+    });
+    res.status(201).json({ ...formatKey(apiKey.toObject()), key });
+  } catch (error) {
+    console.error("Error in createApiKey API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while issuing the API key. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Issues a new key with the same name, role, workspace and limits and retires the old one. By default the old key stops working right away; with `grace_seconds` it keeps working for that long so its users can switch over.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_seconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 604800
+ *                 default: 0
+ *                 description: (Optional) How long the old key keeps working
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: (Optional) When the new key stops working
+ *     responses:
+ *       201:
+ *         description: The new key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: Invalid id, grace period or expiry
+ *       404:
+ *         description: No key with this id
+ *       409:
+ *         description: The key was already revoked or has expired
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+export const rotateApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { grace_seconds: grace, expires_at = null } = req.body;
+
+    // Retire the old key first, so it can only be rotated once
+    const now = new Date();
+    const retireAt = new Date(now.getTime() + grace * 1000);
+    const previous = await ApiKeyModel.findOneAndUpdate(
+      {
+        _id: id,
+        ...keyScope(req),
+        revoked_at: null,
+        $or: [{ expires_at: null }, { expires_at: { $gt: now } }],
+      },
+      [
+        {
+          $set: grace
+            ? { expires_at: { $min: [{ $ifNull: ["$expires_at", retireAt] }, retireAt] } }
+            : { revoked_at: now },
+        },
+      ]
+    ).lean();
+
+    if (!previous) {
+      if (!(await ApiKeyModel.exists({ _id: id, ...keyScope(req) }))) {
+        return notFound(res, id);
+      }
+      return sendError(res, 409, "The API key was already revoked or has expired.");
+    }
+
+    const { apiKey, key } = await issueApiKey({
+      name: previous.name,
+      role: previous.role,
+      workspace: previous.workspace,
+      limits: previous.limits,
+      expiresAt: expires_at,
+      createdBy: actorOf(req).actor,
+      rotatedFrom: previous._id,
+    });
+    res.status(201).json({ ...formatKey(apiKey.toObject()), key });
+  } catch (error) {
+    console.error("Error in rotateApiKey API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while rotating the API key. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   patch:
+ *     summary: Change an API key's name or limits
+ *     description: Only the given limits change; set one to null to go back to the server default. The key itself stays the same.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               limits:
+ *                 $ref: '#/components/schemas/ApiKeyLimits'
+ *     responses:
+ *       200:
+ *         description: The updated key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid id, name or limits
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No key with this id
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working right away. It stays listed, with its `revoked_at`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Key revoked
+ *       400:
+ *         description: Invalid id
+ *       404:
+ *         description: No key with this id
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+export const updateApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, limits = {} } = req.body;
+
+    const apiKey = await ApiKeyModel.findOneAndUpdate(
+      { _id: id, ...keyScope(req) },
+      {
+        ...(name !== undefined && { name }),
+        ...Object.fromEntries(
+          Object.entries(limits).map(([limit, value]) => [`limits.${limit}`, value])
+        ),
+      },
+      { new: true }
+    ).lean();
+    if (!apiKey) return notFound(res, id);
+
+    res.status(200).json(formatKey(apiKey));
+  } catch (error) {
+    console.error("Error in updateApiKey API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while updating the API key. Please try again later."
+    );
+  }
+};
+
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const apiKey = await ApiKeyModel.findOne({ _id: id, ...keyScope(req) });
+    if (!apiKey) return notFound(res, id);
+
+    if (!apiKey.revoked_at) {
+      apiKey.revoked_at = new Date();
+      await apiKey.save();
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error in revokeApiKey API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while revoking the API key. Please try again later."
+    );
+  }
+};
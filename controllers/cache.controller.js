@@ -0,0 +1,110 @@
+import {
+  clearCache,
+  invalidateCachedResults,
+  readCacheStats,
+} from "../utils/cache.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+
+/**
+ * @swagger
+ * /api/cache:
+ *   get:
+ *     summary: Get result cache statistics
+ *     description: |
+ *       The analytics endpoints (`/api/stats`, `/api/candles`, `/api/leaders`, ...) keep their results in a cache keyed by path, workspace and normalized query. Uploads, record edits, rollbacks and workspace merges drop the entries whose workspace, symbols and dates they touch; corporate action changes drop the entries of their symbols and calendar changes drop everything.
+ *
+ *       Cached responses carry an `ETag`, and requests sending it back in `If-None-Match` get a 304 while it is current. `X-Cache` tells whether a response came from the cache (`HIT`) or was computed (`MISS`).
+ *
+ *       The cache holds `CACHE_MAX_ENTRIES` entries (0 disables it) for at most `CACHE_TTL_SECONDS`. Counts are kept since the server started.
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 store:
+ *                   type: string
+ *                   example: "memory"
+ *                 entries:
+ *                   type: integer
+ *                   nullable: true
+ *                   example: 214
+ *                 ttl_seconds:
+ *                   type: integer
+ *                   nullable: true
+ *                   example: 3600
+ *                 hits:
+ *                   type: integer
+ *                   example: 5120
+ *                 misses:
+ *                   type: integer
+ *                   example: 830
+ *                 stores:
+ *                   type: integer
+ *                   description: Computed results added to the cache
+ *                   example: 815
+ *                 invalidated:
+ *                   type: integer
+ *                   description: Entries dropped because the data they came from changed
+ *                   example: 601
+ *                 hit_rate:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 0.86
+ *                 max_entries:
+ *                   type: integer
+ *                   example: 1000
+ *                 evictions:
+ *                   type: integer
+ *                   description: Least recently used entries dropped to make room
+ *                   example: 0
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Empty the result cache
+ *     description: Drops every cached result, or only those of its workspace when the API key is limited to one.
+ *     responses:
+ *       204:
+ *         description: Cache emptied
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+export const getCacheStats = async (req, res) => {
+  try {
+    res.status(200).json(await readCacheStats());
+  } catch (error) {
+    console.error("Error in getCacheStats API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while reading the cache statistics. Please try again later."
+    );
+  }
+};
+
+export const deleteCache = async (req, res) => {
+  try {
+    // A key limited to a workspace only drops that workspace's results
+    if (req.apiKey?.workspace) {
+      await invalidateCachedResults({ workspace: req.apiKey.workspace });
+    } else {
+      await clearCache();
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in deleteCache API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while emptying the cache. Please try again later."
+    );
+  }
+};
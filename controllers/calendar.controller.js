@@ -0,0 +1,473 @@
+import mongoose from "mongoose";
+import { TradingCalendarModel } from "../models/tradingCalendar.model.js";
+import { clearCache } from "../utils/cache.utils.js";
+import { invalidateCalendar, readCalendarCSV } from "../utils/calendar.utils.js";
+import { sendError, validationDetails } from "../utils/errors.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     exchange:
+ *       in: query
+ *       name: exchange
+ *       required: false
+ *       schema:
+ *         type: string
+ *         example: "NSE"
+ *       description: (Optional) Exchange whose trading calendar is used (see `/api/calendars`). Defaults to the `DEFAULT_EXCHANGE` setting (NSE). Exchanges without a stored calendar trade Monday to Friday.
+ *     lastNTradingDays:
+ *       in: query
+ *       name: last_n_trading_days
+ *       required: false
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 10000
+ *         example: 20
+ *       description: (Optional) Instead of `start_date`, cover the last N trading days up to `end_date` (or today) on the `exchange` calendar.
+ *   schemas:
+ *     TradingCalendar:
+ *       type: object
+ *       properties:
+ *         exchange:
+ *           type: string
+ *           example: "NSE"
+ *         description:
+ *           type: string
+ *           example: "National Stock Exchange of India"
+ *         weekend_days:
+ *           type: array
+ *           description: Days of the week without regular sessions (0 = Sunday ... 6 = Saturday)
+ *           items:
+ *             type: integer
+ *           example: [0, 6]
+ *         days:
+ *           type: array
+ *           description: Holidays and special sessions, by date
+ *           items:
+ *             $ref: '#/components/schemas/CalendarDay'
+ *     CalendarDay:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-26"
+ *         type:
+ *           type: string
+ *           enum: [holiday, special_session]
+ *           example: holiday
+ *         description:
+ *           type: string
+ *           example: "Republic Day"
+ */
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+const notFound = (res, exchange) =>
+  sendError(
+    res,
+    404,
+    `No calendar stored for exchange '${exchange}'; weekdays are treated as trading days.`
+  );
+
+const handleCalendarError = (res, error, action) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return sendError(res, 400, `Invalid calendar: ${error.message}`, {
+      code: "validation_error",
+      details: validationDetails(error),
+    });
+  }
+  console.error(`Error in ${action} API:`, error);
+  sendError(
+    res,
+    500,
+    "An error occurred while managing calendars. Please try again later."
+  );
+};
+
+// Forget what was derived from a calendar that changed, including cached
+// results whose trading-day ranges were resolved with it
+const calendarChanged = async (exchange) => {
+  invalidateCalendar(exchange);
+  await clearCache();
+};
+
+const sortDays = (days) => [...days].sort((a, b) => a.date - b.date);
+
+const formatCalendar = ({ exchange, description, weekend_days, days }, year) => ({
+  exchange,
+  description,
+  weekend_days,
+  days: sortDays(days)
+    .filter(({ date }) => !year || date.getUTCFullYear() === year)
+    .map(({ date, type, description }) => ({
+      date: formatDay(date),
+      type,
+      description,
+    })),
+});
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   get:
+ *     summary: List the stored trading calendars
+ *     responses:
+ *       200:
+ *         description: Calendars with the number of holidays and special sessions each holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 calendars:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       exchange:
+ *                         type: string
+ *                         example: "NSE"
+ *                       description:
+ *                         type: string
+ *                       weekend_days:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       holidays:
+ *                         type: integer
+ *                         example: 15
+ *                       special_sessions:
+ *                         type: integer
+ *                         example: 1
+ */
+export const getCalendars = async (req, res) => {
+  try {
+    const calendars = await TradingCalendarModel.find().sort({ exchange: 1 }).lean();
+    res.status(200).json({
+      calendars: calendars.map(({ exchange, description, weekend_days, days }) => ({
+        exchange,
+        description,
+        weekend_days,
+        holidays: days.filter((day) => day.type === "holiday").length,
+        special_sessions: days.filter((day) => day.type === "special_session").length,
+      })),
+    });
+  } catch (error) {
+    handleCalendarError(res, error, "getCalendars");
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}:
+ *   get:
+ *     summary: Get an exchange's trading calendar
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "NSE"
+ *       - in: query
+ *         name: year
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 2024
+ *         description: (Optional) Only list the holidays and special sessions of this year.
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradingCalendar'
+ *       404:
+ *         description: No calendar is stored for the exchange
+ *   put:
+ *     summary: Create or update an exchange's trading calendar
+ *     description: Sets the calendar's description and weekend days; holidays are loaded with `POST /api/calendars/{exchange}/days`.
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "NSE"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 example: "National Stock Exchange of India"
+ *               weekend_days:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 example: [0, 6]
+ *     responses:
+ *       200:
+ *         description: Calendar updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradingCalendar'
+ *       201:
+ *         description: Calendar created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradingCalendar'
+ *       400:
+ *         description: Invalid exchange name or weekend days
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an exchange's trading calendar
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "NSE"
+ *     responses:
+ *       204:
+ *         description: Calendar deleted; the exchange falls back to Monday-to-Friday trading
+ *       404:
+ *         description: No calendar is stored for the exchange
+ */
+export const getCalendar = async (req, res) => {
+  try {
+    const { exchange } = req.params;
+    const { year } = req.query;
+
+    const calendar = await TradingCalendarModel.findOne({ exchange }).lean();
+    if (!calendar) return notFound(res, exchange);
+    res.status(200).json(formatCalendar(calendar, year));
+  } catch (error) {
+    handleCalendarError(res, error, "getCalendar");
+  }
+};
+
+export const putCalendar = async (req, res) => {
+  try {
+    const { exchange } = req.params;
+    const { description, weekend_days } = req.body || {};
+
+    let calendar = await TradingCalendarModel.findOne({ exchange });
+    const created = !calendar;
+    if (created) calendar = new TradingCalendarModel({ exchange });
+
+    if (description !== undefined) calendar.description = description;
+    if (weekend_days !== undefined) calendar.weekend_days = weekend_days;
+    await calendar.save();
+    await calendarChanged(exchange);
+
+    res.status(created ? 201 : 200).json(formatCalendar(calendar));
+  } catch (error) {
+    handleCalendarError(res, error, "putCalendar");
+  }
+};
+
+export const deleteCalendar = async (req, res) => {
+  try {
+    const { exchange } = req.params;
+    const { deletedCount } = await TradingCalendarModel.deleteOne({ exchange });
+    if (deletedCount === 0) return notFound(res, exchange);
+    await calendarChanged(exchange);
+    res.status(204).end();
+  } catch (error) {
+    handleCalendarError(res, error, "deleteCalendar");
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}/days:
+ *   post:
+ *     summary: Load holidays and special sessions from a CSV file
+ *     description: |
+ *       Reads a holiday list with a `Date` column (YYYY-MM-DD, DD-MMM-YYYY, DD-MM-YYYY or DD/MM/YYYY) and optional `Description` and `Type` columns, where type is `holiday` (the default) or `special_session`. NSE's published holiday list can be loaded as is.
+ *
+ *       Days are merged into the calendar by date, creating the calendar if needed. With `replace=true`, the calendar's existing days in the years the file covers are removed first. Nothing is written when any row is invalid.
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "NSE"
+ *       - in: query
+ *         name: replace
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: (Optional) Replace the existing days of the years in the file.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csvFile:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Days loaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exchange:
+ *                   type: string
+ *                   example: "NSE"
+ *                 added:
+ *                   type: integer
+ *                   example: 14
+ *                 updated:
+ *                   type: integer
+ *                   example: 1
+ *                 removed:
+ *                   type: integer
+ *                   example: 0
+ *                 holidays:
+ *                   type: integer
+ *                   description: Holidays in the calendar after loading
+ *                 special_sessions:
+ *                   type: integer
+ *                   description: Special sessions in the calendar after loading
+ *       400:
+ *         description: No file uploaded or invalid rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "invalid_file", "message": "Invalid holiday list"}}
+ */
+export const uploadCalendarDays = async (req, res) => {
+  try {
+    const { exchange } = req.params;
+    const { replace } = req.query;
+
+    const { days, errors } = await readCalendarCSV(req.file.buffer);
+    if (errors.length > 0) {
+      return sendError(res, 400, "Invalid holiday list", {
+        code: "invalid_file",
+        details: errors,
+      });
+    }
+
+    const calendar =
+      (await TradingCalendarModel.findOne({ exchange })) ||
+      new TradingCalendarModel({ exchange });
+
+    // Existing days by date, minus the replaced years
+    const years = new Set(days.map(({ date }) => date.getUTCFullYear()));
+    const existing = new Map();
+    let removed = 0;
+    calendar.days.forEach((day) => {
+      if (replace && years.has(day.date.getUTCFullYear())) {
+        removed++;
+      } else {
+        existing.set(formatDay(day.date), day);
+      }
+    });
+
+    let added = 0;
+    let updated = 0;
+    const incoming = new Map(days.map((day) => [formatDay(day.date), day]));
+    incoming.forEach((day, key) => {
+      if (existing.has(key)) {
+        updated++;
+      } else {
+        added++;
+      }
+      existing.set(key, day);
+    });
+
+    calendar.days = sortDays([...existing.values()]).map(
+      ({ date, type, description }) => ({ date, type, description })
+    );
+    await calendar.save();
+    await calendarChanged(exchange);
+
+    res.status(200).json({
+      exchange,
+      added,
+      updated,
+      removed,
+      holidays: calendar.days.filter((day) => day.type === "holiday").length,
+      special_sessions: calendar.days.filter((day) => day.type === "special_session")
+        .length,
+    });
+  } catch (error) {
+    handleCalendarError(res, error, "uploadCalendarDays");
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}/days/{date}:
+ *   delete:
+ *     summary: Remove a holiday or special session
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "NSE"
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-26"
+ *     responses:
+ *       204:
+ *         description: Day removed
+ *       404:
+ *         description: The calendar doesn't list the date
+ */
+export const deleteCalendarDay = async (req, res) => {
+  try {
+    const { exchange } = req.params;
+    const { date } = req.params;
+
+    const calendar = await TradingCalendarModel.findOne({ exchange });
+    if (!calendar) return notFound(res, exchange);
+
+    const remaining = calendar.days.filter((day) => formatDay(day.date) !== date);
+    if (remaining.length === calendar.days.length) {
+      return sendError(
+        res,
+        404,
+        `The ${exchange} calendar has no holiday or special session on '${date}'.`
+      );
+    }
+
+    calendar.days = remaining;
+    await calendar.save();
+    await calendarChanged(exchange);
+    res.status(204).end();
+  } catch (error) {
+    handleCalendarError(res, error, "deleteCalendarDay");
+  }
+};
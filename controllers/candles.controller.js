@@ -0,0 +1,206 @@
+import { RecordModel } from "../models/record.model.js";
+import { candleStages, parseInterval } from "../utils/candles.utils.js";
+import {
+  adjustmentStages,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { canUseRollupCandles, rollupCandles } from "../utils/rollups.utils.js";
+
+/**
+ * @swagger
+ * /api/candles:
+ *   get:
+ *     summary: Get OHLCV bars for a symbol
+ *     description: Resamples the daily records of a symbol into weekly, monthly, quarterly or yearly bars. Each bar opens at its first trading day's open and closes at its last trading day's close, with the highest high, lowest low, summed volume, turnover and trades, and a volume-weighted VWAP. Weeks start on Monday. Each series is resampled separately. Unadjusted monthly, quarterly and yearly bars are built from the monthly rollups (see `/api/rollups/rebuild`) for the whole months of the range, and from the records for the partial months at its ends.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE"
+ *         description: Stock symbol to build bars for.
+ *       - in: query
+ *         name: start_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: Start date for the date range (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^\\d*(w|M|Q|Y)$"
+ *           example: "1w"
+ *         description: Bar size. `w` is weeks, `M` months, `Q` quarters and `Y` years, optionally prefixed with a multiple (e.g. `2w`, `6M`).
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "EQ"
+ *         description: (Optional) Only use records of this series.
+ *     responses:
+ *       200:
+ *         description: Bars in chronological order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "RELIANCE"
+ *                 interval:
+ *                   type: string
+ *                   example: "1w"
+ *                 start_date:
+ *                   type: string
+ *                   example: "2024-01-01"
+ *                 end_date:
+ *                   type: string
+ *                   example: "2024-12-31"
+ *                 candles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       series:
+ *                         type: string
+ *                         example: "EQ"
+ *                       period_start:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-01-01"
+ *                       first_date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-01-01"
+ *                       last_date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-01-05"
+ *                       open:
+ *                         type: number
+ *                       high:
+ *                         type: number
+ *                       low:
+ *                         type: number
+ *                       close:
+ *                         type: number
+ *                       volume:
+ *                         type: number
+ *                       turnover:
+ *                         type: number
+ *                       trades:
+ *                         type: number
+ *                       vwap:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Volume-weighted VWAP of the bar; null when the bar has no volume
+ *                       days:
+ *                         type: integer
+ *                         description: Number of trading days in the bar
+ *       400:
+ *         description: Missing required query parameters, invalid date format or unknown interval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'interval'. It must be a number followed by w, M, Q or Y (e.g. 1w, 1M, 1Q, 1Y)."}}
+ *       404:
+ *         description: No records found for the given symbol within the date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'RELIANCE' within the date range."}}
+ *       500:
+ *         description: Error building the bars
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while building the candles. Please try again later."}}
+ */
+
+const formatDate = (date) => date.toISOString().split("T")[0];
+
+export const getCandles = async (req, res) => {
+  try {
+    const { start_date, end_date, symbol, interval, series } = req.query;
+
+    const bar = parseInterval(interval);
+    const adjusted = isAdjusted(req.query);
+    const fromRollups =
+      !adjusted && canUseRollupCandles(bar)
+        ? await rollupCandles(
+            { workspace: req.workspace, symbol, series, start_date, end_date },
+            bar
+          )
+        : null;
+
+    const result =
+      fromRollups ||
+      (await RecordModel.aggregate([
+        {
+          $match: {
+            workspace: req.workspace,
+            date: { $gte: new Date(start_date), $lte: new Date(end_date) },
+            symbol,
+            ...(series && { series }),
+          },
+        },
+        ...(adjusted
+          ? adjustmentStages(await loadAdjustmentSchedule([symbol], req.workspace))
+          : []),
+        ...candleStages(bar),
+      ]));
+
+    if (result.length === 0) {
+      return sendError(
+        res,
+        404,
+        `No records found for symbol '${symbol}' within the date range.`
+      );
+    }
+
+    res.status(200).json({
+      symbol,
+      interval,
+      ...(adjusted && { adjusted: true }),
+      start_date,
+      end_date,
+      candles: result.map((candle) => ({
+        ...candle,
+        period_start: formatDate(candle.period_start),
+        first_date: formatDate(candle.first_date),
+        last_date: formatDate(candle.last_date),
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getCandles API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while building the candles. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,382 @@
+import mongoose from "mongoose";
+import { CorporateActionModel } from "../models/corporateAction.model.js";
+import { invalidateCachedResults } from "../utils/cache.utils.js";
+import { readCorporateActionsCSV } from "../utils/corporateActions.utils.js";
+import { sendError, validationDetails } from "../utils/errors.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     adjusted:
+ *       in: query
+ *       name: adjusted
+ *       required: false
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: (Optional) Back-adjust prices (`open`, `high`, `low`, `last`, `close`, `vwap`, `prev_close`) and volumes (`volume`, `deliverable`) for the splits, bonuses and dividends in `/api/corporate_actions`. Adjustments are applied when the data is read; stored records keep their raw values.
+ *   schemas:
+ *     CorporateAction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6718f0c2a1b2c3d4e5f60718"
+ *         symbol:
+ *           type: string
+ *           example: "RELIANCE"
+ *         ex_date:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-28"
+ *           description: First trading day without the entitlement; records before it are adjusted
+ *         type:
+ *           type: string
+ *           enum: [split, bonus, dividend]
+ *           example: bonus
+ *         ratio_new:
+ *           type: number
+ *           example: 1
+ *           description: Split - shares after the split; bonus - bonus shares issued per `ratio_old` held
+ *         ratio_old:
+ *           type: number
+ *           example: 1
+ *           description: Split - shares before the split; bonus - shares held per `ratio_new` bonus shares
+ *         amount:
+ *           type: number
+ *           example: 10
+ *           description: Dividend per share (dividends only)
+ *         description:
+ *           type: string
+ *           example: "Bonus 1:1"
+ */
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+const formatAction = ({ __v, ex_date, ...action }) => ({
+  ...action,
+  ex_date: formatDay(ex_date),
+});
+
+// Fields a client may set on an action
+const pickActionFields = (body = {}) =>
+  Object.fromEntries(
+    ["symbol", "ex_date", "type", "ratio_new", "ratio_old", "amount", "description"]
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]])
+  );
+
+// Adjusted prices of a symbol depend on its actions, in every workspace
+const actionsChanged = (symbols) => invalidateCachedResults({ symbols });
+
+const notFound = (res, id) =>
+  sendError(res, 404, `No corporate action found with id '${id}'.`);
+
+const handleActionError = (res, error, action) => {
+  if (
+    error instanceof mongoose.Error.ValidationError ||
+    error instanceof mongoose.Error.CastError
+  ) {
+    return sendError(res, 400, `Invalid corporate action: ${error.message}`, {
+      code: "validation_error",
+      details: validationDetails(error),
+    });
+  }
+  if (error.code === 11000) {
+    return sendError(
+      res,
+      409,
+      "A corporate action of this type already exists for the symbol and ex date."
+    );
+  }
+  console.error(`Error in ${action} API:`, error);
+  sendError(
+    res,
+    500,
+    "An error occurred while managing corporate actions. Please try again later."
+  );
+};
+
+/**
+ * @swagger
+ * /api/corporate_actions:
+ *   get:
+ *     summary: List corporate actions
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE"
+ *         description: (Optional) Only list actions of this symbol.
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [split, bonus, dividend]
+ *         description: (Optional) Only list actions of this type.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: (Optional) Only list actions going ex on or after this date.
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: (Optional) Only list actions going ex on or before this date.
+ *     responses:
+ *       200:
+ *         description: Actions ordered by symbol and ex date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 actions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CorporateAction'
+ *       400:
+ *         description: Invalid type or date
+ *   post:
+ *     summary: Add a corporate action
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CorporateAction'
+ *     responses:
+ *       201:
+ *         description: Action added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CorporateAction'
+ *       400:
+ *         description: Invalid action
+ *       409:
+ *         description: The symbol already has an action of this type on the ex date
+ */
+export const getCorporateActions = async (req, res) => {
+  try {
+    const { symbol, type, start_date, end_date } = req.query;
+
+    const filter = {
+      ...(symbol && { symbol }),
+      ...(type && { type }),
+      ...((start_date || end_date) && {
+        ex_date: {
+          ...(start_date && { $gte: new Date(start_date) }),
+          ...(end_date && { $lte: new Date(end_date) }),
+        },
+      }),
+    };
+
+    const actions = await CorporateActionModel.find(filter)
+      .sort({ symbol: 1, ex_date: 1 })
+      .lean();
+    res.status(200).json({ actions: actions.map(formatAction) });
+  } catch (error) {
+    handleActionError(res, error, "getCorporateActions");
+  }
+};
+
+export const createCorporateAction = async (req, res) => {
+  try {
+    const action = await CorporateActionModel.create(pickActionFields(req.body));
+    await actionsChanged([action.symbol]);
+    res.status(201).json(formatAction(action.toObject()));
+  } catch (error) {
+    handleActionError(res, error, "createCorporateAction");
+  }
+};
+
+/**
+ * @swagger
+ * /api/corporate_actions/{id}:
+ *   get:
+ *     summary: Get a corporate action
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CorporateAction'
+ *       404:
+ *         description: No action with this id
+ *   put:
+ *     summary: Update a corporate action
+ *     description: Replaces the given fields; adjusted analytics pick up the change on their next request.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CorporateAction'
+ *     responses:
+ *       200:
+ *         description: Action updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CorporateAction'
+ *       400:
+ *         description: Invalid action
+ *       404:
+ *         description: No action with this id
+ *       409:
+ *         description: The symbol already has an action of this type on the ex date
+ *   delete:
+ *     summary: Delete a corporate action
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Action deleted
+ *       404:
+ *         description: No action with this id
+ */
+export const getCorporateAction = async (req, res) => {
+  try {
+    const action = await CorporateActionModel.findById(req.params.id).lean();
+    if (!action) return notFound(res, req.params.id);
+    res.status(200).json(formatAction(action));
+  } catch (error) {
+    handleActionError(res, error, "getCorporateAction");
+  }
+};
+
+export const updateCorporateAction = async (req, res) => {
+  try {
+    const action = await CorporateActionModel.findById(req.params.id);
+    if (!action) return notFound(res, req.params.id);
+
+    const previousSymbol = action.symbol;
+    action.set(pickActionFields(req.body));
+    await action.save();
+    await actionsChanged([previousSymbol, action.symbol]);
+    res.status(200).json(formatAction(action.toObject()));
+  } catch (error) {
+    handleActionError(res, error, "updateCorporateAction");
+  }
+};
+
+export const deleteCorporateAction = async (req, res) => {
+  try {
+    const action = await CorporateActionModel.findByIdAndDelete(req.params.id);
+    if (!action) return notFound(res, req.params.id);
+    await actionsChanged([action.symbol]);
+    res.status(204).end();
+  } catch (error) {
+    handleActionError(res, error, "deleteCorporateAction");
+  }
+};
+
+/**
+ * @swagger
+ * /api/corporate_actions/upload:
+ *   post:
+ *     summary: Import corporate actions from a CSV file
+ *     description: |
+ *       Reads a list with `Symbol`, `Ex Date` (YYYY-MM-DD, DD-MMM-YYYY, DD-MM-YYYY or DD/MM/YYYY) and `Type` (`split`, `bonus` or `dividend`) columns, plus `Ratio` as `new:old` for splits and bonuses (e.g. `5:1` for a split of one share into five, `1:1` for one bonus share per share held), `Amount` per share for dividends and an optional `Description`.
+ *
+ *       Actions are matched by symbol, ex date and type: existing ones are updated and new ones added. Nothing is written when any row is invalid.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csvFile:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Actions imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inserted:
+ *                   type: integer
+ *                   example: 12
+ *                 updated:
+ *                   type: integer
+ *                   example: 2
+ *       400:
+ *         description: No file uploaded or invalid rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "invalid_file", "message": "Invalid corporate actions list"}}
+ */
+export const uploadCorporateActions = async (req, res) => {
+  try {
+    const { actions, errors } = await readCorporateActionsCSV(req.file.buffer);
+
+    // Check every row against the model before writing any of them
+    actions.forEach(({ line, ...action }) => {
+      const invalid = new CorporateActionModel(action).validateSync();
+      if (invalid) {
+        Object.values(invalid.errors).forEach(({ message }) =>
+          errors.push({ line, message })
+        );
+      }
+    });
+
+    if (errors.length > 0) {
+      return sendError(res, 400, "Invalid corporate actions list", {
+        code: "invalid_file",
+        details: errors.sort((a, b) => a.line - b.line),
+      });
+    }
+
+    const result = await CorporateActionModel.bulkWrite(
+      actions.map(({ line, symbol, ex_date, type, ...fields }) => ({
+        updateOne: {
+          filter: { symbol, ex_date, type },
+          update: { $set: fields },
+          upsert: true,
+        },
+      }))
+    );
+
+    await actionsChanged([...new Set(actions.map(({ symbol }) => symbol))]);
+
+    res.status(200).json({
+      inserted: result.upsertedCount,
+      updated: result.matchedCount,
+    });
+  } catch (error) {
+    handleActionError(res, error, "uploadCorporateActions");
+  }
+};
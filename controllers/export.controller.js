@@ -0,0 +1,149 @@
+import zlib from "zlib";
+import { pipeline } from "stream";
+import { RecordModel } from "../models/record.model.js";
+import { sendError } from "../utils/errors.utils.js";
+import { EXPORT_FORMATS } from "../utils/export.utils.js";
+import { writeChunk } from "../utils/http.utils.js";
+import { recordFilter } from "../utils/recordQuery.utils.js";
+
+/**
+ * @swagger
+ * /api/export:
+ *   get:
+ *     summary: Export stored records
+ *     description: |
+ *       Streams the records matching the filters, ordered by symbol, series and date, with the column names of the upload format (`Date`, `Symbol`, `Series`, `Prev Close`, ..., `Deliverable Volume`, `%Deliverble`) and dates as YYYY-MM-DD. A CSV or NDJSON export of all fields can be uploaded to `/upload` again as is.
+ *
+ *       - `csv`: the NSE CSV layout.
+ *       - `ndjson`: one JSON object per line.
+ *       - `columnar`: one JSON document holding the values column by column, in row groups: `{"columns": [...], "row_groups": [{"rows": 10000, "data": {"Date": [...], ...}}], "rows": 25000}`.
+ *
+ *       The response is gzip-compressed when the client sends `Accept-Encoding: gzip`. The record filters of `/api/records` (`series`, `min_<field>`, `max_<field>`, `warning`) are accepted too.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, columnar]
+ *           default: csv
+ *         description: (Optional) Output format.
+ *       - in: query
+ *         name: symbol
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE,TCS"
+ *         description: (Optional) Comma-separated symbols to export; all symbols by default.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: (Optional) Only export records on or after this date (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: (Optional) Only export records on or before this date (YYYY-MM-DD).
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "date,symbol,close,volume"
+ *         description: (Optional) Comma-separated record fields to export, in the given order; all fields by default.
+ *     responses:
+ *       200:
+ *         description: The records, streamed
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 Date,Symbol,Series,Prev Close,Open,High,Low,Last,Close,VWAP,Volume,Turnover,Trades,Deliverable Volume,%Deliverble
+ *                 2024-01-01,RELIANCE,EQ,2584.95,2590,2610,2583.1,2603,2601.7,2598.94,3521477,915225542290000,125462,1850311,0.5254
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid format, filter or fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'format'. It must be one of: csv, ndjson, columnar."}}
+ *       500:
+ *         description: Error reading the records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while exporting the records. Please try again later."}}
+ */
+
+export const exportRecords = async (req, res) => {
+  const { format, fields } = req.query;
+  const filter = recordFilter(req.query);
+
+  const { contentType, extension, create } = EXPORT_FORMATS[format];
+  const exporter = create(fields);
+  const cursor = RecordModel.find({ ...filter, workspace: req.workspace })
+    .select(fields)
+    .sort({ symbol: 1, series: 1, date: 1 })
+    .lean()
+    .cursor();
+  const records = cursor[Symbol.asyncIterator]();
+  let output = res;
+
+  try {
+    // Read the first record before responding, so a failing query still gets a 500
+    let next = await records.next();
+
+    res.status(200);
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="records.${extension}"`);
+    res.set("Vary", "Accept-Encoding");
+    if (req.acceptsEncodings("gzip", "identity") === "gzip") {
+      res.set("Content-Encoding", "gzip");
+      output = zlib.createGzip();
+      pipeline(output, res, () => {});
+    }
+
+    const write = (chunk) => (chunk ? writeChunk(output, chunk) : true);
+
+    // Stop reading when the client has gone away
+    let open = await write(exporter.start());
+    while (open && !next.done) {
+      open = await write(exporter.write(next.value));
+      if (open) next = await records.next();
+    }
+    if (!open) {
+      await cursor.close();
+      return;
+    }
+
+    await write(exporter.end());
+    output.end();
+  } catch (error) {
+    console.error("Error in exportRecords API:", error);
+    await cursor.close();
+    if (res.headersSent || output !== res) {
+      return res.destroy(error);
+    }
+    sendError(
+      res,
+      500,
+      "An error occurred while exporting the records. Please try again later."
+    );
+  }
+};
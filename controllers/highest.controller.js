@@ -1,4 +1,10 @@
 import { RecordModel } from "../models/record.model.js";
+import {
+  adjustmentStages,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError } from "../utils/errors.utils.js";
 
 /**
  * @swagger
@@ -7,6 +13,7 @@ import { RecordModel } from "../models/record.model.js";
  *     summary: Retrieve the highest trading volume
  *     description: Fetches the highest trading volume for a given date range and optional stock symbol. Results can be limited to a specific number of records.
  *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
  *       - in: query
  *         name: start_date
  *         required: true
@@ -23,6 +30,9 @@ import { RecordModel } from "../models/record.model.js";
  *           format: date
  *           example: "2024-10-31"
  *         description: End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
  *       - in: query
  *         name: symbol
  *         required: false
@@ -65,31 +75,22 @@ import { RecordModel } from "../models/record.model.js";
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Missing required query parameters: 'start_date' and 'end_date' are required."
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "'start_date' is required. 'end_date' is required."}}
  *       404:
  *         description: No records found for the given criteria
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "No records found for the given criteria."
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for the given criteria."}}
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "An error occurred while fetching the highest volume. Please try again later."
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while fetching the highest volume. Please try again later."}}
  */
 
 export const getHighest = async (req, res) => {
@@ -97,46 +98,32 @@ export const getHighest = async (req, res) => {
     console.log("Get Highest API");
     const { start_date, end_date, symbol, limit } = req.query;
 
-    // Check if required query parameters are provided
-    if (!start_date || !end_date) {
-      return res.status(400).json({
-        message:
-          "Missing required query parameters: 'start_date' and 'end_date' are required.",
-      });
-    }
-
-    // Validate the date format
-    const startDateValid = !isNaN(new Date(start_date).getTime());
-    const endDateValid = !isNaN(new Date(end_date).getTime());
-
-    if (!startDateValid || !endDateValid) {
-      return res.status(400).json({
-        message:
-          "Invalid date format. Please provide 'start_date' and 'end_date' in a valid format (e.g., YYYY-MM-DD).",
-      });
-    }
-
-    // Parse the limit value (default to 1 if not provided)
-    const queryLimit = parseInt(limit) || 1;
+    const adjusted = isAdjusted(req.query);
+    const schedule =
+      adjusted && (await loadAdjustmentSchedule(symbol && [symbol], req.workspace));
 
     // Create the aggregation pipeline
     const pipeline = [
       {
         $match: {
+          workspace: req.workspace,
           date: { $gte: new Date(start_date), $lte: new Date(end_date) },
           ...(symbol && { symbol }), // Include symbol in filter if provided
         },
       },
+      // Split- and bonus-adjusted volumes when asked for
+      ...(adjusted ? adjustmentStages(schedule) : []),
+      // Highest volume first, so each symbol's first record is its peak day
+      { $sort: { volume: -1, date: 1 } },
       {
         $group: {
           _id: "$symbol",
-          date: { $first: "$date" },
-          symbol: { $first: "$symbol" },
-          volume: { $max: "$volume" }, // Get the maximum volume for each symbol
+          record: { $first: "$$ROOT" },
         },
       },
-      { $sort: { volume: -1 } }, // Sort by volume in descending order
-      { $limit: queryLimit }, // Limit the result set
+      { $replaceRoot: { newRoot: "$record" } },
+      { $sort: { volume: -1, symbol: 1 } }, // Sort by volume in descending order
+      { $limit: limit }, // Limit the result set
     ];
 
     // Execute the aggregation pipeline
@@ -144,9 +131,7 @@ export const getHighest = async (req, res) => {
 
     // Handle case when no results are found
     if (result.length === 0) {
-      return res.status(404).json({
-        message: `No records found for the given criteria.`,
-      });
+      return sendError(res, 404, `No records found for the given criteria.`);
     }
 
     // Format the result to match the requested structure
@@ -157,12 +142,16 @@ export const getHighest = async (req, res) => {
     }));
 
     // Respond with the highest volume result(s)
-    res.status(200).json({ highest_volume: formattedResult });
+    res.status(200).json({
+      ...(adjusted && { adjusted: true }),
+      highest_volume: formattedResult,
+    });
   } catch (error) {
     console.error("Error in getHighest API:", error);
-    res.status(500).json({
-      message:
-        "An error occurred while fetching the highest volume. Please try again later.",
-    });
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the highest volume. Please try again later."
+    );
   }
 };
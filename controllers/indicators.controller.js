@@ -0,0 +1,269 @@
+import { RecordModel } from "../models/record.model.js";
+import {
+  adjustRecords,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError, sendValidationErrors } from "../utils/errors.utils.js";
+import {
+  INDICATORS,
+  PRICE_FIELDS,
+  parseIndicatorParams,
+  roundPoint,
+} from "../utils/indicators.utils.js";
+
+/**
+ * @swagger
+ * /api/indicators:
+ *   get:
+ *     summary: Get a technical indicator time series for a symbol
+ *     description: |
+ *       Computes a technical indicator over the daily records of a symbol and returns one point per trading day in the date range. History before `start_date` is fetched as warm-up so the first returned values are correct; values stay null only when the symbol has too little history.
+ *
+ *       | indicator | parameters | outputs |
+ *       |-----------|------------|---------|
+ *       | `sma` | `period` (20), `field` | `value` |
+ *       | `ema` | `period` (20), `field` | `value` |
+ *       | `rsi` | `period` (14), `field` | `value` (0-100, Wilder smoothing) |
+ *       | `macd` | `fast_period` (12), `slow_period` (26), `signal_period` (9), `field` | `macd`, `signal`, `histogram` |
+ *       | `bollinger` | `period` (20), `stddev` (2), `field` | `middle`, `upper`, `lower` |
+ *       | `atr` | `period` (14) | `value` (uses high, low and close) |
+ *
+ *       Periods are integers between 1 and 500. `field` defaults to `close`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE"
+ *         description: Stock symbol to compute the indicator for.
+ *       - in: query
+ *         name: indicator
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sma, ema, rsi, macd, bollinger, atr]
+ *         description: Indicator to compute.
+ *       - in: query
+ *         name: start_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: Start date for the date range (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: "EQ"
+ *         description: (Optional) Series whose records are used.
+ *       - in: query
+ *         name: field
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [open, high, low, close, last, vwap, prev_close]
+ *           default: close
+ *         description: (Optional) Price the indicator is computed over. Not used by `atr`.
+ *       - in: query
+ *         name: period
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *         description: (Optional) Look-back period for `sma`, `ema`, `rsi`, `bollinger` and `atr`.
+ *       - in: query
+ *         name: fast_period
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 12
+ *         description: (Optional) Fast EMA period for `macd`; must be smaller than `slow_period`.
+ *       - in: query
+ *         name: slow_period
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 26
+ *         description: (Optional) Slow EMA period for `macd`.
+ *       - in: query
+ *         name: signal_period
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 9
+ *         description: (Optional) Signal line EMA period for `macd`.
+ *       - in: query
+ *         name: stddev
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0.1
+ *           maximum: 10
+ *           default: 2
+ *         description: (Optional) Band width in standard deviations for `bollinger`.
+ *     responses:
+ *       200:
+ *         description: Indicator values in chronological order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "RELIANCE"
+ *                 series:
+ *                   type: string
+ *                   example: "EQ"
+ *                 indicator:
+ *                   type: string
+ *                   example: "sma"
+ *                 params:
+ *                   type: object
+ *                   description: Parameters used, defaults included
+ *                   example: { period: 20, field: "close" }
+ *                 start_date:
+ *                   type: string
+ *                   example: "2024-01-01"
+ *                 end_date:
+ *                   type: string
+ *                   example: "2024-12-31"
+ *                 warmup_records:
+ *                   type: integer
+ *                   description: Records before `start_date` used as warm-up
+ *                   example: 19
+ *                 values:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     description: The date plus the indicator's outputs
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-01-01"
+ *                     additionalProperties:
+ *                       type: number
+ *                       nullable: true
+ *                     example: { date: "2024-01-01", value: 2571.35 }
+ *       400:
+ *         description: Missing required query parameters, invalid date format, unknown indicator or invalid indicator parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'period'. It must be an integer between 1 and 500."}}
+ *       404:
+ *         description: No records found for the given symbol within the date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'RELIANCE' within the date range."}}
+ *       500:
+ *         description: Error computing the indicator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while computing the indicator. Please try again later."}}
+ */
+
+export const getIndicators = async (req, res) => {
+  try {
+    const { start_date, end_date, symbol, indicator, series } = req.query;
+
+    const definition = INDICATORS[indicator];
+    const { params, errors } = parseIndicatorParams(definition, req.query);
+    if (errors) return sendValidationErrors(res, errors);
+
+    const filter = { workspace: req.workspace, symbol, series };
+    const fields = ["symbol", "date", ...PRICE_FIELDS];
+    const warmup = definition.warmup(params);
+
+    const records = await RecordModel.find({
+      ...filter,
+      date: { $gte: new Date(start_date), $lte: new Date(end_date) },
+    })
+      .select(fields)
+      .sort({ date: 1 })
+      .lean();
+
+    if (records.length === 0) {
+      return sendError(
+        res,
+        404,
+        `No records found for symbol '${symbol}' within the date range.`
+      );
+    }
+
+    // The most recent `warmup` records before the range, oldest first
+    const history =
+      warmup > 0
+        ? (
+            await RecordModel.find({
+              ...filter,
+              date: { $lt: new Date(start_date) },
+            })
+              .select(fields)
+              .sort({ date: -1 })
+              .limit(warmup)
+              .lean()
+          ).reverse()
+        : [];
+
+    const adjusted = isAdjusted(req.query);
+    const inputs = adjusted
+      ? adjustRecords(
+          [...history, ...records],
+          await loadAdjustmentSchedule([symbol], req.workspace)
+        )
+      : [...history, ...records];
+    const points = definition.compute(inputs, params).slice(history.length);
+
+    res.status(200).json({
+      symbol,
+      series,
+      ...(adjusted && { adjusted: true }),
+      indicator,
+      params,
+      start_date,
+      end_date,
+      warmup_records: history.length,
+      values: records.map((record, index) => ({
+        date: record.date.toISOString().split("T")[0],
+        ...roundPoint(points[index]),
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getIndicators API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while computing the indicator. Please try again later."
+    );
+  }
+};
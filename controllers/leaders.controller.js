@@ -0,0 +1,226 @@
+import { RecordModel } from "../models/record.model.js";
+import {
+  adjustmentStages,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { leaderStages } from "../utils/leaders.utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * /api/leaders:
+ *   get:
+ *     summary: Get market leaderboards
+ *     description: |
+ *       Ranks symbols by a metric on a single day (`date`) or over a date range (`start_date` and `end_date`), returning the full record of the day each value occurred.
+ *
+ *       - `pct_change` on a single day is the close against the previous close. Over a range it is the first close in the range against the last one, and both records are returned.
+ *       - `volume`, `turnover`, `trades` and `percentage_deliverable` over a range rank each symbol by its highest value (lowest with `order=asc`) and return that day's record.
+ *
+ *       Each symbol and series is ranked separately; use `series` to rank one series only.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: metric
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pct_change, volume, turnover, trades, percentage_deliverable]
+ *         description: Metric to rank by.
+ *       - in: query
+ *         name: date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-15"
+ *         description: Trading day to rank (YYYY-MM-DD). Required unless `start_date` and `end_date` are given.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-01"
+ *         description: Start date of the range to rank (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-31"
+ *         description: End date of the range to rank (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "EQ"
+ *         description: (Optional) Only rank records of this series.
+ *       - in: query
+ *         name: order
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *           default: desc
+ *         description: (Optional) `desc` for top gainers and most active, `asc` for top losers and least active.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: (Optional) Number of leaders to return.
+ *     responses:
+ *       200:
+ *         description: Leaders in rank order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metric:
+ *                   type: string
+ *                   example: "pct_change"
+ *                 order:
+ *                   type: string
+ *                   example: "desc"
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   description: Present for single-day leaderboards
+ *                 start_date:
+ *                   type: string
+ *                   format: date
+ *                   description: Present for range leaderboards
+ *                 end_date:
+ *                   type: string
+ *                   format: date
+ *                   description: Present for range leaderboards
+ *                 leaders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                         example: 1
+ *                       symbol:
+ *                         type: string
+ *                         example: "RELIANCE"
+ *                       series:
+ *                         type: string
+ *                         example: "EQ"
+ *                       value:
+ *                         type: number
+ *                         description: The metric's value; percent for `pct_change`
+ *                         example: 4.85
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                         description: Day the value occurred (not set for range `pct_change`)
+ *                       record:
+ *                         type: object
+ *                         description: The record of that day (not set for range `pct_change`)
+ *                       start_record:
+ *                         type: object
+ *                         description: First record in the range (range `pct_change` only)
+ *                       end_record:
+ *                         type: object
+ *                         description: Last record in the range (range `pct_change` only)
+ *       400:
+ *         description: Missing or invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "'start_date' is required. 'end_date' is required."}}
+ *       404:
+ *         description: No records found for the given criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for the given criteria."}}
+ *       500:
+ *         description: Error building the leaderboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while fetching the leaders. Please try again later."}}
+ */
+
+const formatDate = (date) => date.toISOString().split("T")[0];
+
+const formatRecord = (record) => record && { ...record, date: formatDate(record.date) };
+
+export const getLeaders = async (req, res) => {
+  try {
+    const { metric, date, start_date, end_date, series, order } = req.query;
+
+    const { limit } = req.query;
+    const range = !date;
+
+    // A single day covers that whole calendar day
+    const dateFilter = range
+      ? { $gte: new Date(start_date), $lte: new Date(end_date) }
+      : { $gte: new Date(date), $lt: new Date(new Date(date).getTime() + DAY_MS) };
+
+    const adjusted = isAdjusted(req.query);
+    const pipeline = [
+      {
+        $match: {
+          workspace: req.workspace,
+          date: dateFilter,
+          ...(series && { series }),
+        },
+      },
+      ...(adjusted
+        ? adjustmentStages(await loadAdjustmentSchedule(undefined, req.workspace))
+        : []),
+      ...leaderStages({ metric, order, range, limit }),
+    ];
+
+    const result = await RecordModel.aggregate(pipeline);
+
+    if (result.length === 0) {
+      return sendError(res, 404, "No records found for the given criteria.");
+    }
+
+    res.status(200).json({
+      metric,
+      order,
+      ...(range ? { start_date, end_date } : { date }),
+      ...(series && { series }),
+      ...(adjusted && { adjusted: true }),
+      leaders: result.map(({ record, start_record, end_record, ...leader }, index) => ({
+        rank: index + 1,
+        ...leader,
+        ...(record
+          ? { date: formatDate(record.date), record: formatRecord(record) }
+          : {
+              start_record: formatRecord(start_record),
+              end_record: formatRecord(end_record),
+            }),
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getLeaders API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the leaders. Please try again later."
+    );
+  }
+};
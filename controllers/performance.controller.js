@@ -0,0 +1,275 @@
+import { RecordModel } from "../models/record.model.js";
+import { DEFAULT_EXCHANGE, loadCalendar } from "../utils/calendar.utils.js";
+import {
+  adjustmentStages,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { computePerformance } from "../utils/performance.utils.js";
+
+/**
+ * @swagger
+ * /api/performance:
+ *   get:
+ *     summary: Get return, volatility and drawdown metrics for one or more symbols
+ *     description: |
+ *       Computes performance metrics from the daily `close` series of each symbol within a date range: daily returns, cumulative and annualized return, annualized volatility, Sharpe ratio, maximum drawdown with peak, trough and recovery dates, and the best and worst days.
+ *
+ *       Returns run from one trading record to the next. When days are missing from the data, a return spans several trading days of the exchange's trading calendar; volatility and the annualized return are estimated per trading day so gaps don't inflate them, and multi-day returns are excluded from the best and worst days. Figures are annualized over 252 trading days.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: symbols
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE,TCS"
+ *         description: Comma-separated stock symbols (at most 50). `symbol` is accepted for a single one.
+ *       - in: query
+ *         name: start_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: Start date for the date range (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: "EQ"
+ *         description: (Optional) Series whose records are used.
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: risk_free_rate
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 0
+ *           example: 0.065
+ *         description: (Optional) Annual risk-free rate as a fraction (0.065 for 6.5%), used for the Sharpe ratio.
+ *     responses:
+ *       200:
+ *         description: Metrics per symbol
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 start_date:
+ *                   type: string
+ *                   example: "2024-01-01"
+ *                 end_date:
+ *                   type: string
+ *                   example: "2024-12-31"
+ *                 series:
+ *                   type: string
+ *                   example: "EQ"
+ *                 exchange:
+ *                   type: string
+ *                   example: "NSE"
+ *                 risk_free_rate:
+ *                   type: number
+ *                   example: 0.065
+ *                 performance:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Performance'
+ *                 not_found:
+ *                   type: array
+ *                   description: Requested symbols without records in the range
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing required query parameters, invalid date format, too many symbols or invalid risk-free rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'risk_free_rate'. It must be a number between -1 and 1."}}
+ *       404:
+ *         description: None of the symbols have records within the date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for the given symbols within the date range."}}
+ *       500:
+ *         description: Error computing the metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while computing performance. Please try again later."}}
+ * components:
+ *   schemas:
+ *     Performance:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *           example: "RELIANCE"
+ *         first_date:
+ *           type: string
+ *           format: date
+ *         last_date:
+ *           type: string
+ *           format: date
+ *         trading_days:
+ *           type: integer
+ *           description: Records in the range
+ *         missing_days:
+ *           type: integer
+ *           description: Trading days between the first and last record without a record
+ *         start_close:
+ *           type: number
+ *         end_close:
+ *           type: number
+ *         cumulative_return:
+ *           type: number
+ *           example: 0.1342
+ *         annualized_return:
+ *           type: number
+ *           nullable: true
+ *         annualized_volatility:
+ *           type: number
+ *           nullable: true
+ *           description: Null with fewer than two returns
+ *         sharpe_ratio:
+ *           type: number
+ *           nullable: true
+ *         max_drawdown:
+ *           type: object
+ *           properties:
+ *             value:
+ *               type: number
+ *               example: -0.1875
+ *               description: Largest fall from a peak, as a fraction of the peak
+ *             peak_date:
+ *               type: string
+ *               format: date
+ *             trough_date:
+ *               type: string
+ *               format: date
+ *             recovery_date:
+ *               type: string
+ *               format: date
+ *               nullable: true
+ *               description: First date the close got back to the peak
+ *         best_day:
+ *           $ref: '#/components/schemas/DayReturn'
+ *         worst_day:
+ *           $ref: '#/components/schemas/DayReturn'
+ *         daily_returns:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               return:
+ *                 type: number
+ *                 description: Simple return since the previous record
+ *               trading_days:
+ *                 type: integer
+ *                 description: Trading days the return spans (more than 1 across gaps)
+ *     DayReturn:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         previous_date:
+ *           type: string
+ *           format: date
+ *         return:
+ *           type: number
+ */
+
+export const getPerformance = async (req, res) => {
+  try {
+    const {
+      start_date,
+      end_date,
+      series = "EQ",
+      exchange = DEFAULT_EXCHANGE,
+      risk_free_rate: riskFreeRate,
+    } = req.query;
+    // `symbol` is accepted as an alias
+    const symbols = req.query.symbols || req.query.symbol;
+
+    // One close series per symbol, oldest first
+    const adjusted = isAdjusted(req.query);
+    const pipeline = [
+      {
+        $match: {
+          workspace: req.workspace,
+          date: { $gte: new Date(start_date), $lte: new Date(end_date) },
+          symbol: { $in: symbols },
+          series,
+          close: { $gt: 0 },
+        },
+      },
+      ...(adjusted
+        ? adjustmentStages(await loadAdjustmentSchedule(symbols, req.workspace))
+        : []),
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: "$symbol",
+          points: { $push: { date: "$date", close: "$close" } },
+        },
+      },
+    ];
+
+    const result = await RecordModel.aggregate(pipeline);
+
+    if (result.length === 0) {
+      return sendError(
+        res,
+        404,
+        "No records found for the given symbols within the date range."
+      );
+    }
+
+    const calendar = await loadCalendar(exchange);
+    const bySymbol = new Map(result.map(({ _id, points }) => [_id, points]));
+
+    res.status(200).json({
+      start_date,
+      end_date,
+      series,
+      ...(adjusted && { adjusted: true }),
+      exchange: calendar.exchange,
+      risk_free_rate: riskFreeRate,
+      performance: symbols
+        .filter((symbol) => bySymbol.has(symbol))
+        .map((symbol) => ({
+          symbol,
+          ...computePerformance(bySymbol.get(symbol), { riskFreeRate, calendar }),
+        })),
+      not_found: symbols.filter((symbol) => !bySymbol.has(symbol)),
+    });
+  } catch (error) {
+    console.error("Error in getPerformance API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while computing performance. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import { IngestionProfileModel } from "../models/ingestionProfile.model.js";
+import { sendError, validationDetails } from "../utils/errors.utils.js";
+import { loadProfiles } from "../utils/profiles.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IngestionProfile:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "broker_xyz"
+ *         description:
+ *           type: string
+ *           example: "Broker XYZ end-of-day export"
+ *         header_aliases:
+ *           type: object
+ *           description: Extra header names accepted for each record field. The NSE header (e.g. `Prev Close` for `prev_close`) is always accepted. Headers are matched case-insensitively.
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example:
+ *             date: ["Trade Date"]
+ *             close: ["Close Price", "CLOSE_PRICE"]
+ *         date_formats:
+ *           type: array
+ *           description: moment.js formats tried in order for the date column
+ *           items:
+ *             type: string
+ *           example: ["DD-MMM-YYYY", "YYYY-MM-DD"]
+ *         thousands_separator:
+ *           type: string
+ *           description: Removed from numeric values before parsing
+ *           example: ","
+ *         scales:
+ *           type: object
+ *           description: Factor each numeric field's values are multiplied by, so they are stored in the units of the NSE historical export (`nse_legacy`). That export gives `turnover` in 10^5 times rupees and `percentage_deliverable` as a 0-1 ratio, so a column in lakhs of rupees scales by 10^10 and a percentage by 0.01. Defaults are not scaled.
+ *           additionalProperties:
+ *             type: number
+ *           example:
+ *             turnover: 100000
+ *             percentage_deliverable: 0.01
+ *         defaults:
+ *           type: object
+ *           description: Values used for record fields whose column is absent or blank
+ *           additionalProperties: true
+ *           example:
+ *             series: "EQ"
+ *         exchange:
+ *           type: string
+ *           description: Exchange whose trading calendar row dates are checked against (see `/api/calendars`); the default exchange when empty
+ *           example: "NSE"
+ *         builtin:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Built-in profiles can't be changed or deleted
+ *
+ * /upload/profiles:
+ *   get:
+ *     summary: List ingestion profiles
+ *     description: Lists the ingestion profiles that can be named with `POST /upload?profile=...` or detected from a file's header row.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *     responses:
+ *       200:
+ *         description: Ingestion profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profiles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IngestionProfile'
+ *   post:
+ *     summary: Create an ingestion profile
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IngestionProfile'
+ *     responses:
+ *       201:
+ *         description: Profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionProfile'
+ *       400:
+ *         description: Invalid profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid profile: header_aliases: Keys must be record fields: date, symbol, ..."}}
+ *       409:
+ *         description: A profile with this name already exists
+ *
+ * /upload/profiles/{name}:
+ *   get:
+ *     summary: Get an ingestion profile
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionProfile'
+ *       404:
+ *         description: Profile not found
+ *   put:
+ *     summary: Update an ingestion profile
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IngestionProfile'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid profile
+ *       403:
+ *         description: Built-in profiles can't be changed
+ *       404:
+ *         description: Profile not found
+ *   delete:
+ *     summary: Delete an ingestion profile
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Profile deleted
+ *       403:
+ *         description: Built-in profiles can't be deleted
+ *       404:
+ *         description: Profile not found
+ */
+
+// Only these fields can be set through the API
+const pickProfileFields = (body = {}) =>
+  Object.fromEntries(
+    [
+      "name",
+      "description",
+      "header_aliases",
+      "date_formats",
+      "thousands_separator",
+      "scales",
+      "defaults",
+      "exchange",
+    ]
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]])
+  );
+
+const notFound = (res, name) =>
+  sendError(res, 404, `No ingestion profile named '${name}'.`);
+
+const handleProfileError = (res, error, action) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return sendError(res, 400, `Invalid profile: ${error.message}`, {
+      code: "validation_error",
+      details: validationDetails(error),
+    });
+  }
+  if (error.code === 11000) {
+    return sendError(res, 409, "An ingestion profile with this name already exists.");
+  }
+  console.error(`Error in ${action} API:`, error);
+  sendError(
+    res,
+    500,
+    "An error occurred while managing ingestion profiles. Please try again later."
+  );
+};
+
+export const getProfiles = async (req, res) => {
+  try {
+    res.status(200).json({ profiles: await loadProfiles(undefined, req.workspace) });
+  } catch (error) {
+    handleProfileError(res, error, "getProfiles");
+  }
+};
+
+export const getProfile = async (req, res) => {
+  try {
+    const [profile] = await loadProfiles(req.params.name, req.workspace);
+    if (!profile) return notFound(res, req.params.name);
+    res.status(200).json(profile);
+  } catch (error) {
+    handleProfileError(res, error, "getProfile");
+  }
+};
+
+export const createProfile = async (req, res) => {
+  try {
+    const name = req.body?.name;
+    if (name && (await loadProfiles(name, req.workspace)).length > 0) {
+      return sendError(res, 409, "An ingestion profile with this name already exists.");
+    }
+    const profile = await IngestionProfileModel.create({
+      ...pickProfileFields(req.body),
+      workspace: req.workspace,
+    });
+    res.status(201).json(profile);
+  } catch (error) {
+    handleProfileError(res, error, "createProfile");
+  }
+};
+
+export const updateProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const profile = await IngestionProfileModel.findOne({
+      name,
+      workspace: { $in: [null, req.workspace] },
+    });
+    if (!profile) return notFound(res, name);
+    if (profile.builtin) {
+      return sendError(res, 403, "Built-in ingestion profiles can't be changed.");
+    }
+
+    profile.set(pickProfileFields(req.body));
+    await profile.save();
+    res.status(200).json(profile);
+  } catch (error) {
+    handleProfileError(res, error, "updateProfile");
+  }
+};
+
+export const deleteProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const profile = await IngestionProfileModel.findOne({
+      name,
+      workspace: { $in: [null, req.workspace] },
+    });
+    if (!profile) return notFound(res, name);
+    if (profile.builtin) {
+      return sendError(res, 403, "Built-in ingestion profiles can't be deleted.");
+    }
+
+    await profile.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    handleProfileError(res, error, "deleteProfile");
+  }
+};
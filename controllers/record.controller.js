@@ -0,0 +1,685 @@
+import { validateRow } from "../middlewares/fileuploader.middleware.js";
+import { RecordModel } from "../models/record.model.js";
+import { RecordAuditModel } from "../models/recordAudit.model.js";
+import { actorOf } from "../utils/actor.utils.js";
+import { loadCalendar } from "../utils/calendar.utils.js";
+import { sendError, sendValidationErrors } from "../utils/errors.utils.js";
+import { encodeCursor, parseRecordQuery } from "../utils/recordQuery.utils.js";
+import {
+  RECORD_COLUMNS,
+  recordsChanged,
+  toRecord,
+  toRow,
+} from "../utils/records.utils.js";
+import { evaluateRules } from "../utils/rules.utils.js";
+import { emitEvent } from "../utils/webhooks.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Record:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6717a1f4c2a8b5e2d4f0a456"
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-15"
+ *         symbol:
+ *           type: string
+ *           example: "RELIANCE"
+ *         series:
+ *           type: string
+ *           example: "EQ"
+ *         prev_close:
+ *           type: number
+ *         open:
+ *           type: number
+ *         high:
+ *           type: number
+ *         low:
+ *           type: number
+ *         last:
+ *           type: number
+ *         close:
+ *           type: number
+ *         vwap:
+ *           type: number
+ *         volume:
+ *           type: number
+ *         turnover:
+ *           type: number
+ *         trades:
+ *           type: number
+ *         deliverable:
+ *           type: number
+ *         percentage_deliverable:
+ *           type: number
+ *         upload_id:
+ *           type: string
+ *           description: Upload batch that inserted or last overwrote the record (see `/uploads`)
+ *         warnings:
+ *           type: array
+ *           description: Validation rules with `warn` severity the record breaks
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     RecordAudit:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         record_id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [update, delete]
+ *         actor:
+ *           type: string
+ *           description: Name of the API key that made the change (the `X-Actor` header, or `anonymous`, when authentication is disabled)
+ *           example: "jane@example.com"
+ *         ip:
+ *           type: string
+ *         symbol:
+ *           type: string
+ *         series:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         changes:
+ *           type: array
+ *           description: Changed fields (updates only)
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "close"
+ *               previous:
+ *                 example: 2750.5
+ *               value:
+ *                 example: 2705.5
+ *         previous:
+ *           $ref: '#/components/schemas/Record'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Fields a PATCH may change
+const EDITABLE_FIELDS = RECORD_COLUMNS.map(({ field }) => field);
+
+// Record field each CSV header is read into, to report errors by field
+const FIELD_BY_HEADER = Object.fromEntries(
+  RECORD_COLUMNS.map(({ field, header }) => [header, field])
+);
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+const formatRecord = ({ __v, ...record }) => ({
+  ...record,
+  ...(record.date && { date: formatDay(record.date) }),
+});
+
+const formatAudit = ({ __v, date, previous, ...entry }) => ({
+  ...entry,
+  ...(date && { date: formatDay(date) }),
+  previous: previous && formatRecord(previous),
+});
+
+const notFound = (res, id) =>
+  sendError(res, 404, `No record found with id '${id}'.`);
+
+/**
+ * Store an audit entry, then make the change it describes with `write`, so
+ * a change is never left unaudited. The entry is withdrawn when `write`
+ * throws or resolves to null (the record is gone). Resolves with what
+ * `write` resolved with.
+ */
+const withAudit = async (entry, write) => {
+  const audit = await RecordAuditModel.create(entry);
+  let result = null;
+  try {
+    result = await write();
+  } finally {
+    if (!result) await RecordAuditModel.deleteOne({ _id: audit._id });
+  }
+  return result;
+};
+
+// Rollups and cached results are refreshed after a change, without failing
+// the request: the change itself has been made
+const refreshDerivedData = (workspace, records) =>
+  recordsChanged(workspace, records).catch((error) =>
+    console.error("Error refreshing rollups and cached results:", error)
+  );
+
+const sameValue = (a, b) =>
+  a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b;
+
+/**
+ * @swagger
+ * /api/records:
+ *   get:
+ *     summary: Browse stored records
+ *     description: |
+ *       Lists records matching the filters, one page at a time. Pages are read with cursors: pass the `next_cursor` of a response as `cursor`, with the same filters and sort, to get the next page. `next_cursor` is null on the last page.
+ *
+ *       Every numeric field (`prev_close`, `open`, `high`, `low`, `last`, `close`, `vwap`, `volume`, `turnover`, `trades`, `deliverable`, `percentage_deliverable`) can be bounded with `min_<field>` and `max_<field>`, e.g. `min_volume=1000000&max_close=500`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: symbol
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE,TCS"
+ *         description: (Optional) Comma-separated symbols.
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "EQ"
+ *         description: (Optional) Comma-separated series.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: (Optional) Only records on or after this date (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: (Optional) Only records on or before this date (YYYY-MM-DD).
+ *       - in: query
+ *         name: min_close
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: (Optional) Example numeric bound; any `min_<field>` or `max_<field>` is accepted.
+ *       - in: query
+ *         name: max_close
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: (Optional) Example numeric bound; any `min_<field>` or `max_<field>` is accepted.
+ *       - in: query
+ *         name: warning
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "open_within_range"
+ *         description: (Optional) Only records flagged by this validation rule (see `/upload/rules`).
+ *       - in: query
+ *         name: upload_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only records inserted or last overwritten by this upload (see `/uploads`).
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: date
+ *           example: "-volume"
+ *         description: (Optional) Field to sort by, prefixed with `-` for descending order.
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "date,symbol,close,volume"
+ *         description: (Optional) Comma-separated fields to return; `_id` is always returned.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: (Optional) Records per page.
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) `next_cursor` of the previous page.
+ *     responses:
+ *       200:
+ *         description: A page of records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Record'
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid filter, sort, fields, limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'sort'. It must be one of: date, symbol, ..., prefixed with '-' for descending order."}}
+ */
+export const getRecords = async (req, res) => {
+  try {
+    const query = parseRecordQuery(req.query);
+    if (query.errors) return sendValidationErrors(res, query.errors);
+
+    // One extra record tells whether there is a next page
+    const records = await RecordModel.find({ ...query.filter, workspace: req.workspace })
+      .select(query.projection)
+      .sort(query.sort)
+      .limit(query.limit + 1)
+      .lean();
+
+    const page = records.slice(0, query.limit);
+    const last = page[page.length - 1];
+
+    res.status(200).json({
+      records: page.map((record) =>
+        formatRecord(
+          Object.fromEntries(
+            Object.entries(record).filter(
+              ([field]) => field === "_id" || query.fields.includes(field)
+            )
+          )
+        )
+      ),
+      limit: query.limit,
+      next_cursor:
+        records.length > query.limit ? encodeCursor(last, query.sortField) : null,
+    });
+  } catch (error) {
+    console.error("Error in getRecords API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the records. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/records/audit:
+ *   get:
+ *     summary: Read the audit trail of manual record changes
+ *     description: Lists updates and deletions made through the records API, newest first, with who made them and the previous values. Pass the `next_before` of a response as `before` to read older entries.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: record_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only changes to this record.
+ *       - in: query
+ *         name: symbol
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only changes to records of this symbol.
+ *       - in: query
+ *         name: actor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only changes made by this actor.
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [update, delete]
+ *         description: (Optional) Only this kind of change.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only entries older than this entry id.
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecordAudit'
+ *                 next_before:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid id, action or limit
+ */
+export const getRecordAudit = async (req, res) => {
+  try {
+    const { record_id, symbol, actor, action, before, limit } = req.query;
+
+    const entries = await RecordAuditModel.find({
+      workspace: req.workspace,
+      ...(record_id && { record_id }),
+      ...(symbol && { symbol }),
+      ...(actor && { actor }),
+      ...(action && { action }),
+      ...(before && { _id: { $lt: before } }),
+    })
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = entries.slice(0, limit);
+    res.status(200).json({
+      entries: page.map(formatAudit),
+      next_before: entries.length > limit ? page[page.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error in getRecordAudit API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the audit trail. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/records/{id}:
+ *   get:
+ *     summary: Get a record
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: Invalid record id
+ *       404:
+ *         description: No record with this id
+ *   patch:
+ *     summary: Correct a record
+ *     description: |
+ *       Changes the given fields and validates the resulting record as an uploaded row would be: values must parse and the `reject` validation rules must pass, and the `warn` rules are evaluated again to refresh the record's warnings. Trading days are checked against the `exchange` calendar.
+ *
+ *       The change is written to the audit trail (`/api/records/audit`) with the previous values and the name of the request's API key as the actor.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/exchange'
+ *       - in: header
+ *         name: X-Actor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Who is making the change, for the audit trail. Only read when authentication is disabled; the API key's name is recorded otherwise.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the record's fields except `_id` and `warnings`
+ *             example:
+ *               close: 2705.5
+ *               last: 2706
+ *     responses:
+ *       200:
+ *         description: The updated record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: "Unknown fields (`validation_error`), or the updated record fails validation (`invalid_record`, with one `{ field, code, value }` per problem in `details`)"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "invalid_record", "message": "Invalid record", "details": [{"field": "close", "code": "NOT_NUMERIC", "value": "abc"}]}}
+ *       404:
+ *         description: No record with this id
+ *       409:
+ *         description: Another record already has the new symbol, series and date
+ *   delete:
+ *     summary: Delete a record
+ *     description: Deletes the record and keeps a copy of it in the audit trail. Webhooks subscribed to `records.deleted` are notified.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Actor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Who is deleting the record, for the audit trail. Only read when authentication is disabled; the API key's name is recorded otherwise.
+ *     responses:
+ *       204:
+ *         description: Record deleted
+ *       400:
+ *         description: Invalid record id
+ *       404:
+ *         description: No record with this id
+ */
+export const getRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const record = await RecordModel.findOne({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+    if (!record) return notFound(res, id);
+    res.status(200).json(formatRecord(record));
+  } catch (error) {
+    console.error("Error in getRecord API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the record. Please try again later."
+    );
+  }
+};
+
+export const patchRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Fields other than the editable ones are refused by the route
+    const body = req.body;
+    if (Object.keys(body).length === 0) {
+      return sendError(
+        res,
+        400,
+        `Provide one or more of these fields to update: ${EDITABLE_FIELDS.join(", ")}.`
+      );
+    }
+
+    const existing = await RecordModel.findOne({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+    if (!existing) return notFound(res, id);
+
+    // Validate the edited record exactly like an uploaded row
+    const row = toRow({ ...existing, ...body });
+    const errors = validateRow(row);
+    let record = null;
+    if (errors.length === 0) {
+      record = toRecord(row);
+      const calendar = await loadCalendar(req.query.exchange);
+      const result = evaluateRules(record, row, { calendar });
+      errors.push(...result.errors);
+      record.warnings = result.warnings;
+    }
+
+    if (errors.length > 0) {
+      return sendError(res, 400, "Invalid record", {
+        code: "invalid_record",
+        details: errors.map((error) => ({
+          ...error,
+          field: FIELD_BY_HEADER[error.field] || error.field,
+        })),
+      });
+    }
+
+    const changes = EDITABLE_FIELDS.filter(
+      (field) => !sameValue(existing[field], record[field])
+    ).map((field) => ({ field, previous: existing[field], value: record[field] }));
+
+    if (changes.length === 0) {
+      return res.status(200).json(formatRecord(existing));
+    }
+
+    const updated = await withAudit(
+      {
+        workspace: req.workspace,
+        record_id: existing._id,
+        action: "update",
+        ...actorOf(req),
+        symbol: existing.symbol,
+        series: existing.series,
+        date: existing.date,
+        changes,
+        previous: existing,
+      },
+      () =>
+        RecordModel.findOneAndUpdate(
+          { _id: id, workspace: req.workspace },
+          {
+            $set: {
+              ...Object.fromEntries(changes.map(({ field, value }) => [field, value])),
+              warnings: record.warnings,
+            },
+          },
+          { new: true }
+        ).lean()
+    );
+    if (!updated) return notFound(res, id);
+    await refreshDerivedData(req.workspace, [existing, updated]);
+
+    res.status(200).json(formatRecord(updated));
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendError(
+        res,
+        409,
+        "Another record already exists for this symbol, series and date."
+      );
+    }
+    console.error("Error in patchRecord API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while updating the record. Please try again later."
+    );
+  }
+};
+
+export const deleteRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await RecordModel.findOne({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+    if (!existing) return notFound(res, id);
+
+    const deleted = await withAudit(
+      {
+        workspace: req.workspace,
+        record_id: existing._id,
+        action: "delete",
+        ...actorOf(req),
+        symbol: existing.symbol,
+        series: existing.series,
+        date: existing.date,
+        previous: existing,
+      },
+      () => RecordModel.findOneAndDelete({ _id: id, workspace: req.workspace }).lean()
+    );
+    if (!deleted) return notFound(res, id);
+    await refreshDerivedData(req.workspace, [deleted]);
+    await emitEvent(req.workspace, "records.deleted", {
+      reason: "record_deleted",
+      deleted: 1,
+      by: actorOf(req).actor,
+      records: [
+        {
+          id: deleted._id,
+          symbol: deleted.symbol,
+          series: deleted.series,
+          date: deleted.date,
+        },
+      ],
+    }).catch((error) => console.error("Error notifying webhooks of a deletion:", error));
+
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in deleteRecord API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while deleting the record. Please try again later."
+    );
+  }
+};
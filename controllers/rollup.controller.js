@@ -0,0 +1,59 @@
+import { invalidateCachedResults } from "../utils/cache.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { rebuildRollups } from "../utils/rollups.utils.js";
+
+/**
+ * @swagger
+ * /api/rollups/rebuild:
+ *   post:
+ *     summary: Rebuild the workspace's rollups
+ *     description: |
+ *       Uploads, record edits and rollbacks keep monthly and yearly rollups of each symbol and series up to date (count; sum, minimum and maximum of open, high, low, close, VWAP, volume, turnover and trades; the first and last day's open and close; and the volume-weighted VWAP). `/api/stats` for those fields, `/api/average_close`, `/api/average_vwap` and unadjusted monthly, quarterly and yearly `/api/candles` answer from them for the whole months of a range and read records only for the partial months at its ends. Other queries, such as weekly candles, performance and leaders, read the records.
+ *
+ *       This recomputes every rollup of the selected workspace from its records, e.g. after records were changed directly in the database. Existing rollups keep answering queries until they are replaced. `npm run rebuild-rollups` does the same from the command line, for all workspaces.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *     responses:
+ *       200:
+ *         description: Rollups rebuilt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workspace:
+ *                   type: string
+ *                   example: "default"
+ *                 months:
+ *                   type: integer
+ *                   description: Monthly rollups written
+ *                   example: 48210
+ *                 years:
+ *                   type: integer
+ *                   description: Yearly rollups written
+ *                   example: 4102
+ *                 removed:
+ *                   type: integer
+ *                   description: Rollups of months and years that no longer have records
+ *                   example: 0
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+export const postRollupRebuild = async (req, res) => {
+  try {
+    const result = await rebuildRollups(req.workspace);
+    await invalidateCachedResults({ workspace: req.workspace });
+    res.status(200).json({ workspace: req.workspace, ...result });
+  } catch (error) {
+    console.error("Error in postRollupRebuild API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while rebuilding the rollups. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,46 @@
+import { listRules } from "../utils/rules.utils.js";
+
+/**
+ * @swagger
+ * /upload/rules:
+ *   get:
+ *     summary: List the row validation rules
+ *     description: Lists the cross-field rules applied to every uploaded row with their effective severity. `reject` rules reject the row, `warn` rules store a warning on the record and `off` rules are skipped. Severities are configured with the `VALIDATION_RULES` environment variable, e.g. `vwap_within_range=warn,open_within_range=off`.
+ *     responses:
+ *       200:
+ *         description: Validation rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "close_within_range"
+ *                       code:
+ *                         type: string
+ *                         example: "CLOSE_OUT_OF_RANGE"
+ *                       field:
+ *                         type: string
+ *                         example: "Close"
+ *                       description:
+ *                         type: string
+ *                         example: "Close must lie within [Low, High]."
+ *                       default_severity:
+ *                         type: string
+ *                         enum: [reject, warn, off]
+ *                         example: reject
+ *                       severity:
+ *                         type: string
+ *                         enum: [reject, warn, off]
+ *                         example: reject
+ */
+
+export const getValidationRules = (req, res) => {
+  res.status(200).json({ rules: listRules() });
+};
@@ -0,0 +1,409 @@
+import { RecordModel } from "../models/record.model.js";
+import {
+  adjustmentStages,
+  isAdjusted,
+  loadAdjustmentSchedule,
+} from "../utils/corporateActions.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { canUseRollups, rollupStats } from "../utils/rollups.utils.js";
+import { readStats, statsStage } from "../utils/stats.utils.js";
+
+/**
+ * @swagger
+ * /api/stats:
+ *   get:
+ *     summary: Get statistics of record fields for a symbol
+ *     description: Computes the requested aggregations of the requested fields over a symbol's records in one aggregation. Every value is a number, or null when no record has the field. `median` and percentiles are approximate.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE"
+ *         description: Stock symbol to compute statistics for.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: (Optional) Start date for the date range (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: (Optional) End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "EQ"
+ *         description: (Optional) Only use records of this series.
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: "close"
+ *           example: "close,vwap,volume"
+ *         description: "(Optional) Comma-separated fields: prev_close, open, high, low, last, close, vwap, volume, turnover, trades, deliverable, percentage_deliverable."
+ *       - in: query
+ *         name: aggs
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: "avg"
+ *           example: "avg,min,max,median,stddev,sum,count,p90"
+ *         description: "(Optional) Comma-separated aggregations: avg, min, max, median, stddev (sample), sum, count, or a percentile written p<N> with 0 < N < 100 (e.g. p90, p99.5)."
+ *     responses:
+ *       200:
+ *         description: Statistics per field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "RELIANCE"
+ *                 start_date:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "2024-01-01"
+ *                 end_date:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "2024-12-31"
+ *                 records:
+ *                   type: integer
+ *                   description: Number of records the statistics cover
+ *                   example: 246
+ *                 stats:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: number
+ *                       nullable: true
+ *                   example: { close: { avg: 2571.35, p90: 2790.1 }, volume: { avg: 6012345, p90: 9120000 } }
+ *       400:
+ *         description: Missing symbol, invalid date format, or unknown field or aggregation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'aggs'. It has an item that must be one of: avg, min, max, median, stddev, sum, count or a percentile such as p90."}}
+ *       404:
+ *         description: No records found for the given symbol within the date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'RELIANCE' within the date range."}}
+ *       500:
+ *         description: Error computing the statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while computing the statistics. Please try again later."}}
+ */
+
+/**
+ * Run the statistics aggregation for one symbol of a workspace. Dates and
+ * series are optional filters. Sums, averages, extremes and counts of
+ * rolled up fields come from the monthly and yearly rollups when the range
+ * holds whole months. Resolves to `{ records, stats }`, or null when no
+ * record matches.
+ */
+const computeStats = async (
+  { workspace, symbol, start_date, end_date, series, adjusted },
+  fields,
+  aggs
+) => {
+  if (!adjusted && canUseRollups(fields, aggs)) {
+    const result = await rollupStats(
+      { workspace, symbol, series, start_date, end_date },
+      fields,
+      aggs
+    );
+    if (result) return result;
+  }
+
+  const date = {
+    ...(start_date && { $gte: new Date(start_date) }),
+    ...(end_date && { $lte: new Date(end_date) }),
+  };
+
+  const [result] = await RecordModel.aggregate([
+    {
+      $match: {
+        workspace,
+        symbol,
+        ...(Object.keys(date).length > 0 && { date }),
+        ...(series && { series }),
+      },
+    },
+    ...(adjusted
+      ? adjustmentStages(await loadAdjustmentSchedule([symbol], workspace))
+      : []),
+    statsStage(fields, aggs),
+  ]);
+
+  return result
+    ? { records: result.records, stats: readStats(result, fields, aggs) }
+    : null;
+};
+
+export const getStats = async (req, res) => {
+  try {
+    const { start_date, end_date, symbol, series, fields, aggs } = req.query;
+
+    const adjusted = isAdjusted(req.query);
+    const result = await computeStats(
+      { workspace: req.workspace, symbol, start_date, end_date, series, adjusted },
+      fields,
+      aggs
+    );
+
+    if (!result) {
+      return sendError(
+        res,
+        404,
+        `No records found for symbol '${symbol}' within the date range.`
+      );
+    }
+
+    res.status(200).json({
+      symbol,
+      ...(series && { series }),
+      ...(adjusted && { adjusted: true }),
+      start_date: start_date || null,
+      end_date: end_date || null,
+      records: result.records,
+      stats: result.stats,
+    });
+  } catch (error) {
+    console.error("Error in getStats API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while computing the statistics. Please try again later."
+    );
+  }
+};
+
+/**
+ * Handler for the single-average endpoints kept from before `/api/stats`:
+ * same parameters, messages and response shape, computed by the stats
+ * aggregation.
+ */
+const averageAlias = ({ field, label, notFound }) => async (req, res) => {
+  try {
+    const { start_date, end_date, symbol } = req.query;
+
+    const adjusted = isAdjusted(req.query);
+    const result = await computeStats(
+      { workspace: req.workspace, symbol, start_date, end_date, adjusted },
+      [field],
+      ["avg"]
+    );
+
+    if (!result) {
+      return sendError(res, 404, notFound(req.query));
+    }
+
+    res.status(200).json({
+      symbol,
+      start_date,
+      end_date,
+      ...(adjusted && { adjusted: true }),
+      [`average_${field}`]: result.stats[field].avg,
+    });
+  } catch (error) {
+    console.error(`Error in average ${field} API:`, error);
+    sendError(
+      res,
+      500,
+      `An error occurred while calculating the average ${label}. Please try again later.`
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/average_close:
+ *   get:
+ *     summary: Calculate the average closing price
+ *     description: Calculates the average closing price for a specified stock symbol within a given date range. Alias of `/api/stats?fields=close&aggs=avg`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: start_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-01"
+ *         description: Start date for the date range (YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-31"
+ *         description: End date for the date range (YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "AAPL"
+ *         description: Stock symbol for which to calculate the average closing price.
+ *     responses:
+ *       200:
+ *         description: Successfully calculated the average closing price
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "AAPL"
+ *                 start_date:
+ *                   type: string
+ *                   format: date
+ *                   example: "2024-10-01"
+ *                 end_date:
+ *                   type: string
+ *                   format: date
+ *                   example: "2024-10-31"
+ *                 average_close:
+ *                   type: number
+ *                   format: float
+ *                   example: 150.75
+ *       400:
+ *         description: Missing required query parameters or invalid date format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "'start_date' is required. 'end_date' is required."}}
+ *       404:
+ *         description: No records found for the specified symbol and date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'AAPL' between '2024-10-01' and '2024-10-31'."}}
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while calculating the average close. Please try again later."}}
+ */
+
+export const getAverageClose = averageAlias({
+  field: "close",
+  label: "close",
+  notFound: ({ symbol, start_date, end_date }) =>
+    `No records found for symbol '${symbol}' between '${start_date}' and '${end_date}'.`,
+});
+
+/**
+ * @swagger
+ * /api/average_vwap:
+ *   get:
+ *     summary: Get Average VWAP for a Symbol
+ *     description: Calculates the average VWAP for a specific stock symbol within a date range. Alias of `/api/stats?fields=vwap&aggs=avg`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: start_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for the date range (e.g., YYYY-MM-DD).
+ *       - in: query
+ *         name: end_date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for the date range (e.g., YYYY-MM-DD).
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *       - $ref: '#/components/parameters/adjusted'
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock symbol to calculate the average VWAP (e.g., AAPL).
+ *     responses:
+ *       200:
+ *         description: Average VWAP calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "AAPL"
+ *                 start_date:
+ *                   type: string
+ *                   example: "2024-01-01"
+ *                 end_date:
+ *                   type: string
+ *                   example: "2024-10-20"
+ *                 average_vwap:
+ *                   type: number
+ *                   example: 150.75
+ *       400:
+ *         description: Missing required query parameters or invalid date format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "'start_date' is required. 'end_date' is required."}}
+ *       404:
+ *         description: No records found for the given symbol within the date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'AAPL' within the date range."}}
+ *       500:
+ *         description: Error calculating the average VWAP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while calculating the average VWAP. Please try again later."}}
+ */
+
+export const getAverageVwap = averageAlias({
+  field: "vwap",
+  label: "VWAP",
+  notFound: ({ symbol }) =>
+    `No records found for symbol '${symbol}' within the date range.`,
+});
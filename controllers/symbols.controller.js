@@ -0,0 +1,365 @@
+import { RecordModel } from "../models/record.model.js";
+import { DEFAULT_EXCHANGE, loadCalendar, tradingDays } from "../utils/calendar.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+
+const formatDate = (date) => date.toISOString().split("T")[0];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @swagger
+ * /api/symbols:
+ *   get:
+ *     summary: List the symbols in the database
+ *     description: Lists every symbol and series stored in `stock_data` with its first and last dates, number of rows and latest close, sorted by symbol and series.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "REL"
+ *         description: (Optional) Only list symbols starting with this text (case-insensitive, as symbols are upper case).
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "EQ"
+ *         description: (Optional) Only list this series.
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: (Optional) Page number.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: (Optional) Entries per page.
+ *     responses:
+ *       200:
+ *         description: A page of symbols
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 total:
+ *                   type: integer
+ *                   description: Number of symbol and series pairs matching the filters
+ *                   example: 1834
+ *                 symbols:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbol:
+ *                         type: string
+ *                         example: "RELIANCE"
+ *                       series:
+ *                         type: string
+ *                         example: "EQ"
+ *                       first_date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2000-01-03"
+ *                       last_date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-10-31"
+ *                       rows:
+ *                         type: integer
+ *                         example: 6153
+ *                       latest_close:
+ *                         type: number
+ *                         description: Close on `last_date`
+ *                         example: 2650.4
+ *       400:
+ *         description: Invalid page or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'limit'. It must be an integer between 1 and 500."}}
+ *       500:
+ *         description: Error listing the symbols
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while listing the symbols. Please try again later."}}
+ */
+
+export const getSymbols = async (req, res) => {
+  try {
+    const { search, series, page, limit } = req.query;
+
+    const pipeline = [
+      {
+        $match: {
+          workspace: req.workspace,
+          // Symbols are upper case; an anchored, case-sensitive prefix can use
+          // the symbol index
+          ...(search && {
+            symbol: { $regex: `^${escapeRegex(search)}` },
+          }),
+          ...(series && { series }),
+        },
+      },
+      {
+        $group: {
+          _id: { symbol: "$symbol", series: "$series" },
+          first_date: { $min: "$date" },
+          last_date: { $max: "$date" },
+          rows: { $sum: 1 },
+          latest_close: { $top: { sortBy: { date: -1 }, output: "$close" } },
+        },
+      },
+      { $sort: { "_id.symbol": 1, "_id.series": 1 } },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          symbols: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        },
+      },
+    ];
+
+    const [{ total, symbols }] = await RecordModel.aggregate(pipeline);
+
+    res.status(200).json({
+      page,
+      limit,
+      total: total[0]?.count || 0,
+      symbols: symbols.map(({ _id, first_date, last_date, ...entry }) => ({
+        symbol: _id.symbol,
+        series: _id.series,
+        first_date: formatDate(first_date),
+        last_date: formatDate(last_date),
+        ...entry,
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getSymbols API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while listing the symbols. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/symbols/{symbol}/coverage:
+ *   get:
+ *     summary: Report missing trading days for a symbol
+ *     description: Compares the days a symbol has records for against the exchange's trading calendar (weekends, holidays and special sessions) and reports the missing trading days as ranges, plus any records on non-trading days. Defaults to the symbol's first and last record dates.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "RELIANCE"
+ *         description: Stock symbol to check.
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: "EQ"
+ *         description: (Optional) Series to check.
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *         description: (Optional) Start of the period to check (YYYY-MM-DD); defaults to the first record's date.
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *         description: (Optional) End of the period to check (YYYY-MM-DD); defaults to the last record's date.
+ *       - $ref: '#/components/parameters/lastNTradingDays'
+ *       - $ref: '#/components/parameters/exchange'
+ *     responses:
+ *       200:
+ *         description: Coverage of the period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "RELIANCE"
+ *                 series:
+ *                   type: string
+ *                   example: "EQ"
+ *                 exchange:
+ *                   type: string
+ *                   example: "NSE"
+ *                 start_date:
+ *                   type: string
+ *                   format: date
+ *                 end_date:
+ *                   type: string
+ *                   format: date
+ *                 expected_days:
+ *                   type: integer
+ *                   description: Trading days in the period
+ *                   example: 262
+ *                 present_days:
+ *                   type: integer
+ *                   description: Trading days with a record
+ *                   example: 258
+ *                 missing_days:
+ *                   type: integer
+ *                   example: 4
+ *                 coverage:
+ *                   type: number
+ *                   description: present_days / expected_days
+ *                   example: 0.9847
+ *                 missing_ranges:
+ *                   type: array
+ *                   description: Consecutive runs of missing trading days
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-03-11"
+ *                       to:
+ *                         type: string
+ *                         format: date
+ *                         example: "2024-03-13"
+ *                       days:
+ *                         type: integer
+ *                         example: 3
+ *                 non_trading_dates:
+ *                   type: array
+ *                   description: Dates with a record that aren't trading days
+ *                   items:
+ *                     type: string
+ *                     format: date
+ *       400:
+ *         description: Invalid date format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'start_date'. It must be a valid date in the YYYY-MM-DD format (e.g., 2024-10-01)."}}
+ *       404:
+ *         description: The symbol has no records in the series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No records found for symbol 'RELIANCE' in series 'EQ'."}}
+ *       500:
+ *         description: Error computing the coverage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while computing the coverage. Please try again later."}}
+ */
+
+export const getSymbolCoverage = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const {
+      start_date,
+      end_date,
+      series = "EQ",
+      exchange = DEFAULT_EXCHANGE,
+    } = req.query;
+
+    const records = await RecordModel.find({ workspace: req.workspace, symbol, series })
+      .select({ date: 1, _id: 0 })
+      .sort({ date: 1 })
+      .lean();
+
+    if (records.length === 0) {
+      return sendError(
+        res,
+        404,
+        `No records found for symbol '${symbol}' in series '${series}'.`
+      );
+    }
+
+    const start = start_date ? new Date(start_date) : records[0].date;
+    const end = end_date ? new Date(end_date) : records[records.length - 1].date;
+
+    const present = new Set(
+      records
+        .filter(({ date }) => date >= start && date <= end)
+        .map(({ date }) => formatDate(date))
+    );
+    const calendar = await loadCalendar(exchange);
+    const expected = tradingDays(start, end, calendar).map(formatDate);
+    const expectedSet = new Set(expected);
+
+    // Group consecutive missing trading days into ranges
+    const missingRanges = [];
+    let current = null;
+    expected.forEach((day) => {
+      if (present.has(day)) {
+        current = null;
+      } else if (current) {
+        current.to = day;
+        current.days++;
+      } else {
+        current = { from: day, to: day, days: 1 };
+        missingRanges.push(current);
+      }
+    });
+
+    const missingDays = missingRanges.reduce((sum, range) => sum + range.days, 0);
+    const presentDays = expected.length - missingDays;
+
+    res.status(200).json({
+      symbol,
+      series,
+      exchange: calendar.exchange,
+      start_date: formatDate(start),
+      end_date: formatDate(end),
+      expected_days: expected.length,
+      present_days: presentDays,
+      missing_days: missingDays,
+      coverage:
+        expected.length > 0 ? Number((presentDays / expected.length).toFixed(4)) : null,
+      missing_ranges: missingRanges,
+      non_trading_dates: [...present].filter((day) => !expectedSet.has(day)),
+    });
+  } catch (error) {
+    console.error("Error in getSymbolCoverage API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while computing the coverage. Please try again later."
+    );
+  }
+};
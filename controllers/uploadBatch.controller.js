@@ -0,0 +1,358 @@
+import { BATCH_STATES, UploadBatchModel } from "../models/uploadBatch.model.js";
+import { actorOf } from "../utils/actor.utils.js";
+import { rollbackUploadBatch } from "../utils/batches.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { emitEvent } from "../utils/webhooks.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadBatch:
+ *       type: object
+ *       properties:
+ *         upload_id:
+ *           type: string
+ *           example: "6717a1f4c2a8b5e2d4f0a123"
+ *           description: Also the `upload_id` of every record the upload inserted or overwrote
+ *         state:
+ *           type: string
+ *           enum: [processing, completed, failed, rolled_back]
+ *         files:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "RELIANCE.csv"
+ *               size:
+ *                 type: integer
+ *                 example: 482113
+ *               sha256:
+ *                 type: string
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *         source_workspace:
+ *           type: string
+ *           nullable: true
+ *           description: Workspace the rows were copied from, for copies and merges between workspaces (see `/api/workspaces`)
+ *         uploader:
+ *           type: string
+ *           description: Name of the API key the upload was sent with (the `X-Actor` header, or `anonymous`, when authentication is disabled)
+ *         profile:
+ *           type: string
+ *           nullable: true
+ *         on_conflict:
+ *           type: string
+ *           example: "skip"
+ *         asynchronous:
+ *           type: boolean
+ *         counts:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             accepted:
+ *               type: integer
+ *             rejected:
+ *               type: integer
+ *             warned:
+ *               type: integer
+ *             inserted:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             conflicting:
+ *               type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         rejects_url:
+ *           type: string
+ *           nullable: true
+ *         uploaded_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rollback:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             at:
+ *               type: string
+ *               format: date-time
+ *             by:
+ *               type: string
+ *             deleted:
+ *               type: integer
+ *             restored:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ */
+
+const formatBatch = ({ _id, createdAt, updatedAt, __v, breakdown, ...batch }, details) => ({
+  upload_id: _id,
+  ...batch,
+  source_workspace: batch.source_workspace || null,
+  profile: batch.profile || null,
+  error: batch.error || null,
+  rejects_url: batch.counts.rejected > 0 ? `/upload/${_id}/rejects.csv` : null,
+  uploaded_at: createdAt,
+  finished_at: batch.finished_at || null,
+  rollback: batch.rollback?.at ? batch.rollback : null,
+  ...(details && { files_breakdown: breakdown || [] }),
+});
+
+const notFound = (res, id) =>
+  sendError(res, 404, `No upload found with id '${id}'.`);
+
+/**
+ * @swagger
+ * /uploads:
+ *   get:
+ *     summary: List upload batches
+ *     description: Lists uploads newest first. Pass the `next_before` of a response as `before` to read older ones.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: state
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [processing, completed, failed, rolled_back]
+ *         description: (Optional) Only uploads in this state.
+ *       - in: query
+ *         name: uploader
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only uploads sent by this uploader.
+ *       - in: query
+ *         name: sha256
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only uploads containing a file with this checksum, e.g. to tell whether a file was already loaded.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only uploads older than this upload id.
+ *     responses:
+ *       200:
+ *         description: Upload batches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 uploads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UploadBatch'
+ *                 next_before:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid state, limit or id
+ */
+export const getUploadBatches = async (req, res) => {
+  try {
+    const { state, uploader, sha256, before, limit } = req.query;
+
+    const batches = await UploadBatchModel.find({
+      workspace: req.workspace,
+      ...(state && { state }),
+      ...(uploader && { uploader }),
+      ...(sha256 && { "files.sha256": sha256 }),
+      ...(before && { _id: { $lt: before } }),
+    })
+      .select({ breakdown: 0 })
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = batches.slice(0, limit);
+    res.status(200).json({
+      uploads: page.map((batch) => formatBatch(batch, false)),
+      next_before: batches.length > limit ? page[page.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error in getUploadBatches API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the uploads. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /uploads/{id}:
+ *   get:
+ *     summary: Get an upload batch
+ *     description: Returns the upload with its per-file breakdown (`files_breakdown`), as reported when it finished.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload id returned by `POST /upload` (the job id for asynchronous uploads).
+ *     responses:
+ *       200:
+ *         description: The upload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/UploadBatch'
+ *                 - type: object
+ *                   properties:
+ *                     files_breakdown:
+ *                       type: array
+ *                       description: Per-file outcome, as in the `files` of the `POST /upload` response
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid upload id
+ *       404:
+ *         description: No upload with this id
+ *   delete:
+ *     summary: Roll back an upload
+ *     description: |
+ *       Removes what the upload did to the stored records: rows it inserted are deleted and rows it overwrote get their previous values back. Rows changed after the upload finished, by a later upload or a manual edit, are left as they are and counted as `skipped`; roll back the later upload first to undo them too.
+ *
+ *       The upload is kept, marked `rolled_back`, with the rollback's counts. When rows were deleted, webhooks subscribed to `records.deleted` are notified.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Actor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Who is rolling the upload back. Only read when authentication is disabled; the API key's name is recorded otherwise.
+ *     responses:
+ *       200:
+ *         description: Upload rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadBatch'
+ *       400:
+ *         description: Invalid upload id
+ *       404:
+ *         description: No upload with this id
+ *       409:
+ *         description: The upload is still processing or was already rolled back
+ */
+export const getUploadBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const batch = await UploadBatchModel.findOne({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+    if (!batch) return notFound(res, id);
+    res.status(200).json(formatBatch(batch, true));
+  } catch (error) {
+    console.error("Error in getUploadBatch API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the upload. Please try again later."
+    );
+  }
+};
+
+export const deleteUploadBatch = async (req, res) => {
+  const { id } = req.params;
+
+  let claimed = null;
+  try {
+    // Claim the batch so two rollbacks can't run at once
+    claimed = await UploadBatchModel.findOneAndUpdate(
+      {
+        _id: id,
+        workspace: req.workspace,
+        state: { $in: ["completed", "failed"] },
+      },
+      { state: "rolled_back", rollback: { at: new Date(), by: actorOf(req).actor } }
+    ).lean();
+
+    if (!claimed) {
+      const batch = await UploadBatchModel.findOne({
+        _id: id,
+        workspace: req.workspace,
+      }).lean();
+      if (!batch) return notFound(res, id);
+      return sendError(
+        res,
+        409,
+        batch.state === "processing"
+          ? "The upload is still being processed; roll it back once it has finished."
+          : "The upload has already been rolled back."
+      );
+    }
+
+    const counts = await rollbackUploadBatch(claimed);
+    const batch = await UploadBatchModel.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          "rollback.deleted": counts.deleted,
+          "rollback.restored": counts.restored,
+          "rollback.skipped": counts.skipped,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (counts.deleted > 0) {
+      await emitEvent(req.workspace, "records.deleted", {
+        reason: "upload_rolled_back",
+        deleted: counts.deleted,
+        by: batch.rollback.by,
+        upload_id: batch._id,
+      }).catch((error) => console.error("Error notifying webhooks of a rollback:", error));
+    }
+
+    res.status(200).json(formatBatch(batch, false));
+  } catch (error) {
+    console.error("Error in deleteUploadBatch API:", error);
+    // Let the rollback be retried
+    if (claimed) {
+      await UploadBatchModel.updateOne(
+        { _id: id },
+        { state: claimed.state, $unset: { rollback: 1 } }
+      ).catch(() => {});
+    }
+    sendError(
+      res,
+      500,
+      "An error occurred while rolling back the upload. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,153 @@
+import { UploadJobModel } from "../models/uploadJob.model.js";
+import { sendError } from "../utils/errors.utils.js";
+
+/**
+ * @swagger
+ * /upload/jobs/{id}:
+ *   get:
+ *     summary: Get the status of an asynchronous upload job
+ *     description: Reports the state, progress and timings of an upload started with `POST /upload?async=true`, and its final summary once it has finished.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job id returned by `POST /upload?async=true`.
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 job_id:
+ *                   type: string
+ *                   example: "6717a1f4c2a8b5e2d4f0a123"
+ *                 state:
+ *                   type: string
+ *                   enum: [queued, running, completed, failed]
+ *                   example: running
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["POWERGRID.csv"]
+ *                 profile:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Ingestion profile named on upload; null when it is detected from the header row
+ *                   example: nse_bhavcopy
+ *                 on_conflict:
+ *                   type: string
+ *                   example: skip
+ *                 attempts:
+ *                   type: integer
+ *                   example: 1
+ *                 progress:
+ *                   type: object
+ *                   properties:
+ *                     processed:
+ *                       type: integer
+ *                       example: 3000
+ *                     accepted:
+ *                       type: integer
+ *                       example: 2990
+ *                     rejected:
+ *                       type: integer
+ *                       example: 10
+ *                 rejects_url:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Download link for the rejected rows; the job id doubles as the upload id
+ *                   example: "/upload/6717a1f4c2a8b5e2d4f0a123/rejects.csv"
+ *                 timings:
+ *                   type: object
+ *                   properties:
+ *                     queued_at:
+ *                       type: string
+ *                       format: date-time
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                     finished_at:
+ *                       type: string
+ *                       format: date-time
+ *                     duration_ms:
+ *                       type: integer
+ *                       example: 5230
+ *                 result:
+ *                   type: object
+ *                   description: Final summary, same shape as the synchronous upload response
+ *                 error:
+ *                   type: object
+ *                   description: Failure reason when the job failed
+ *       400:
+ *         description: Invalid job id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'id'. It must be a valid id."}}
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No upload job found with id '6717a1f4c2a8b5e2d4f0a123'."}}
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while fetching the upload job. Please try again later."}}
+ */
+
+export const getUploadJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await UploadJobModel.findOne({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+
+    if (!job) {
+      return sendError(res, 404, `No upload job found with id '${id}'.`);
+    }
+
+    const startedAt = job.started_at && job.started_at.getTime();
+    const endedAt = job.finished_at ? job.finished_at.getTime() : Date.now();
+
+    res.status(200).json({
+      job_id: job._id,
+      state: job.state,
+      files: job.files.map(({ name }) => name),
+      profile: job.profile || null,
+      on_conflict: job.on_conflict,
+      attempts: job.attempts,
+      progress: job.progress,
+      rejects_url:
+        job.progress.rejected > 0 ? `/upload/${job._id}/rejects.csv` : null,
+      timings: {
+        queued_at: job.createdAt,
+        started_at: job.started_at || null,
+        finished_at: job.finished_at || null,
+        duration_ms: startedAt ? endedAt - startedAt : null,
+      },
+      result: job.result || null,
+      error: job.error || null,
+    });
+  } catch (error) {
+    console.error("Error in getUploadJob API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the upload job. Please try again later."
+    );
+  }
+};
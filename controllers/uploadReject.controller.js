@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import { UploadBatchModel } from "../models/uploadBatch.model.js";
+import { UploadRejectModel } from "../models/uploadReject.model.js";
+import { toCSVLine } from "../utils/csv.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { writeChunk } from "../utils/http.utils.js";
+
+/**
+ * @swagger
+ * /upload/{uploadId}/rejects.csv:
+ *   get:
+ *     summary: Download the rejected rows of an upload
+ *     description: Returns the original rejected rows of an upload as CSV, in the order they were found, with an extra `Errors` column naming the file and line of each row and why it was rejected. Columns are every column found in the rejected rows, in the order they first appear; rows leave the columns they lack empty. Records that couldn't be parsed at all (e.g. malformed JSON lines) leave every column empty, and their original text is quoted in `Errors`, so they have to be filled in before the file is uploaded again.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload id returned by `POST /upload` (the job id for asynchronous uploads).
+ *     responses:
+ *       200:
+ *         description: Rejected rows as CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 Date,Symbol,Series,Prev Close,Open,High,Low,Last,Close,VWAP,Volume,Turnover,Trades,Deliverable Volume,%Deliverble,Errors
+ *                 2007-10-05,POWERGRID,EQ,52.0,89.8,109.5,83.15,100.2,100.6,-,481058927,4930560669525000.0,,181390171,0.3771,"POWERGRID.csv line 2: VWAP NOT_NUMERIC '-'; Trades MISSING_VALUE ''"
+ *       400:
+ *         description: Invalid upload id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "validation_error", "message": "Invalid 'uploadId'. It must be a valid id."}}
+ *       404:
+ *         description: No rejected rows stored for this upload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "not_found", "message": "No rejected rows found for upload '6717a1f4c2a8b5e2d4f0a123'."}}
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while exporting the rejected rows. Please try again later."}}
+ */
+
+// Columns of the rejected rows of an upload, in the order they first appear
+// (rows from different files differ). Records that couldn't be parsed have
+// no columns: their text only goes in `Errors`.
+const rejectColumns = async (uploadId) => {
+  const columns = await UploadRejectModel.aggregate([
+    {
+      $match: {
+        upload_id: new mongoose.Types.ObjectId(uploadId),
+        unparsed: { $ne: true },
+      },
+    },
+    {
+      $project: {
+        column: { $map: { input: { $objectToArray: "$row" }, in: "$$this.k" } },
+      },
+    },
+    { $unwind: { path: "$column", includeArrayIndex: "position" } },
+    {
+      $group: {
+        _id: "$column",
+        first: { $min: { reject: "$_id", position: "$position" } },
+      },
+    },
+    { $sort: { "first.reject": 1, "first.position": 1 } },
+  ]).allowDiskUse(true);
+  return columns.map(({ _id }) => _id);
+};
+
+// Human readable summary of a row's errors for the `Errors` column
+const describeErrors = (reject) =>
+  `${reject.file ? `${reject.file} ` : ""}line ${reject.line}: ` +
+  reject.validation_errors
+    .map(({ field, code, value }) => `${field} ${code} '${value}'`)
+    .join("; ");
+
+export const getUploadRejects = async (req, res) => {
+  const { uploadId } = req.params;
+
+  const cursor = UploadRejectModel.find({ upload_id: uploadId })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  try {
+    // Rejects can only be read from the workspace the upload wrote to
+    if (!(await UploadBatchModel.exists({ _id: uploadId, workspace: req.workspace }))) {
+      await cursor.close();
+      return sendError(res, 404, `No rejected rows found for upload '${uploadId}'.`);
+    }
+
+    let headers = null;
+
+    for await (const reject of cursor) {
+      if (!headers) {
+        headers = await rejectColumns(uploadId);
+        res.status(200);
+        res.set("Content-Type", "text/csv");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="rejects-${uploadId}.csv"`
+        );
+        res.write(toCSVLine([...headers, "Errors"]));
+      }
+
+      const line = toCSVLine([
+        ...headers.map((header) => (reject.unparsed ? "" : reject.row[header])),
+        describeErrors(reject),
+      ]);
+      // Stop reading when the client has gone away
+      if (!(await writeChunk(res, line))) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    if (!headers) {
+      return sendError(res, 404, `No rejected rows found for upload '${uploadId}'.`);
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Error in getUploadRejects API:", error);
+    await cursor.close();
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendError(
+      res,
+      500,
+      "An error occurred while exporting the rejected rows. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,92 @@
+import { sendError } from "../utils/errors.utils.js";
+import { RATE_LIMITS, callerOf, limitOf, readUsage } from "../utils/usage.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LimitUsage:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *           description: The limit of the current window; null when the key has no limit
+ *           example: 600
+ *         used:
+ *           type: integer
+ *           example: 42
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *           example: 558
+ *         reset:
+ *           type: integer
+ *           description: Seconds until the window resets
+ *           example: 18
+ *
+ * /usage:
+ *   get:
+ *     summary: Get the caller's rate limit usage
+ *     description: |
+ *       Shows how much of each rate limit the API key has used in the current window:
+ *
+ *       - `requests_per_minute`: requests to `/api/*`.
+ *       - `uploads_per_day`: `POST /upload` calls, per UTC day.
+ *       - `rows_per_day`: rows read from uploads, per UTC day. Rows are counted when an upload finishes, and uploads are refused once the day's rows are used up.
+ *
+ *       Responses counted against a limit carry `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers, and requests over a limit get a 429 with `Retry-After`. Checking usage doesn't count against any limit.
+ *     responses:
+ *       200:
+ *         description: Usage of each limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The API key usage is counted against; null when authentication is disabled
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     prefix:
+ *                       type: string
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     requests_per_minute:
+ *                       $ref: '#/components/schemas/LimitUsage'
+ *                     uploads_per_day:
+ *                       $ref: '#/components/schemas/LimitUsage'
+ *                     rows_per_day:
+ *                       $ref: '#/components/schemas/LimitUsage'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+export const getUsage = async (req, res) => {
+  try {
+    const caller = callerOf(req);
+    const usage = {};
+    for (const name of Object.keys(RATE_LIMITS)) {
+      usage[name] = await readUsage(caller, name, limitOf(req, name));
+    }
+
+    res.status(200).json({
+      key: req.apiKey
+        ? { name: req.apiKey.name, role: req.apiKey.role, prefix: req.apiKey.prefix }
+        : null,
+      usage,
+    });
+  } catch (error) {
+    console.error("Error in getUsage API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the usage. Please try again later."
+    );
+  }
+};
@@ -1,12 +1,50 @@
-import { RecordModel } from "../models/record.model.js";
+import mongoose from "mongoose";
+import { actorOf } from "../utils/actor.utils.js";
+import { finishUploadBatch, startUploadBatch } from "../utils/batches.utils.js";
+import { sendError, sendValidationErrors } from "../utils/errors.utils.js";
+import { ingestFiles } from "../utils/ingest.utils.js";
+import { createUploadJob } from "../utils/jobs.utils.js";
+import { loadProfiles } from "../utils/profiles.utils.js";
+import { addUsage, callerOf } from "../utils/usage.utils.js";
+import { RecordConflictError } from "../utils/records.utils.js";
 
 // Controller to handle database insertion
 /**
  * @swagger
  * /upload:
  *   post:
- *     summary: Upload CSV and insert valid stock records
- *     description: Uploads a CSV file and inserts valid stock records into the database after validation.
+ *     summary: Upload stock data files and upsert valid stock records
+ *     description: Uploads one or more files and upserts valid stock records into the database while they stream, in bounded batches. Each file may be CSV, NDJSON or a JSON array of objects, optionally gzipped, or a zip archive of such files (one per trading day, for example). Formats are detected from the content, not the file name, and every record goes through the same validation. Rows are matched on their natural key (symbol, series, date), so uploading the same file twice does not duplicate data. Once the upload finishes, webhooks subscribed to `upload.completed` or `upload.failed` receive its summary (see `/api/webhooks`).
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: query
+ *         name: on_conflict
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [skip, overwrite, fail]
+ *           default: skip
+ *         description: What to do when a stored row has different values than the uploaded one. `skip` keeps the stored row, `overwrite` replaces it and `fail` stops the upload at the first batch containing a conflict and rolls back the batches written before it, so nothing is changed.
+ *       - in: query
+ *         name: profile
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: nse_bhavcopy
+ *         description: Ingestion profile describing the file's layout (header aliases, date formats, thousands separator, defaults). When omitted, the profile is detected from the header row. See `GET /upload/profiles`.
+ *       - in: query
+ *         name: async
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Process the files in the background and return a job id right away. Poll `GET /upload/jobs/{id}` for progress and the final summary.
+ *       - in: header
+ *         name: X-Actor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Who is uploading, recorded with the upload batch (see `GET /uploads`). Only read when authentication is disabled; the API key's name is recorded otherwise.
  *     requestBody:
  *       required: true
  *       content:
@@ -15,12 +53,14 @@ import { RecordModel } from "../models/record.model.js";
  *             type: object
  *             properties:
  *               csvFile:
- *                 type: string
- *                 format: binary
- *                 description: CSV file containing stock data
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Files containing stock data (CSV, NDJSON, JSON array, gzip or zip)
  *     responses:
  *       201:
- *         description: Records inserted successfully
+ *         description: Records upserted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -28,60 +68,44 @@ import { RecordModel } from "../models/record.model.js";
  *               properties:
  *                 msg:
  *                   type: string
- *                   example: Records inserted successfully
- *                 insertedRecords:
+ *                   example: Records upserted successfully
+ *                 upload_id:
+ *                   type: string
+ *                   example: "6717a1f4c2a8b5e2d4f0a123"
+ *                   description: Id of the upload batch (`GET /uploads/{id}`); written records carry it as `upload_id`
+ *                 rejects_url:
+ *                   type: string
+ *                   description: Download link for the rejected rows, present when some rows were rejected
+ *                   example: "/upload/6717a1f4c2a8b5e2d4f0a123/rejects.csv"
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     inserted:
+ *                       type: integer
+ *                       example: 240
+ *                     updated:
+ *                       type: integer
+ *                       example: 0
+ *                     unchanged:
+ *                       type: integer
+ *                       example: 10
+ *                     conflicting:
+ *                       type: integer
+ *                       example: 2
+ *                 conflicts:
  *                   type: array
+ *                   description: Sample of rows whose stored values differ from the uploaded ones and were not written
  *                   items:
- *                     type: object
- *                     properties:
- *                       date:
- *                         type: string
- *                         format: date
- *                         example: "2024-10-20"
- *                       symbol:
- *                         type: string
- *                         example: "AAPL"
- *                       series:
- *                         type: string
- *                         example: "EQ"
- *                       prev_close:
- *                         type: number
- *                         example: 150.25
- *                       open:
- *                         type: number
- *                         example: 151.0
- *                       high:
- *                         type: number
- *                         example: 153.5
- *                       low:
- *                         type: number
- *                         example: 149.75
- *                       last:
- *                         type: number
- *                         example: 152.0
- *                       close:
- *                         type: number
- *                         example: 152.25
- *                       vwap:
- *                         type: number
- *                         example: 151.5
- *                       volume:
- *                         type: number
- *                         example: 100000
- *                       turnover:
- *                         type: number
- *                         example: 5000000
- *                       trades:
- *                         type: number
- *                         example: 2000
- *                       deliverable:
- *                         type: number
- *                         example: 50000
- *                       percentage_deliverable:
- *                         type: number
- *                         example: 50.0
- *       400:
- *         description: No valid rows to insert
+ *                     $ref: '#/components/schemas/RecordConflict'
+ *                 validationDetails:
+ *                   $ref: '#/components/schemas/ValidationDetails'
+ *                 files:
+ *                   type: array
+ *                   description: Per-file breakdown; archives get one entry per file inside them
+ *                   items:
+ *                     $ref: '#/components/schemas/FileBreakdown'
+ *       202:
+ *         description: Upload accepted for background processing (`async=true`)
  *         content:
  *           application/json:
  *             schema:
@@ -89,58 +113,169 @@ import { RecordModel } from "../models/record.model.js";
  *               properties:
  *                 msg:
  *                   type: string
- *                   example: No valid rows to insert into the database
+ *                   example: Upload accepted for background processing
+ *                 job_id:
+ *                   type: string
+ *                   example: "6717a1f4c2a8b5e2d4f0a123"
+ *                   description: Also the id of the upload batch (`GET /uploads/{id}`)
+ *                 status_url:
+ *                   type: string
+ *                   example: "/upload/jobs/6717a1f4c2a8b5e2d4f0a123"
+ *       400:
+ *         description: "Invalid query parameters or unknown profile (`validation_error`), no readable file with the required columns (`invalid_file`, with the per-file breakdown in `details.files`) or no valid rows to insert (`no_valid_rows`, with the reject counts and samples in `details`)"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "no_valid_rows", "message": "No valid rows to insert into the database"}}
+ *       409:
+ *         description: "Conflicting rows found with `on_conflict=fail` (`record_conflict`); nothing was written, as the batches written before the conflict were rolled back. `details` holds the `upload_id`, the `summary` of the batches that were rolled back, the `rolled_back` counts, a sample of `conflicts` (see RecordConflict) and the per-file breakdown."
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "record_conflict", "message": "Conflicting records found", "details": {"upload_id": "6717a1f4c2a8b5e2d4f0a123", "summary": {}, "conflicts": []}}}
+ *       429:
+ *         description: The API key's daily upload or row limit is used up (see `GET /usage`); retry after the `Retry-After` seconds
  *       500:
  *         description: Database insertion failed
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 msg:
- *                   type: string
- *                   example: DB insertion failed
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "DB insertion failed. Please try again later."}}
+ *
+ * components:
+ *   schemas:
+ *     RecordConflict:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *           example: "AAPL"
+ *         series:
+ *           type: string
+ *           example: "EQ"
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: "2024-10-20"
+ *         differences:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: close
+ *               existing:
+ *                 type: number
+ *                 example: 152.25
+ *               incoming:
+ *                 type: number
+ *                 example: 152.5
  */
 
 export const insertValidRecords = async (req, res) => {
-  const validRows = req.validRows || [];
+  const { on_conflict: onConflict, profile } = req.query;
 
-  if (validRows.length > 0) {
-    try {
-      const insertedRecords = await RecordModel.insertMany(
-        validRows.map((row) => ({
-          date: row.Date,
-          symbol: row.Symbol,
-          series: row.Series,
-          prev_close: row["Prev Close"],
-          open: row.Open,
-          high: row.High,
-          low: row.Low,
-          last: row.Last,
-          close: row.Close,
-          vwap: row.VWAP,
-          volume: row.Volume,
-          turnover: row.Turnover,
-          trades: row.Trades,
-          deliverable: row["Deliverable Volume"],
-          percentage_deliverable: row["%Deliverble"],
-        }))
-      );
+  let uploadId = null;
+  try {
+    const { workspace } = req;
+    if (profile && (await loadProfiles(profile, workspace)).length === 0) {
+      return sendValidationErrors(res, [
+        {
+          in: "query",
+          name: "profile",
+          message: `Invalid 'profile'. No ingestion profile named '${profile}'; see GET /upload/profiles.`,
+        },
+      ]);
+    }
+
+    const files = req.files.map((file) => ({
+      name: file.originalname,
+      path: file.path,
+    }));
+    const { actor: uploader, ip } = actorOf(req);
+
+    // Process the files in the background and hand back a job id right away
+    if (req.query.async) {
+      const job = await createUploadJob(files, {
+        workspace,
+        profile,
+        onConflict,
+        uploader,
+        ip,
+        caller: callerOf(req),
+      });
+      return res.status(202).json({
+        msg: "Upload accepted for background processing",
+        job_id: job._id,
+        status_url: `/upload/jobs/${job._id}`,
+      });
+    }
 
-      return res.status(201).json({
-        msg: "Records inserted successfully",
-        insertedRecords,
-        validationDetails: req.validationDetails,
+    uploadId = new mongoose.Types.ObjectId();
+    await startUploadBatch(uploadId, files, {
+      workspace,
+      uploader,
+      ip,
+      profile,
+      onConflict,
+    });
+    const result = await ingestFiles(files, { uploadId, workspace, profile, onConflict });
+    await finishUploadBatch(uploadId, { result });
+    await addUsage(callerOf(req), "rows_per_day", result.validation.totalRecords).catch(
+      (usageError) => console.error("Error counting upload usage:", usageError)
+    );
+
+    const { validation, summary, conflicts, files: breakdown } = result;
+    const rejects =
+      validation.failedRecords > 0
+        ? { upload_id: uploadId, rejects_url: `/upload/${uploadId}/rejects.csv` }
+        : { upload_id: uploadId };
+
+    if (!validation.success) {
+      return sendError(res, 400, "Validation failed", {
+        code: "invalid_file",
+        details: { files: breakdown },
+      });
+    }
+
+    if (validation.successfulRecords === 0) {
+      return sendError(res, 400, "No valid rows to insert into the database", {
+        code: "no_valid_rows",
+        details: { ...rejects, validationDetails: validation, files: breakdown },
+      });
+    }
+
+    return res.status(201).json({
+      msg: "Records upserted successfully",
+      ...rejects,
+      summary,
+      conflicts,
+      validationDetails: validation,
+      files: breakdown,
+    });
+  } catch (error) {
+    if (uploadId) {
+      await finishUploadBatch(uploadId, { error }).catch((batchError) =>
+        console.error("Error recording the upload batch", batchError)
+      );
+    }
+    if (error instanceof RecordConflictError) {
+      return sendError(res, 409, error.message, {
+        code: "record_conflict",
+        details: {
+          upload_id: uploadId,
+          summary: error.summary,
+          rolled_back: error.rolledBack,
+          conflicts: error.conflicts,
+          files: error.files,
+        },
       });
-    } catch (error) {
-      console.error("Error during DB insertion", error);
-      return res.status(500).json({ msg: "DB insertion failed", error });
     }
-  } else {
-    return res
-      .status(400)
-      .json({ msg: "No valid rows to insert into the database" });
+    console.error("Error during DB insertion", error);
+    sendError(res, 500, "DB insertion failed. Please try again later.");
   }
 };
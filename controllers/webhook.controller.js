@@ -0,0 +1,561 @@
+import { WebhookModel } from "../models/webhook.model.js";
+import { WebhookDeliveryModel } from "../models/webhookDelivery.model.js";
+import { actorOf } from "../utils/actor.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { generateWebhookSecret, replayDelivery } from "../utils/webhooks.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "6717a1f4c2a8b5e2d4f0a789"
+ *         workspace:
+ *           type: string
+ *           example: "default"
+ *         url:
+ *           type: string
+ *           example: "https://etl.example.com/hooks/stocks"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [upload.completed, upload.failed, records.deleted]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *           description: Paused webhooks receive no new events
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     CreatedWebhook:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Webhook'
+ *         - type: object
+ *           properties:
+ *             secret:
+ *               type: string
+ *               example: "whsec_Q2x9fA3kLm0pZ7rT1vYb8nWc5dEh4jGs"
+ *               description: The secret deliveries are signed with. It is only returned here and can't be read again.
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Sent as `X-Webhook-Delivery`
+ *         webhook:
+ *           type: string
+ *         event:
+ *           type: string
+ *           example: "upload.completed"
+ *         state:
+ *           type: string
+ *           enum: [pending, sending, delivered, failed]
+ *         payload:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: integer
+ *                 description: HTTP status of the response; missing when none came back
+ *                 example: 503
+ *               error:
+ *                 type: string
+ *                 example: "503 Service Unavailable"
+ *                 description: Status line of the response, or why none came back. Response bodies are not kept.
+ *               duration_ms:
+ *                 type: integer
+ *                 example: 120
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         replay_of:
+ *           type: string
+ *           nullable: true
+ *           description: Delivery this one replays
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookEvent:
+ *       type: object
+ *       description: |
+ *         The JSON body POSTed to a webhook. For `upload.completed` and `upload.failed`, `data` is the upload's summary: its id, state, files, uploader, counts, per-file breakdown and error. For `records.deleted` it has the `reason` (`record_deleted` or `upload_rolled_back`), the number of rows `deleted`, who deleted them (`by`), and the deleted `records` or the rolled back `upload_id`.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "evt_3b0d7c52-9e0f-4a53-a6f4-1f0b2f8a8c11"
+ *           description: Same for every delivery and replay of the event, to ignore duplicates
+ *         event:
+ *           type: string
+ *           example: "upload.completed"
+ *         workspace:
+ *           type: string
+ *           example: "default"
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ */
+
+const formatWebhook = ({ _id, secret, createdAt, updatedAt, __v, ...webhook }) => ({
+  id: _id,
+  ...webhook,
+  description: webhook.description || null,
+  created_at: createdAt,
+});
+
+const formatDelivery = ({ _id, workspace, createdAt, updatedAt, __v, ...delivery }) => ({
+  id: _id,
+  ...delivery,
+  next_attempt_at: delivery.next_attempt_at || null,
+  delivered_at: delivery.delivered_at || null,
+  created_at: createdAt,
+});
+
+const notFound = (res, id) => sendError(res, 404, `No webhook found with id '${id}'.`);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: Lists the workspace's webhooks, newest first, without their secrets.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Subscribe a webhook to events
+ *     description: |
+ *       Events of the workspace are POSTed to `url` as JSON (see `WebhookEvent`) with these headers:
+ *
+ *       - `X-Webhook-Event`: the event type
+ *       - `X-Webhook-Delivery`: the delivery id
+ *       - `X-Webhook-Signature`: `t=<unix seconds>,v1=<signature>`, the signature being the hex HMAC-SHA256 of `<t>.<body>` keyed with the secret. Check it, and that `t` is recent, before trusting the body.
+ *
+ *       Any 2xx response counts as delivered. Other responses, redirects, network errors and timeouts are retried with exponential backoff (30 s, 1 min, 2 min, ... by default) until 6 attempts have been made; the delivery is then marked failed and can be replayed. `npm run webhook-receiver` starts a receiver that prints and verifies deliveries, for testing.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: "https://etl.example.com/hooks/stocks"
+ *                 description: http or https URL. Loopback, private and link-local addresses, and names resolving to them, are refused (names when each delivery connects) unless the server runs with `WEBHOOK_ALLOW_PRIVATE_URLS=true`.
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [upload.completed, upload.failed, records.deleted]
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *                 description: (Optional) Secret to sign deliveries with; one is generated when omitted
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CreatedWebhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await WebhookModel.find({ workspace: req.workspace })
+      .sort({ _id: -1 })
+      .lean();
+    res.status(200).json({ webhooks: webhooks.map(formatWebhook) });
+  } catch (error) {
+    console.error("Error in getWebhooks API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the webhooks. Please try again later."
+    );
+  }
+};
+
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events, secret = generateWebhookSecret(), description, active } = req.body;
+
+    const webhook = await WebhookModel.create({
+      workspace: req.workspace,
+      url,
+      events,
+      secret,
+      description,
+      active,
+      created_by: actorOf(req).actor,
+    });
+    res.status(201).json({ ...formatWebhook(webhook.toObject()), secret });
+  } catch (error) {
+    console.error("Error in createWebhook API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while creating the webhook. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   patch:
+ *     summary: Change a webhook
+ *     description: Only the given fields change. Deliveries already queued are sent to the new URL with the new secret.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [upload.completed, upload.failed, records.deleted]
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 description: "`false` pauses the webhook: it receives no new events until reactivated"
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Deletes the webhook and its delivery log. Deliveries still pending are dropped.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+export const getWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const webhook = await WebhookModel.findOne({ _id: id, workspace: req.workspace }).lean();
+    if (!webhook) return notFound(res, id);
+
+    res.status(200).json(formatWebhook(webhook));
+  } catch (error) {
+    console.error("Error in getWebhook API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the webhook. Please try again later."
+    );
+  }
+};
+
+export const updateWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { url, events, secret, description, active } = req.body;
+
+    const webhook = await WebhookModel.findOneAndUpdate(
+      { _id: id, workspace: req.workspace },
+      {
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events }),
+        ...(secret !== undefined && { secret }),
+        ...(description !== undefined && { description }),
+        ...(active !== undefined && { active }),
+      },
+      { new: true }
+    ).lean();
+    if (!webhook) return notFound(res, id);
+
+    res.status(200).json(formatWebhook(webhook));
+  } catch (error) {
+    console.error("Error in updateWebhook API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while updating the webhook. Please try again later."
+    );
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const webhook = await WebhookModel.findOneAndDelete({
+      _id: id,
+      workspace: req.workspace,
+    }).lean();
+    if (!webhook) return notFound(res, id);
+
+    await WebhookDeliveryModel.deleteMany({ webhook: webhook._id });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in deleteWebhook API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while deleting the webhook. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries
+ *     description: The delivery log, newest first, with every attempt made. Pass the `next_before` of a response as `before` to read older ones.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, delivered, failed]
+ *         description: (Optional) Only deliveries in this state.
+ *       - in: query
+ *         name: event
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [upload.completed, upload.failed, records.deleted]
+ *         description: (Optional) Only deliveries of this event.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: (Optional) Only deliveries older than this delivery id.
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 next_before:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { state, event, before, limit } = req.query;
+
+    if (!(await WebhookModel.exists({ _id: id, workspace: req.workspace }))) {
+      return notFound(res, id);
+    }
+
+    const deliveries = await WebhookDeliveryModel.find({
+      webhook: id,
+      ...(state && { state }),
+      ...(event && { event }),
+      ...(before && { _id: { $lt: before } }),
+    })
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = deliveries.slice(0, limit);
+    res.status(200).json({
+      deliveries: page.map(formatDelivery),
+      next_before: deliveries.length > limit ? page[page.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error in getWebhookDeliveries API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while fetching the deliveries. Please try again later."
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery
+ *     description: Sends the delivery's payload again, as a new delivery with its own attempts and retries. The payload, and its `id`, are unchanged. Deliveries still pending can't be replayed.
+ *     parameters:
+ *       - $ref: '#/components/parameters/workspace'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+
+    if (!(await WebhookModel.exists({ _id: id, workspace: req.workspace }))) {
+      return notFound(res, id);
+    }
+    const delivery = await WebhookDeliveryModel.findOne({
+      _id: deliveryId,
+      webhook: id,
+    }).lean();
+    if (!delivery) {
+      return sendError(res, 404, `No delivery found with id '${deliveryId}'.`);
+    }
+    if (!["delivered", "failed"].includes(delivery.state)) {
+      return sendError(res, 409, "The delivery is still pending; wait for it to finish.");
+    }
+
+    const replay = await replayDelivery(delivery);
+    res.status(202).json(formatDelivery(replay.toObject()));
+  } catch (error) {
+    console.error("Error in replayWebhookDelivery API:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while replaying the delivery. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,420 @@
+import mongoose from "mongoose";
+import { RecordModel } from "../models/record.model.js";
+import { WorkspaceModel } from "../models/workspace.model.js";
+import { actorOf } from "../utils/actor.utils.js";
+import { finishUploadBatch, startUploadBatch } from "../utils/batches.utils.js";
+import { sendError, validationDetails } from "../utils/errors.utils.js";
+import { recordFilter } from "../utils/recordQuery.utils.js";
+import { RecordConflictError } from "../utils/records.utils.js";
+import { copyWorkspaceRecords, workspaceExists } from "../utils/workspaces.utils.js";
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     workspace:
+ *       in: header
+ *       name: X-Workspace
+ *       required: false
+ *       schema:
+ *         type: string
+ *         default: default
+ *       description: (Optional) Workspace to read and write. Ignored for API keys limited to a workspace, which always use theirs (a different value gets a 403).
+ *   schemas:
+ *     Workspace:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "derivatives-desk"
+ *           description: Lower case letters, digits, `-` and `_`
+ *         description:
+ *           type: string
+ *           example: "Prices as uploaded by the derivatives desk"
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WorkspaceCopy:
+ *       type: object
+ *       required:
+ *         - from
+ *       properties:
+ *         from:
+ *           type: string
+ *           example: "default"
+ *           description: Workspace to copy records from
+ *         symbol:
+ *           type: string
+ *           example: "RELIANCE,TCS"
+ *           description: (Optional) Comma-separated symbols to copy; all by default
+ *         series:
+ *           type: string
+ *           description: (Optional) Comma-separated series to copy
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           description: (Optional) Only copy records on or after this date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           description: (Optional) Only copy records on or before this date
+ *     WorkspaceCopyResult:
+ *       type: object
+ *       properties:
+ *         workspace:
+ *           type: string
+ *         source_workspace:
+ *           type: string
+ *         upload_id:
+ *           type: string
+ *           description: The copy is recorded as an upload of the target workspace and can be rolled back with `DELETE /uploads/{id}`
+ *         read:
+ *           type: integer
+ *           description: Records read from the source workspace
+ *         summary:
+ *           type: object
+ *           properties:
+ *             inserted:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             conflicting:
+ *               type: integer
+ */
+
+const formatWorkspace = ({ _id, __v, createdAt, updatedAt, ...workspace }) => ({
+  ...workspace,
+  created_at: createdAt,
+});
+
+const notFound = (res, name) =>
+  sendError(res, 404, `No workspace named '${name}'.`);
+
+// Creating and filling workspaces is for keys that aren't limited to one
+const boundKey = (req, res) => {
+  if (!req.apiKey?.workspace) return false;
+  sendError(
+    res,
+    403,
+    `This API key can only use the '${req.apiKey.workspace}' workspace.`
+  );
+  return true;
+};
+
+const handleWorkspaceError = (res, error, action) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return sendError(res, 400, `Invalid workspace: ${error.message}`, {
+      code: "validation_error",
+      details: validationDetails(error),
+    });
+  }
+  if (error.code === 11000) {
+    return sendError(res, 409, "A workspace with this name already exists.");
+  }
+  console.error(`Error in ${action} API:`, error);
+  sendError(
+    res,
+    500,
+    "An error occurred while managing workspaces. Please try again later."
+  );
+};
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List workspaces
+ *     description: Lists the workspaces the API key can use; all of them unless the key is limited to one.
+ *     responses:
+ *       200:
+ *         description: Workspaces
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workspaces:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ *   post:
+ *     summary: Create a workspace
+ *     description: Creates an empty workspace. Records, uploads and ingestion profiles are kept per workspace; trading calendars and corporate actions are shared by all of them.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invalid name
+ *       403:
+ *         description: The API key is limited to a workspace, or isn't an admin key
+ *       409:
+ *         description: A workspace with this name already exists
+ */
+export const getWorkspaces = async (req, res) => {
+  try {
+    const bound = req.apiKey?.workspace;
+    const workspaces = await WorkspaceModel.find(bound ? { name: bound } : {})
+      .sort({ name: 1 })
+      .lean();
+    res.status(200).json({ workspaces: workspaces.map(formatWorkspace) });
+  } catch (error) {
+    handleWorkspaceError(res, error, "getWorkspaces");
+  }
+};
+
+export const createWorkspace = async (req, res) => {
+  try {
+    if (boundKey(req, res)) return;
+
+    const { name, description } = req.body || {};
+    const workspace = await WorkspaceModel.create({
+      name,
+      description,
+      created_by: actorOf(req).actor,
+    });
+    res.status(201).json(formatWorkspace(workspace.toObject()));
+  } catch (error) {
+    handleWorkspaceError(res, error, "createWorkspace");
+  }
+};
+
+/**
+ * @swagger
+ * /api/workspaces/{name}:
+ *   get:
+ *     summary: Get a workspace
+ *     description: Returns the workspace with the number of records and symbols it holds.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The workspace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Workspace'
+ *                 - type: object
+ *                   properties:
+ *                     records:
+ *                       type: integer
+ *                     symbols:
+ *                       type: integer
+ *       404:
+ *         description: No workspace with this name
+ */
+export const getWorkspace = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const bound = req.apiKey?.workspace;
+    const workspace =
+      !bound || bound === name ? await WorkspaceModel.findOne({ name }).lean() : null;
+    if (!workspace) return notFound(res, name);
+
+    const [records, symbols] = await Promise.all([
+      RecordModel.countDocuments({ workspace: name }),
+      RecordModel.distinct("symbol", { workspace: name }),
+    ]);
+    res.status(200).json({ ...formatWorkspace(workspace), records, symbols: symbols.length });
+  } catch (error) {
+    handleWorkspaceError(res, error, "getWorkspace");
+  }
+};
+
+/**
+ * Copy the selected records of `req.body.from` into the workspace `name`,
+ * recorded as an upload of that workspace. With `create`, the target
+ * workspace is created first and must not exist yet.
+ */
+const transferRecords = async (req, res, { create, action }) => {
+  const { name } = req.params;
+  const { from, description } = req.body;
+  const onConflict = create ? "skip" : req.body.on_conflict;
+
+  if (boundKey(req, res)) return;
+
+  if (from === name) {
+    return sendError(res, 400, "A workspace can't be copied into itself.");
+  }
+  const filter = recordFilter(req.body);
+
+  let uploadId = null;
+  try {
+    if (!(await workspaceExists(from))) return notFound(res, from);
+    if (!create && !(await workspaceExists(name))) return notFound(res, name);
+
+    if (!(await RecordModel.exists({ ...filter, workspace: from }))) {
+      return sendError(
+        res,
+        400,
+        `No records in workspace '${from}' match the selection.`
+      );
+    }
+
+    const { actor, ip } = actorOf(req);
+    if (create) {
+      await WorkspaceModel.create({ name, description, created_by: actor });
+    }
+
+    uploadId = new mongoose.Types.ObjectId();
+    await startUploadBatch(uploadId, [], {
+      workspace: name,
+      sourceWorkspace: from,
+      uploader: actor,
+      ip,
+      onConflict,
+    });
+    const { read, summary } = await copyWorkspaceRecords(from, name, filter, {
+      uploadId,
+      onConflict,
+    });
+    await finishUploadBatch(uploadId, {
+      result: {
+        validation: { success: true, totalRecords: read, successfulRecords: read },
+        summary,
+      },
+    });
+
+    res.status(create ? 201 : 200).json({
+      workspace: name,
+      source_workspace: from,
+      upload_id: uploadId,
+      read,
+      summary,
+    });
+  } catch (error) {
+    if (uploadId) {
+      await finishUploadBatch(uploadId, { error }).catch((batchError) =>
+        console.error("Error recording the upload batch", batchError)
+      );
+    }
+    if (error instanceof RecordConflictError) {
+      return sendError(res, 409, error.message, {
+        code: "record_conflict",
+        details: {
+          upload_id: uploadId,
+          summary: error.summary,
+          rolled_back: error.rolledBack,
+          conflicts: error.conflicts,
+        },
+      });
+    }
+    handleWorkspaceError(res, error, action);
+  }
+};
+
+/**
+ * @swagger
+ * /api/workspaces/{name}/copy:
+ *   post:
+ *     summary: Create a workspace from another one's records
+ *     description: Creates the workspace `name` and copies the selected records of `from` into it. Ingestion profiles and upload history stay with the source workspace.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workspace to create
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WorkspaceCopy'
+ *               - type: object
+ *                 properties:
+ *                   description:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created with the copied records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceCopyResult'
+ *       400:
+ *         description: Invalid selection, or no records match it
+ *       403:
+ *         description: The API key is limited to a workspace, or isn't an admin key
+ *       404:
+ *         description: The source workspace doesn't exist
+ *       409:
+ *         description: A workspace with this name already exists
+ */
+export const copyWorkspace = (req, res) =>
+  transferRecords(req, res, { create: true, action: "copyWorkspace" });
+
+/**
+ * @swagger
+ * /api/workspaces/{name}/merge:
+ *   post:
+ *     summary: Merge another workspace's records into a workspace
+ *     description: |
+ *       Upserts the selected records of `from` into the workspace `name` on their natural key (symbol, series, date). Records that differ are handled by `on_conflict` as in an upload: `skip` keeps the target's values, `overwrite` takes the source's and `fail` stops at the first conflict and undoes what was copied, leaving the target unchanged.
+ *
+ *       The merge is recorded as an upload of the target workspace, so it can be rolled back with `DELETE /uploads/{id}`.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workspace to merge into
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WorkspaceCopy'
+ *               - type: object
+ *                 properties:
+ *                   on_conflict:
+ *                     type: string
+ *                     enum: [skip, overwrite, fail]
+ *                     default: skip
+ *     responses:
+ *       200:
+ *         description: Records merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceCopyResult'
+ *       400:
+ *         description: Invalid selection or on_conflict, or no records match the selection
+ *       403:
+ *         description: The API key is limited to a workspace, or isn't an admin key
+ *       404:
+ *         description: One of the workspaces doesn't exist
+ *       409:
+ *         description: Conflicting records found with `on_conflict=fail`; nothing was copied
+ */
+export const mergeWorkspace = (req, res) =>
+  transferRecords(req, res, { create: false, action: "mergeWorkspace" });
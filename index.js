@@ -1,30 +1,119 @@
+// Load .env before the modules below read their settings from it
+import "dotenv/config";
 import express from "express";
-import cors from "cors";
-import dotenv from "dotenv";
 
+import { authenticate, requireRole } from "./middlewares/auth.middleware.js";
+import { corsPolicy } from "./middlewares/cors.middleware.js";
+import { limitApiRequests } from "./middlewares/rateLimit.middleware.js";
+import { selectWorkspace } from "./middlewares/workspace.middleware.js";
 import { dbConnect } from "./utils/db.utils.js";
+import { sendError } from "./utils/errors.utils.js";
+import { recoverUploadJobs } from "./utils/jobs.utils.js";
+import { seedIngestionProfiles } from "./utils/profiles.utils.js";
+import { ensureRollups } from "./utils/rollups.utils.js";
+import { recoverWebhookDeliveries } from "./utils/webhooks.utils.js";
+import { dedupeRecords, migrateToWorkspaces } from "./utils/workspaces.utils.js";
+import apiKeyRoutes from "./routes/apiKeys.route.js";
+import cacheRoutes from "./routes/cache.route.js";
+import calendarRoutes from "./routes/calendar.route.js";
+import corporateActionRoutes from "./routes/corporateActions.route.js";
 import csvRoutes from "./routes/csv.route.js";
+import recordRoutes from "./routes/records.route.js";
+import rollupRoutes from "./routes/rollups.route.js";
 import stockRoutes from "./routes/stocks.route.js";
+import usageRoutes from "./routes/usage.route.js";
+import webhookRoutes from "./routes/webhooks.route.js";
+import workspaceRoutes from "./routes/workspaces.route.js";
 
 // Import Swagger configuration
 import { swaggerSpecs, swaggerUi } from "./swagger.js";
 
 const server = express();
 
-dotenv.config();
-
 // Middleware
-server.use(cors());
+server.use(corsPolicy);
+server.use(express.json());
 
 // Swagger UI route
 server.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
+// Every API call needs an API key with at least the reader role; routes
+// that write or change configuration ask for a higher role
+server.use(
+  ["/api", "/upload", "/uploads", "/usage"],
+  authenticate,
+  requireRole("reader")
+);
+// Requests per minute of each key; uploads have their own daily limits
+server.use("/api", limitApiRequests);
+// Records, uploads and profiles are read and written in one workspace
+server.use(["/api", "/upload", "/uploads"], selectWorkspace);
 // API Routes
 server.use("/", csvRoutes); // Routes for CSV operations
+server.use("/", usageRoutes); // Route for the caller's rate limit usage
 server.use("/api/", stockRoutes); // Routes for stock data APIs
+server.use("/api/", calendarRoutes); // Routes for exchange trading calendars
+server.use("/api/", corporateActionRoutes); // Routes for splits, bonuses and dividends
+server.use("/api/", recordRoutes); // Routes for browsing and correcting records
+server.use("/api/", apiKeyRoutes); // Routes for managing API keys
+server.use("/api/", workspaceRoutes); // Routes for managing workspaces
+server.use("/api/", cacheRoutes); // Routes for the result cache statistics
+server.use("/api/", rollupRoutes); // Route for rebuilding the rollups
+server.use("/api/", webhookRoutes); // Routes for webhook subscriptions and deliveries
+
+// Errors raised before a handler runs, such as malformed JSON bodies
+// (Express recognises error handlers by their four arguments)
+server.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "The request body isn't valid JSON.", {
+      code: "invalid_json",
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, 413, "The request body is too large.");
+  }
+  const status = error.status || 500;
+  if (status >= 500) console.error("Unhandled error:", error);
+  sendError(
+    res,
+    status,
+    status < 500 ? error.message : "An unexpected error occurred. Please try again later."
+  );
+});
 
 // Start the server
 const port = process.env.PORT || 81;
 server.listen(port, () => {
   console.log("Server started at port", port);
-  dbConnect();
+  dbConnect().then((connected) => {
+    if (connected) {
+      // Jobs and profiles are recovered and seeded once older data has
+      // been moved into the default workspace
+      migrateToWorkspaces()
+        .catch((error) => console.error("Error migrating to workspaces:", error))
+        .then(() =>
+          // Upserts rely on the unique natural key; don't run without it
+          dedupeRecords().catch((error) => {
+            console.error("Error building the unique index of records:", error);
+            process.exit(1);
+          })
+        )
+        .then(() => {
+          seedIngestionProfiles().catch((error) =>
+            console.error("Error seeding ingestion profiles:", error)
+          );
+          // Resume or fail upload jobs interrupted by the previous shutdown
+          recoverUploadJobs().catch((error) =>
+            console.error("Error recovering upload jobs:", error)
+          );
+          // Send the webhook deliveries the previous process left pending
+          recoverWebhookDeliveries().catch((error) =>
+            console.error("Error recovering webhook deliveries:", error)
+          );
+          // Build rollups of records stored before they existed
+          ensureRollups().catch((error) =>
+            console.error("Error building rollups:", error)
+          );
+        });
+    }
+  });
 });
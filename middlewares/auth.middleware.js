@@ -0,0 +1,75 @@
+import { findApiKey, hasRole } from "../utils/apiKeys.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+
+// Authentication can be turned off for local development
+const authDisabled = process.env.AUTH_DISABLED === "true";
+
+// The key from `X-API-Key`, or from `Authorization: Bearer <key>`
+const requestKey = (req) => {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token.trim() : null;
+};
+
+/**
+ * Middleware identifying the API key a request was sent with. The key's
+ * id, name and role are set on `req.apiKey`; requests without a valid key
+ * get a 401.
+ */
+export const authenticate = async (req, res, next) => {
+  if (authDisabled) return next();
+
+  const key = requestKey(req);
+  if (!key) {
+    return sendError(res, 401, "Missing API key. Send it in the 'X-API-Key' header.");
+  }
+
+  try {
+    const apiKey = await findApiKey(key);
+    if (!apiKey) {
+      return sendError(res, 401, "Invalid, expired or revoked API key.");
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error("Error authenticating API key:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while checking the API key. Please try again later."
+    );
+  }
+};
+
+// Middleware letting through keys with `role` or a higher one
+export const requireRole = (role) => (req, res, next) => {
+  if (authDisabled) return next();
+
+  if (!req.apiKey) {
+    return sendError(res, 401, "Missing API key. Send it in the 'X-API-Key' header.");
+  }
+
+  if (!hasRole(req.apiKey.role, role)) {
+    return sendError(
+      res,
+      403,
+      `This request needs the '${role}' role; the API key has the '${req.apiKey.role}' role.`
+    );
+  }
+
+  next();
+};
+
+// Middleware refusing keys limited to one workspace, for data every
+// workspace shares (trading calendars, corporate actions)
+export const requireUnboundKey = (req, res, next) => {
+  if (!req.apiKey?.workspace) return next();
+  sendError(
+    res,
+    403,
+    `This API key can only use the '${req.apiKey.workspace}' workspace; shared data needs a key that isn't limited to one.`
+  );
+};
@@ -0,0 +1,64 @@
+import {
+  cacheGeneration,
+  cacheKey,
+  etagOf,
+  isCacheEnabled,
+  readCachedResult,
+  storeCachedResult,
+} from "../utils/cache.utils.js";
+
+const asList = (value) => (value === undefined ? null : [value].flat());
+
+// Workspace, symbols and dates a request reads, from its validated parameters
+const scopeOf = (req, { lookback }) => {
+  const { symbols, symbol, start_date, end_date, date } = req.query;
+  return {
+    workspace: req.workspace,
+    symbols: asList(req.params.symbol ?? symbols ?? symbol),
+    // Endpoints that read history before the range depend on all earlier days
+    start: lookback ? null : start_date ?? date ?? null,
+    end: end_date ?? date ?? null,
+  };
+};
+
+/**
+ * Middleware answering GET requests from the result cache, placed after a
+ * route's validation so equivalent queries share an entry. Successful JSON
+ * responses are stored with an ETag; requests sending a matching
+ * `If-None-Match` get a 304. With `lookback`, the route reads records
+ * before `start_date`, so writes to any earlier day invalidate it too.
+ */
+export const cacheResponse = (options = {}) => async (req, res, next) => {
+  if (!isCacheEnabled()) return next();
+
+  const key = cacheKey(req.baseUrl + req.path, req.workspace, req.query);
+  // Revalidate on every use; the ETag makes that cheap
+  res.set("Cache-Control", "private, no-cache");
+
+  try {
+    const entry = await readCachedResult(key);
+    if (entry) {
+      res.set({ ETag: entry.etag, "X-Cache": "HIT" });
+      // Express answers 304 itself when the ETag matches If-None-Match
+      return res.status(200).type("json").send(entry.body);
+    }
+  } catch (error) {
+    // A failing store only costs the cached answer
+    console.error("Error reading the result cache:", error);
+  }
+
+  const since = cacheGeneration();
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode !== 200) return json(data);
+
+    const body = JSON.stringify(data);
+    const etag = etagOf(body);
+    res.set({ ETag: etag, "X-Cache": "MISS" });
+    storeCachedResult(key, { body, etag, scope: scopeOf(req, options) }, since).catch(
+      (error) => console.error("Error writing the result cache:", error)
+    );
+    return res.type("json").send(body);
+  };
+  next();
+};
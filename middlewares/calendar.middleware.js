@@ -0,0 +1,53 @@
+import {
+  DEFAULT_EXCHANGE,
+  loadCalendar,
+  nthTradingDayBefore,
+} from "../utils/calendar.utils.js";
+import { sendError, sendValidationErrors } from "../utils/errors.utils.js";
+import { parseDay, validateInput } from "../utils/validation.utils.js";
+
+// Largest `last_n_trading_days` accepted (about 40 years)
+const MAX_TRADING_DAYS = 10000;
+
+// Parameters read when `last_n_trading_days` is given
+const TRADING_DAY_RANGE = {
+  last_n_trading_days: { type: "integer", required: true, min: 1, max: MAX_TRADING_DAYS },
+  start_date: {
+    type: "any",
+    check: () => "can't be combined with 'last_n_trading_days'",
+  },
+  end_date: { type: "date" },
+  exchange: { type: "symbol" },
+};
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Middleware letting date-range queries ask for `last_n_trading_days`
+ * instead of a `start_date`. The range ends on `end_date` (today when
+ * omitted) and starts on the day that makes it hold exactly N trading days
+ * of the `exchange` calendar; both are written back to `req.query` so the
+ * route handlers see an ordinary date range.
+ */
+export const resolveTradingDayRange = async (req, res, next) => {
+  if (req.query.last_n_trading_days === undefined) return next();
+
+  const { values, errors } = validateInput(TRADING_DAY_RANGE, req.query, "query");
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+
+  const { last_n_trading_days: days, end_date, exchange } = values;
+  try {
+    const end = end_date ? parseDay(end_date) : new Date();
+    const calendar = await loadCalendar(exchange || DEFAULT_EXCHANGE);
+    req.query.start_date = formatDay(nthTradingDayBefore(end, days, calendar));
+    req.query.end_date = formatDay(end);
+    next();
+  } catch (error) {
+    console.error("Error resolving last_n_trading_days:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while resolving the trading day range. Please try again later."
+    );
+  }
+};
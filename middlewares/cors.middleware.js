@@ -0,0 +1,33 @@
+import cors from "cors";
+
+// Browser origins allowed to call the API, comma-separated (`*` for any).
+// With none configured only same-origin pages such as /api-docs can.
+const allowedOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+
+const isAllowedOrigin = (origin) =>
+  !origin || allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+
+// CORS middleware answering preflights only for the allowed origins
+export const corsPolicy = cors({
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-API-Key",
+    "X-Actor",
+    "X-Workspace",
+    "If-None-Match",
+  ],
+  exposedHeaders: [
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+    "Retry-After",
+    "ETag",
+    "X-Cache",
+  ],
+});
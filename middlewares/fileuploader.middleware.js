@@ -1,9 +1,12 @@
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import csvParser from "csv-parser";
 import moment from "moment";
-import { RecordModel } from "../models/record.model.js";
+import { loadCalendar } from "../utils/calendar.utils.js";
+import { sendError } from "../utils/errors.utils.js";
+import { loadProfiles, selectProfile } from "../utils/profiles.utils.js";
+import { RECORD_COLUMNS, toRecord } from "../utils/records.utils.js";
+import { evaluateRules } from "../utils/rules.utils.js";
 
 // Ensure the upload directory exists
 
@@ -13,41 +16,13 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
-// List of required columns for validation
-const requiredColumns = [
-  "Date",
-  "Symbol",
-  "Series",
-  "Prev Close",
-  "Open",
-  "High",
-  "Low",
-  "Last",
-  "Close",
-  "VWAP",
-  "Volume",
-  "Turnover",
-  "Trades",
-  "Deliverable Volume",
-  "%Deliverble",
-];
+// List of required columns for validation, in the NSE layout every
+// ingestion profile maps onto
+const requiredColumns = RECORD_COLUMNS.map(({ header }) => header);
 
 // Helper function to validate data
 const isNumeric = (value) => !isNaN(parseFloat(value)) && isFinite(value);
 
-// Check file type (only CSV allowed)
-function checkFileType(file, cb) {
-  const filetypes = /csv/;
-  const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = filetypes.test(file.mimetype);
-
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb(new Error("Error: CSV Only (.csv files only)"));
-  }
-}
-
 // Multer setup
 const storageConfig = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -59,112 +34,221 @@ const storageConfig = multer.diskStorage({
   },
 });
 
+// Formats are detected from content while ingesting, so any file is accepted
+// here; several files can be sent under the same field
+const maxFiles = parseInt(process.env.UPLOAD_MAX_FILES) || 20;
+
 const uploadcsv = multer({
   storage: storageConfig,
-  limits: { fileSize: process.env.CSV_FILE_SIZE_LIMIT },
-  fileFilter: (req, file, cb) => checkFileType(file, cb),
-}).single("csvFile");
-
-// Function to validate CSV content
-const validateCSVContent = (filePath, cb) => {
-  const headersSet = new Set();
-  const validRows = [];
-  const invalidRows = [];
+  limits: { fileSize: process.env.CSV_FILE_SIZE_LIMIT, files: maxFiles },
+}).array("csvFile", maxFiles);
+
+// Batch limits for streaming ingestion: rows are handed to the writer once
+// either limit is reached, so at most one batch is held in memory at a time
+const batchSize = parseInt(process.env.UPLOAD_BATCH_SIZE) || 1000;
+const maxBatchBytes =
+  parseInt(process.env.UPLOAD_BATCH_MAX_BYTES) || 8 * 1024 * 1024;
+
+// Number of rejected rows echoed back in the summary
+const maxRejectedSamples = parseInt(process.env.UPLOAD_MAX_REJECT_SAMPLES) || 20;
+
+// Rough in-memory size of a parsed row (UTF-16 strings)
+const rowSize = (row) =>
+  Object.entries(row).reduce(
+    (size, [key, value]) => size + 2 * (key.length + String(value).length),
+    0
+  );
+
+// Columns that must hold a value
+const textColumns = ["Date", "Symbol", "Series"];
+const numericColumns = requiredColumns.filter(
+  (col) => !textColumns.includes(col)
+);
+
+const isBlank = (value) => value === undefined || String(value).trim() === "";
+
+/**
+ * Validate a single CSV row. Returns a list of structured errors such as
+ * `{ field: "VWAP", code: "NOT_NUMERIC", value: "-" }`; an empty list means
+ * the row is valid.
+ */
+export const validateRow = (row) => {
+  const errors = [];
+
+  textColumns.forEach((field) => {
+    if (isBlank(row[field])) {
+      errors.push({ field, code: "MISSING_VALUE", value: row[field] ?? "" });
+    }
+  });
+
+  // Validate Date
+  if (!isBlank(row.Date) && !moment(row.Date, "YYYY-MM-DD", true).isValid()) {
+    errors.push({ field: "Date", code: "INVALID_DATE", value: row.Date });
+  }
+
+  // Validate numeric fields
+  numericColumns.forEach((field) => {
+    const value = row[field];
+    if (isBlank(value)) {
+      errors.push({ field, code: "MISSING_VALUE", value: value ?? "" });
+    } else if (!isNumeric(value)) {
+      errors.push({ field, code: "NOT_NUMERIC", value });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the rows of one source (see `openSources` in formats.utils.js)
+ * and hand valid rows to `onBatch` in bounded batches, mapped to records and
+ * together with the running row counts. Rows are read through the ingestion
+ * profile named by `profile`, or the one detected from the header row when
+ * no profile is named, among those `workspace` can use.
+ *
+ * A row is rejected when it can't be parsed, when a column is missing or
+ * malformed or when it breaks a `reject` rule; `warn` rules only attach
+ * warnings to the record. Dates are checked against the trading calendar of
+ * the profile's exchange. Rejected rows go to `onRejects` in batches of the
+ * same size, each with its source line number, its original values and the
+ * list of errors (reported against the file's own headers). No further rows
+ * are read until these callbacks resolve, so a slow database slows the file
+ * down instead of filling memory.
+ *
+ * Resolves with a summary of counts; only a small sample of rejected rows is
+ * kept. Resolves with `success: false` when the profile is unknown or
+ * required columns are missing.
+ */
+export const validateRows = async (
+  rows,
+  { profile, workspace, onBatch, onRejects = async () => {} }
+) => {
+  const profiles = await loadProfiles(profile, workspace);
+  if (profiles.length === 0) {
+    return { success: false, message: `Unknown ingestion profile '${profile}'` };
+  }
+
+  let mapper = null;
+  let calendar = null;
+  let batch = [];
+  let batchBytes = 0;
+  let rejects = [];
   let successfulRecords = 0;
   let failedRecords = 0;
+  let warnedRecords = 0;
+  const invalidRows = [];
 
-  fs.createReadStream(filePath)
-    .pipe(csvParser())
-    .on("headers", (headers) => {
-      headers.forEach((header) => headersSet.add(header.trim()));
+  // Report errors against the column name used in the uploaded file
+  const withSourceFields = (errors) =>
+    errors.map((error) => ({
+      ...error,
+      field: mapper.sources[error.field] || error.field,
+    }));
 
-      const missingColumns = requiredColumns.filter(
-        (col) => !headersSet.has(col)
-      );
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const rows = batch;
+    batch = [];
+    batchBytes = 0;
+    await onBatch(rows, {
+      processed: successfulRecords + failedRecords,
+      accepted: successfulRecords,
+      rejected: failedRecords,
+    });
+  };
 
-      if (missingColumns.length > 0) {
-        return cb({
-          success: false,
-          message: "Missing required columns",
-          missingColumns,
-        });
-      }
-    })
-    .on("data", (row) => {
-      const {
-        Date,
-        "Prev Close": PrevClose,
-        Open,
-        High,
-        Low,
-        Last,
-        Close,
-        VWAP,
-        Volume,
-        Turnover,
-        Trades,
-        "Deliverable Volume": Deliverable,
-        "%Deliverble": DeliverablePercentage,
-      } = row;
-
-      let isValid = true;
-
-      // Validate Date
-      if (!moment(Date, "YYYY-MM-DD", true).isValid()) {
-        isValid = false;
-      }
+  const flushRejects = async () => {
+    if (rejects.length === 0) return;
+    const rejected = rejects;
+    rejects = [];
+    await onRejects(rejected);
+  };
+
+  const reject = async (rejected) => {
+    failedRecords++;
+    rejects.push(rejected);
+    if (invalidRows.length < maxRejectedSamples) {
+      invalidRows.push(rejected);
+    }
+    if (rejects.length >= batchSize) {
+      await flushRejects();
+    }
+  };
 
-      // Validate numeric fields
-      const numericFields = [
-        PrevClose,
-        Open,
-        High,
-        Low,
-        Last,
-        Close,
-        VWAP,
-        Volume,
-        Turnover,
-        Trades,
-        Deliverable,
-        DeliverablePercentage,
-      ];
-      numericFields.forEach((field) => {
-        if (!isNumeric(field)) {
-          isValid = false;
-        }
+  for await (const { headers, row, line, raw, code } of rows) {
+    if (headers) {
+      mapper = selectProfile(profiles, headers);
+      if (mapper.missing.length > 0) break;
+      calendar = await loadCalendar(mapper.profile.exchange || undefined);
+      continue;
+    }
+
+    // Records the reader couldn't parse at all
+    if (!row) {
+      await reject({
+        line,
+        errors: [{ field: "", code, value: raw }],
+        row: { raw },
+        unparsed: true,
       });
+      continue;
+    }
+
+    const normalized = mapper.mapRow(row);
+    const errors = validateRow(normalized);
+    let record = null;
 
-      if (isValid) {
-        successfulRecords++;
-        validRows.push(row);
-      } else {
-        failedRecords++;
-        invalidRows.push(row);
+    // Cross-field rules only make sense once every value has parsed
+    if (errors.length === 0) {
+      record = toRecord(normalized);
+      const result = evaluateRules(record, normalized, { calendar });
+      errors.push(...result.errors);
+      record.warnings = result.warnings;
+    }
+
+    if (errors.length === 0) {
+      successfulRecords++;
+      if (record.warnings.length > 0) warnedRecords++;
+      batch.push(record);
+      batchBytes += rowSize(row);
+      if (batch.length >= batchSize || batchBytes >= maxBatchBytes) {
+        await flush();
       }
-    })
-    .on("end", () => {
-      cb({
-        success: true,
-        totalRecords: successfulRecords + failedRecords,
-        successfulRecords,
-        failedRecords,
-        validRows,
-        invalidRows,
-      });
-    })
-    .on("error", (err) => {
-      cb({ success: false, message: err.message });
-    });
+    } else {
+      await reject({ line, errors: withSourceFields(errors), row });
+    }
+  }
+
+  if (!mapper || mapper.missing.length > 0) {
+    return {
+      success: false,
+      message: "Missing required columns",
+      profile: mapper ? mapper.profile.name : profile || null,
+      missingColumns: mapper ? mapper.missing : requiredColumns,
+    };
+  }
+
+  await flush();
+  await flushRejects();
+
+  return {
+    success: true,
+    profile: mapper.profile.name,
+    totalRecords: successfulRecords + failedRecords,
+    successfulRecords,
+    failedRecords,
+    warnedRecords,
+    invalidRows,
+  };
 };
 
-// Middleware to upload CSV and validate content
+// Middleware to upload files; their content is validated while it is streamed into the database
 /**
  * @swagger
  * /upload:
  *   post:
- *     summary: Upload a CSV file
- *     description: Uploads a CSV file and validates its content, ensuring required columns and correct data formats.
+ *     summary: Upload stock data files
+ *     description: Uploads one or more files to disk. Their format is detected from the content and their rows are validated while they stream into the database, ensuring required columns and correct data formats.
  *     requestBody:
  *       required: true
  *       content:
@@ -173,149 +257,48 @@ const validateCSVContent = (filePath, cb) => {
  *             type: object
  *             properties:
  *               csvFile:
- *                 type: string
- *                 format: binary
- *                 description: The CSV file to be uploaded.
- *     responses:
- *       200:
- *         description: CSV file uploaded and validated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 msg:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                   example: "CSV validation successful"
- *                 validationDetails:
- *                   type: object
- *                   properties:
- *                     totalRecords:
- *                       type: integer
- *                       example: 100
- *                     successfulRecords:
- *                       type: integer
- *                       example: 95
- *                     failedRecords:
- *                       type: integer
- *                       example: 5
- *                     validRows:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           Date:
- *                             type: string
- *                             example: "2024-10-22"
- *                           Symbol:
- *                             type: string
- *                             example: "AAPL"
- *                           Series:
- *                             type: string
- *                             example: "EQ"
- *                           Prev Close:
- *                             type: number
- *                             example: 150.00
- *                           Open:
- *                             type: number
- *                             example: 152.00
- *                           High:
- *                             type: number
- *                             example: 153.00
- *                           Low:
- *                             type: number
- *                             example: 149.00
- *                           Last:
- *                             type: number
- *                             example: 151.00
- *                           Close:
- *                             type: number
- *                             example: 150.50
- *                           VWAP:
- *                             type: number
- *                             example: 151.25
- *                           Volume:
- *                             type: integer
- *                             example: 1000000
- *                           Turnover:
- *                             type: number
- *                             example: 150000000.00
- *                           Trades:
- *                             type: integer
- *                             example: 1000
- *                           Deliverable Volume:
- *                             type: integer
- *                             example: 800000
- *                           %Deliverble:
- *                             type: number
- *                             example: 80
+ *                   format: binary
+ *                 description: The files to be uploaded (CSV, NDJSON, JSON array, gzip or zip).
+ *     responses:
  *       400:
- *         description: Error occurred during file upload or validation
+ *         description: Error occurred during file upload
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Error: CSV Only (.csv files only)"
- *                 msg:
- *                   type: string
- *                   example: "Error occurred while uploading file"
- *                 details:
- *                   type: object
- *                   properties:
- *                     message:
- *                       type: string
- *                       example: "Missing required columns"
- *                     missingColumns:
- *                       type: array
- *                       items:
- *                         type: string
- *                         example: "Date"
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "invalid_upload", "message": "Error occurred while uploading file: Unexpected field"}}
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 msg:
- *                   type: string
- *                   example: "An error occurred while processing the CSV file."
+ *               $ref: '#/components/schemas/Error'
+ *             example: {"error": {"code": "internal_error", "message": "An error occurred while processing the CSV file."}}
  */
 
 export const uploadCSV = (req, res, next) => {
   uploadcsv(req, res, function (err) {
-    if (err instanceof multer.MulterError || err) {
+    if (err) {
       console.error(err);
-      return res.status(400).json({
-        error: err.message,
-        msg: "Error occurred while uploading file",
-      });
+      return err.code === "LIMIT_FILE_SIZE"
+        ? sendError(res, 413, `Error occurred while uploading file: ${err.message}`)
+        : sendError(res, 400, `Error occurred while uploading file: ${err.message}`, {
+            code: "invalid_upload",
+          });
     }
-    // Check if file is uploaded
-    if (!req.file) {
-      return res.status(400).json({
-        error: "No file uploaded",
-        msg: "Please upload a CSV file",
-      });
+    // Check if a file is uploaded
+    if (!req.files || req.files.length === 0) {
+      return sendError(
+        res,
+        400,
+        "No file uploaded. Please upload a CSV, JSON, NDJSON, gzip or zip file.",
+        { code: "invalid_upload" }
+      );
     }
-    const filePath = req.file.path;
-    validateCSVContent(filePath, (validationResult) => {
-      if (!validationResult.success) {
-        return res.status(400).json({
-          msg: "CSV validation failed",
-          details: validationResult,
-        });
-      }
 
-      // Save the valid rows in `req` for the next middleware
-      req.validRows = validationResult.validRows;
-      req.invalidRows = validationResult.invalidRows;
-      req.validationDetails = validationResult;
-
-      next(); // Move to the next middleware for DB insertion
-    });
+    next(); // Rows are validated and written while streaming the file
   });
 };
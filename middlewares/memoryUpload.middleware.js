@@ -0,0 +1,35 @@
+import multer from "multer";
+import { sendError } from "../utils/errors.utils.js";
+
+// Reference lists (holidays, corporate actions) are small, so they are kept
+// in memory rather than on disk
+const maxListFileSize = parseInt(process.env.LIST_FILE_SIZE_LIMIT) || 1024 * 1024;
+
+const uploadList = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxListFileSize, files: 1 },
+}).single("csvFile");
+
+// Middleware to receive a small CSV file under the `csvFile` field
+export const uploadListCSV = (req, res, next) => {
+  uploadList(req, res, function (err) {
+    if (err) {
+      console.error(err);
+      return err.code === "LIMIT_FILE_SIZE"
+        ? sendError(res, 413, `Error occurred while uploading file: ${err.message}`)
+        : sendError(res, 400, `Error occurred while uploading file: ${err.message}`, {
+            code: "invalid_upload",
+          });
+    }
+    if (!req.file) {
+      return sendError(
+        res,
+        400,
+        "No file uploaded. Please upload a CSV file under 'csvFile'.",
+        { code: "invalid_upload" }
+      );
+    }
+
+    next();
+  });
+};
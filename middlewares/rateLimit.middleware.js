@@ -0,0 +1,71 @@
+import { sendError } from "../utils/errors.utils.js";
+import {
+  RATE_LIMITS,
+  callerOf,
+  consumeUsage,
+  limitOf,
+  readUsage,
+} from "../utils/usage.utils.js";
+
+// Headers describing the limit a response was counted against, as in the
+// IETF RateLimit header fields draft
+const setRateLimitHeaders = (res, name, { limit, remaining, reset }) => {
+  res.set("RateLimit-Policy", `${limit};w=${RATE_LIMITS[name].windowMs / 1000}`);
+  res.set("RateLimit-Limit", String(limit));
+  res.set("RateLimit-Remaining", String(remaining));
+  res.set("RateLimit-Reset", String(reset));
+};
+
+const tooManyRequests = (res, description, { reset }) => {
+  res.set("Retry-After", String(reset));
+  sendError(res, 429, `Rate limit exceeded: ${description}. Retry in ${reset} seconds.`);
+};
+
+/**
+ * Middleware counting a request against the limit `name` of the caller's
+ * API key. Requests over the limit get a 429 with `Retry-After`. When the
+ * counters can't be reached the request is let through rather than failed.
+ */
+const limitRequests = (name, description) => async (req, res, next) => {
+  const limit = limitOf(req, name);
+  if (!limit) return next();
+
+  try {
+    const usage = await consumeUsage(callerOf(req), name, limit);
+    setRateLimitHeaders(res, name, usage);
+    if (!usage.allowed) return tooManyRequests(res, `${limit} ${description}`, usage);
+  } catch (error) {
+    console.error("Error counting API usage:", error);
+  }
+  next();
+};
+
+// Limit of requests per minute to the `/api` endpoints
+export const limitApiRequests = limitRequests("requests_per_minute", "requests per minute");
+
+const limitDailyUploads = limitRequests("uploads_per_day", "uploads per day");
+
+/**
+ * Middleware enforcing the daily upload limits: the number of uploads, and
+ * the rows read from them. Rows are only known once an upload is read, so
+ * they are added when it finishes; an upload is refused once the day's rows
+ * are used up.
+ */
+export const limitUploads = async (req, res, next) => {
+  const caller = callerOf(req);
+
+  try {
+    const rowsLimit = limitOf(req, "rows_per_day");
+    if (rowsLimit) {
+      const rows = await readUsage(caller, "rows_per_day", rowsLimit);
+      if (rows.remaining === 0) {
+        setRateLimitHeaders(res, "rows_per_day", rows);
+        return tooManyRequests(res, `${rowsLimit} rows uploaded per day`, rows);
+      }
+    }
+  } catch (error) {
+    console.error("Error counting upload usage:", error);
+  }
+
+  return limitDailyUploads(req, res, next);
+};
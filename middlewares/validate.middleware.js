@@ -0,0 +1,39 @@
+import { sendValidationErrors } from "../utils/errors.utils.js";
+import { validateInput } from "../utils/validation.utils.js";
+
+// Request parts a route can describe, in the order they are checked
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Middleware checking a route's parameters against `schema`, which holds a
+ * schema (see validation.utils.js) for any of `params`, `query` and `body`.
+ * A body schema can be `{ type: "object", properties, unknown: "reject" }`
+ * to refuse fields it doesn't name. The parsed values replace the raw ones
+ * on `req`, so handlers read clean values; every problem found is
+ * reported at once with a 400 `validation_error`.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
+
+  LOCATIONS.filter((location) => schema[location]).forEach((location) => {
+    const section = schema[location];
+    const { properties, unknown } =
+      section.type === "object" ? section : { properties: section };
+    const result = validateInput(properties, req[location], location, { unknown });
+    errors.push(...result.errors);
+    parsed[location] = result.values;
+  });
+
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+
+  Object.entries(parsed).forEach(([location, values]) => {
+    // Path parameters belong to the router; update them in place
+    if (location === "params") {
+      Object.assign(req.params, values);
+    } else {
+      req[location] = values;
+    }
+  });
+  next();
+};
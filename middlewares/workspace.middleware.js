@@ -0,0 +1,34 @@
+import { DEFAULT_WORKSPACE } from "../models/workspace.model.js";
+import { sendError } from "../utils/errors.utils.js";
+import { workspaceExists } from "../utils/workspaces.utils.js";
+
+/**
+ * Middleware choosing the workspace a request reads and writes, set on
+ * `req.workspace`: the API key's workspace when it is limited to one,
+ * otherwise the `X-Workspace` header, or the default workspace.
+ */
+export const selectWorkspace = async (req, res, next) => {
+  const requested = req.get("X-Workspace")?.trim().toLowerCase();
+  const bound = req.apiKey?.workspace;
+
+  if (bound && requested && requested !== bound) {
+    return sendError(res, 403, `This API key can only use the '${bound}' workspace.`);
+  }
+
+  const workspace = bound || requested || DEFAULT_WORKSPACE;
+  try {
+    if (!(await workspaceExists(workspace))) {
+      return sendError(res, 404, `No workspace named '${workspace}'.`);
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error("Error selecting the workspace:", error);
+    sendError(
+      res,
+      500,
+      "An error occurred while selecting the workspace. Please try again later."
+    );
+  }
+};
@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+// Roles in increasing order of access; each role can do what the ones
+// before it can
+export const API_KEY_ROLES = ["reader", "uploader", "admin"];
+
+// An API key. Only the SHA-256 of the key is stored; the key itself is
+// shown once, when it is issued. `prefix` is the start of the key, kept so
+// a key can be recognised in listings and logs.
+const apiKeySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: API_KEY_ROLES,
+      required: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    key_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Workspace the key is limited to; keys without one pick a workspace
+    // with the `X-Workspace` header
+    workspace: {
+      type: String,
+      default: null,
+    },
+    // Per-key overrides of the default rate limits (see usage.utils.js);
+    // unset fields use the defaults and 0 lifts the limit
+    limits: {
+      requests_per_minute: { type: Number, min: 0, default: null },
+      uploads_per_day: { type: Number, min: 0, default: null },
+      rows_per_day: { type: Number, min: 0, default: null },
+    },
+    created_by: String,
+    // Key this one replaced, when it was issued by a rotation
+    rotated_from: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export const ApiKeyModel =
+  mongoose.models.api_keys || mongoose.model("api_keys", apiKeySchema);
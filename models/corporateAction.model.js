@@ -0,0 +1,57 @@
+import mongoose, { Schema } from "mongoose";
+
+export const CORPORATE_ACTION_TYPES = ["split", "bonus", "dividend"];
+
+// Splits and bonuses are described by a ratio, dividends by an amount
+const needsRatio = function () {
+  return this.type === "split" || this.type === "bonus";
+};
+
+const corporateActionSchema = new Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    // First trading day without the entitlement; prices before it are adjusted
+    ex_date: {
+      type: Date,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: CORPORATE_ACTION_TYPES,
+      required: true,
+    },
+    // Split: `ratio_old` shares become `ratio_new` shares.
+    // Bonus: `ratio_new` bonus shares for every `ratio_old` held.
+    ratio_new: {
+      type: Number,
+      min: [Number.MIN_VALUE, "ratio_new must be positive"],
+      required: needsRatio,
+    },
+    ratio_old: {
+      type: Number,
+      min: [Number.MIN_VALUE, "ratio_old must be positive"],
+      required: needsRatio,
+    },
+    // Dividend per share, in the same currency as prices
+    amount: {
+      type: Number,
+      min: [Number.MIN_VALUE, "amount must be positive"],
+      required: function () {
+        return this.type === "dividend";
+      },
+    },
+    description: String,
+  },
+  { timestamps: true }
+);
+
+corporateActionSchema.index({ symbol: 1, ex_date: 1, type: 1 }, { unique: true });
+
+export const CorporateActionModel =
+  mongoose.models.corporate_actions ||
+  mongoose.model("corporate_actions", corporateActionSchema);
@@ -0,0 +1,92 @@
+import mongoose, { Schema } from "mongoose";
+import { RECORD_COLUMNS } from "../utils/records.utils.js";
+
+const recordFields = RECORD_COLUMNS.map(({ field }) => field);
+const numericFields = recordFields.filter(
+  (field) => !["date", "symbol", "series"].includes(field)
+);
+
+// Map keys must name record fields (date, symbol, prev_close, ...)
+const knownFieldKeys = {
+  validator: (value) => [...value.keys()].every((key) => recordFields.includes(key)),
+  message: `Keys must be record fields: ${recordFields.join(", ")}`,
+};
+
+// Scales must be positive numbers for numeric record fields
+const numericFieldScales = {
+  validator: (value) =>
+    [...value.entries()].every(
+      ([key, scale]) => numericFields.includes(key) && scale > 0
+    ),
+  message: `Keys must be numeric record fields (${numericFields.join(", ")}) and scales positive numbers`,
+};
+
+const ingestionProfileSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^[a-z0-9_-]+$/i,
+    },
+    // Workspace that saved the profile; null for built-in profiles, which
+    // every workspace shares
+    workspace: {
+      type: String,
+      default: null,
+    },
+    description: String,
+    // Extra header names accepted for each record field; the NSE header
+    // (e.g. "Prev Close" for prev_close) is always accepted
+    header_aliases: {
+      type: Map,
+      of: [String],
+      default: {},
+      validate: knownFieldKeys,
+    },
+    // moment.js formats tried in order when parsing the date column
+    date_formats: {
+      type: [String],
+      default: ["YYYY-MM-DD"],
+    },
+    // Stripped from numeric values before parsing, e.g. "," for "1,234.50"
+    thousands_separator: {
+      type: String,
+      default: "",
+    },
+    // Factor each numeric field's values are multiplied by, so they are
+    // stored in the units of the NSE historical export (e.g. 0.01 for a
+    // delivery percentage, which that export gives as a ratio)
+    scales: {
+      type: Map,
+      of: Number,
+      default: {},
+      validate: numericFieldScales,
+    },
+    // Values used when a column is absent or a cell is blank
+    defaults: {
+      type: Map,
+      of: Schema.Types.Mixed,
+      default: {},
+      validate: knownFieldKeys,
+    },
+    // Exchange whose trading calendar row dates are checked against; the
+    // default exchange when empty
+    exchange: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    builtin: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+ingestionProfileSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+export const IngestionProfileModel =
+  mongoose.models.ingestion_profiles ||
+  mongoose.model("ingestion_profiles", ingestionProfileSchema);
@@ -2,6 +2,11 @@ import mongoose, { Model, Schema } from "mongoose";
 
 const recordSchema = new Schema(
   {
+    // Workspace the row belongs to
+    workspace: {
+      type: String,
+      required: true,
+    },
     date: {
       type: Date,
       required: true,
@@ -62,9 +67,39 @@ const recordSchema = new Schema(
       type: Number,
       required: true,
     },
+    // Upload batch that inserted or last overwrote this row
+    upload_id: {
+      type: Schema.Types.ObjectId,
+    },
+    // Validation rules with `warn` severity that this row broke
+    warnings: {
+      type: [
+        {
+          _id: false,
+          rule: String,
+          code: String,
+          field: String,
+          message: String,
+        },
+      ],
+      default: [],
+    },
   },
-  { timestamps: true }
+  // Indexes are built by `dedupeRecords` (workspaces.utils.js) once
+  // duplicates stored before the natural key was unique are removed
+  { timestamps: true, autoIndex: false }
 );
 
+// Natural key: one row per symbol, series and trading day in a workspace
+recordSchema.index({ workspace: 1, symbol: 1, series: 1, date: 1 }, { unique: true });
+// Date ranges of a symbol across its series (stats, candles, indicators)
+recordSchema.index({ workspace: 1, symbol: 1, date: 1 });
+// Date ranges across symbols (leaders, highest volume, exports)
+recordSchema.index({ workspace: 1, date: 1 });
+// Finds the rows an upload wrote, to roll it back
+recordSchema.index({ upload_id: 1 }, { sparse: true });
+// Lets analysts find or exclude rows flagged by a given rule
+recordSchema.index({ "warnings.rule": 1 }, { sparse: true });
+
 export const RecordModel =
   mongoose.model.record || mongoose.model("stock_data", recordSchema);
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+export const RECORD_AUDIT_ACTIONS = ["update", "delete"];
+
+// One entry per manual change to a stored record
+const recordAuditSchema = new Schema(
+  {
+    workspace: {
+      type: String,
+      required: true,
+    },
+    record_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: RECORD_AUDIT_ACTIONS,
+      required: true,
+    },
+    // Who made the change and from where
+    actor: {
+      type: String,
+      required: true,
+    },
+    ip: String,
+    // Natural key of the record before the change
+    symbol: String,
+    series: String,
+    date: Date,
+    // Changed fields with their previous and new values (updates only)
+    changes: [
+      {
+        _id: false,
+        field: String,
+        previous: Schema.Types.Mixed,
+        value: Schema.Types.Mixed,
+      },
+    ],
+    // The whole record as it was before the change
+    previous: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A record's history is read newest first
+recordAuditSchema.index({ record_id: 1, createdAt: -1 });
+recordAuditSchema.index({ workspace: 1, symbol: 1, createdAt: -1 });
+
+export const RecordAuditModel =
+  mongoose.models.record_audits || mongoose.model("record_audits", recordAuditSchema);
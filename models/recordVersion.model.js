@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// A record as it was before an upload overwrote it, so the upload can be
+// rolled back. Only the state before the upload's first change is kept.
+const recordVersionSchema = new Schema(
+  {
+    upload_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    record_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    previous: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+recordVersionSchema.index({ upload_id: 1, record_id: 1 }, { unique: true });
+
+export const RecordVersionModel =
+  mongoose.models.record_versions ||
+  mongoose.model("record_versions", recordVersionSchema);
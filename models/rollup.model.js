@@ -0,0 +1,92 @@
+import mongoose, { Schema } from "mongoose";
+
+export const ROLLUP_PERIODS = ["month", "year"];
+
+// Record fields rollups keep the sum, minimum and maximum of
+export const ROLLUP_FIELDS = [
+  "open",
+  "high",
+  "low",
+  "close",
+  "vwap",
+  "volume",
+  "turnover",
+  "trades",
+];
+
+// Bumped when rollups gain fields, so the stored ones get rebuilt
+export const ROLLUP_VERSION = 2;
+
+const fieldSummary = new Schema(
+  {
+    sum: Number,
+    min: Number,
+    max: Number,
+  },
+  { _id: false }
+);
+
+const dayPrices = new Schema(
+  {
+    date: Date,
+    open: Number,
+    close: Number,
+  },
+  { _id: false }
+);
+
+// Summary of the records of one symbol and series over a calendar month or
+// year (UTC) in a workspace, kept up to date as records are written
+const rollupSchema = new Schema({
+  workspace: {
+    type: String,
+    required: true,
+  },
+  symbol: {
+    type: String,
+    required: true,
+  },
+  series: {
+    type: String,
+    required: true,
+  },
+  period: {
+    type: String,
+    enum: ROLLUP_PERIODS,
+    required: true,
+  },
+  // First day of the month or year
+  start: {
+    type: Date,
+    required: true,
+  },
+  // Number of records summarized
+  count: {
+    type: Number,
+    required: true,
+  },
+  // The period's first and last trading days
+  first: dayPrices,
+  last: dayPrices,
+  ...Object.fromEntries(ROLLUP_FIELDS.map((field) => [field, fieldSummary])),
+  // Sum of each day's VWAP times its volume, for the period's VWAP
+  vwap_volume: Number,
+  version: {
+    type: Number,
+    default: ROLLUP_VERSION,
+  },
+  // When the rollup was last written. Rollups in a refreshed range that
+  // are older than the refresh summarize records that are gone
+  refreshed_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+rollupSchema.index(
+  { workspace: 1, symbol: 1, series: 1, period: 1, start: 1 },
+  { unique: true }
+);
+
+export const RollupModel =
+  mongoose.models.stock_rollups || mongoose.model("stock_rollups", rollupSchema);
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+
+export const CALENDAR_DAY_TYPES = ["holiday", "special_session"];
+
+const tradingCalendarSchema = new Schema(
+  {
+    exchange: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z0-9_-]+$/,
+    },
+    description: String,
+    // Days of the week without regular sessions (0 = Sunday ... 6 = Saturday)
+    weekend_days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0, 6],
+      validate: {
+        validator: (days) => new Set(days).size === days.length && days.length < 7,
+        message: "weekend_days must list distinct days and leave at least one trading day",
+      },
+    },
+    // Exceptions to the weekly pattern: holidays on weekdays and special
+    // sessions (e.g. Muhurat trading) on weekend days or holidays
+    days: {
+      type: [
+        {
+          _id: false,
+          date: { type: Date, required: true },
+          type: { type: String, enum: CALENDAR_DAY_TYPES, required: true },
+          description: String,
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+export const TradingCalendarModel =
+  mongoose.models.trading_calendars ||
+  mongoose.model("trading_calendars", tradingCalendarSchema);
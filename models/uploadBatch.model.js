@@ -0,0 +1,73 @@
+import mongoose, { Schema } from "mongoose";
+
+export const BATCH_STATES = ["processing", "completed", "failed", "rolled_back"];
+
+// One upload: where its rows came from and what it did to `stock_data`.
+// Its id is the upload id (the job id for asynchronous uploads), which
+// records it wrote carry as `upload_id`.
+const uploadBatchSchema = new Schema(
+  {
+    // Workspace the rows were written to
+    workspace: {
+      type: String,
+      required: true,
+    },
+    // Workspace the rows were copied from, for copies and merges between
+    // workspaces
+    source_workspace: String,
+    state: {
+      type: String,
+      enum: BATCH_STATES,
+      default: "processing",
+      required: true,
+    },
+    files: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        size: Number,
+        sha256: String,
+      },
+    ],
+    uploader: {
+      type: String,
+      required: true,
+    },
+    ip: String,
+    profile: String,
+    on_conflict: String,
+    asynchronous: {
+      type: Boolean,
+      default: false,
+    },
+    counts: {
+      total: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      warned: { type: Number, default: 0 },
+      inserted: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      conflicting: { type: Number, default: 0 },
+    },
+    // Per-file outcome, as returned by the upload
+    breakdown: Schema.Types.Mixed,
+    error: String,
+    finished_at: Date,
+    rollback: {
+      at: Date,
+      by: String,
+      deleted: Number,
+      restored: Number,
+      skipped: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadBatchSchema.index({ workspace: 1, createdAt: -1 });
+uploadBatchSchema.index({ "files.sha256": 1 });
+
+export const UploadBatchModel =
+  mongoose.models.upload_batches ||
+  mongoose.model("upload_batches", uploadBatchSchema);
@@ -0,0 +1,61 @@
+import mongoose, { Schema } from "mongoose";
+
+export const JOB_STATES = ["queued", "running", "completed", "failed"];
+
+const uploadJobSchema = new Schema(
+  {
+    state: {
+      type: String,
+      enum: JOB_STATES,
+      default: "queued",
+      required: true,
+    },
+    files: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true },
+          path: { type: String, required: true },
+        },
+      ],
+      required: true,
+    },
+    on_conflict: {
+      type: String,
+      default: "skip",
+    },
+    // Workspace the rows are written to
+    workspace: {
+      type: String,
+      required: true,
+    },
+    // Ingestion profile to read the file with; detected when empty
+    profile: String,
+    // Who the rows are counted against (see usage.utils.js)
+    caller: String,
+    progress: {
+      processed: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Rows counted against the caller's daily limit so far
+    rows_charged: {
+      type: Number,
+      default: 0,
+    },
+    started_at: Date,
+    finished_at: Date,
+    result: Schema.Types.Mixed,
+    error: Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+uploadJobSchema.index({ state: 1 });
+
+export const UploadJobModel =
+  mongoose.models.upload_jobs || mongoose.model("upload_jobs", uploadJobSchema);
@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+// Rejected rows are kept for a while so they can be downloaded and fixed
+const retentionDays = parseInt(process.env.UPLOAD_REJECTS_TTL_DAYS) || 30;
+
+const uploadRejectSchema = new Schema(
+  {
+    upload_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    // Uploaded file, or `archive.zip/entry.csv` for archive entries
+    file: String,
+    line: {
+      type: Number,
+      required: true,
+    },
+    // Original values keyed by CSV header, in header order
+    row: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    // The record couldn't be parsed at all; `row` holds its text as `raw`
+    unparsed: Boolean,
+    validation_errors: [
+      {
+        _id: false,
+        field: String,
+        code: String,
+        value: String,
+        rule: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Rejects are read back in the order they were found
+uploadRejectSchema.index({ upload_id: 1, _id: 1 });
+uploadRejectSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: retentionDays * 24 * 60 * 60 }
+);
+
+export const UploadRejectModel =
+  mongoose.models.upload_rejects ||
+  mongoose.model("upload_rejects", uploadRejectSchema);
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+// How much of one metric a caller used in one rate limit window. Counters
+// are removed once their window is well past.
+const usageCounterSchema = new Schema(
+  {
+    // API key id, `admin` for the bootstrap key, or `ip:<address>` when
+    // authentication is disabled
+    caller: {
+      type: String,
+      required: true,
+    },
+    metric: {
+      type: String,
+      required: true,
+    },
+    window_start: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+usageCounterSchema.index({ caller: 1, metric: 1, window_start: 1 }, { unique: true });
+usageCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const UsageCounterModel =
+  mongoose.models.usage_counters ||
+  mongoose.model("usage_counters", usageCounterSchema);
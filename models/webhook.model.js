@@ -0,0 +1,41 @@
+import mongoose, { Schema } from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = ["upload.completed", "upload.failed", "records.deleted"];
+
+// A subscription to events of a workspace. Events are POSTed to `url` as
+// JSON signed with `secret` (HMAC-SHA256), which is kept in clear since
+// the server needs it to sign.
+const webhookSchema = new Schema(
+  {
+    workspace: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      required: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    // Paused subscriptions receive no new events
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: String,
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ workspace: 1, events: 1 });
+
+export const WebhookModel =
+  mongoose.models.webhooks || mongoose.model("webhooks", webhookSchema);
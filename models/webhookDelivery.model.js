@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+export const DELIVERY_STATES = ["pending", "sending", "delivered", "failed"];
+
+// One event sent, or to be sent, to one webhook, with every attempt made.
+// A replay is a new delivery of the same payload, pointing at the original.
+const webhookDeliverySchema = new Schema(
+  {
+    webhook: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    workspace: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body sent; its `id` is the same for every delivery and
+    // replay of an event, so receivers can ignore duplicates
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    state: {
+      type: String,
+      enum: DELIVERY_STATES,
+      default: "pending",
+      required: true,
+    },
+    attempts: [
+      {
+        _id: false,
+        at: Date,
+        // HTTP status of the response; missing when none came back
+        status: Number,
+        error: String,
+        duration_ms: Number,
+      },
+    ],
+    // When a pending delivery is sent next
+    next_attempt_at: Date,
+    delivered_at: Date,
+    replay_of: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ state: 1 });
+
+export const WebhookDeliveryModel =
+  mongoose.models.webhook_deliveries ||
+  mongoose.model("webhook_deliveries", webhookDeliverySchema);
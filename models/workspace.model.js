@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// Workspace every request falls back to, and that data stored before
+// workspaces existed belongs to
+export const DEFAULT_WORKSPACE = "default";
+
+export const WORKSPACE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+// A separate dataset: its own records, uploads and ingestion profiles.
+// Records are keyed by the workspace name.
+const workspaceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: WORKSPACE_NAME_PATTERN,
+    },
+    description: String,
+    created_by: String,
+  },
+  { timestamps: true }
+);
+
+export const WorkspaceModel =
+  mongoose.models.workspaces || mongoose.model("workspaces", workspaceSchema);
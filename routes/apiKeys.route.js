@@ -0,0 +1,115 @@
+import express from "express";
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  updateApiKey,
+} from "../controllers/apiKey.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { API_KEY_ROLES } from "../models/apiKey.model.js";
+import { RATE_LIMITS } from "../utils/usage.utils.js";
+
+const router = express.Router();
+
+// Longest time a rotated key keeps working next to its replacement
+const MAX_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+const KEY_ID = { params: { id: { type: "objectId", required: true } } };
+
+// Per-key overrides of the rate limits: a non-negative integer, or null for
+// the default
+const LIMITS = {
+  type: "object",
+  properties: Object.fromEntries(
+    Object.keys(RATE_LIMITS).map((name) => [
+      name,
+      { type: "integer", min: 0, nullable: true },
+    ])
+  ),
+  unknown: "reject",
+};
+
+const EXPIRES_AT = { type: "datetime", future: true, nullable: true };
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     responses:
+ *       200:
+ *         description: API keys
+ *   post:
+ *     summary: Issue an API key
+ *     responses:
+ *       201:
+ *         description: Key issued
+ */
+router.get(
+  "/keys",
+  requireRole("admin"),
+  validate({ query: { active: { type: "boolean" } } }),
+  getApiKeys
+);
+router.post(
+  "/keys",
+  requireRole("admin"),
+  validate({
+    body: {
+      name: { type: "string", required: true },
+      role: { type: "string", values: API_KEY_ROLES, required: true },
+      workspace: { type: "string", nullable: true },
+      limits: LIMITS,
+      expires_at: EXPIRES_AT,
+    },
+  }),
+  createApiKey
+);
+
+/**
+ * @swagger
+ * /api/keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key with a new one
+ *     responses:
+ *       201:
+ *         description: The new key
+ */
+router.post(
+  "/keys/:id/rotate",
+  requireRole("admin"),
+  validate({
+    ...KEY_ID,
+    body: {
+      grace_seconds: { type: "integer", min: 0, max: MAX_GRACE_SECONDS, default: 0 },
+      expires_at: EXPIRES_AT,
+    },
+  }),
+  rotateApiKey
+);
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   patch:
+ *     summary: Change an API key's name or rate limits
+ *     responses:
+ *       200:
+ *         description: The updated key
+ *   delete:
+ *     summary: Revoke an API key
+ *     responses:
+ *       204:
+ *         description: Key revoked
+ */
+router.patch(
+  "/keys/:id",
+  requireRole("admin"),
+  validate({ ...KEY_ID, body: { name: { type: "string" }, limits: LIMITS } }),
+  updateApiKey
+);
+router.delete("/keys/:id", requireRole("admin"), validate(KEY_ID), revokeApiKey);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import { deleteCache, getCacheStats } from "../controllers/cache.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/cache:
+ *   get:
+ *     summary: Get result cache statistics
+ *     responses:
+ *       200:
+ *         description: Hits, misses and size of the cache
+ *   delete:
+ *     summary: Empty the result cache
+ *     responses:
+ *       204:
+ *         description: Cache emptied
+ */
+router.get("/cache", requireRole("admin"), getCacheStats);
+router.delete("/cache", requireRole("admin"), deleteCache);
+
+export default router;
@@ -0,0 +1,109 @@
+import express from "express";
+import {
+  deleteCalendar,
+  deleteCalendarDay,
+  getCalendar,
+  getCalendars,
+  putCalendar,
+  uploadCalendarDays,
+} from "../controllers/calendar.controller.js";
+import { uploadListCSV } from "../middlewares/memoryUpload.middleware.js";
+import { requireRole, requireUnboundKey } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+const router = express.Router();
+
+const EXCHANGE = { exchange: { type: "symbol", required: true } };
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   get:
+ *     summary: List the stored trading calendars
+ *     responses:
+ *       200:
+ *         description: Trading calendars
+ */
+router.get("/calendars", getCalendars);
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}:
+ *   get:
+ *     summary: Get an exchange's trading calendar
+ *     parameters:
+ *       - in: path
+ *         name: exchange
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *   put:
+ *     summary: Create or update an exchange's trading calendar
+ *     responses:
+ *       200:
+ *         description: Calendar updated
+ *   delete:
+ *     summary: Delete an exchange's trading calendar
+ *     responses:
+ *       204:
+ *         description: Calendar deleted
+ */
+router.get(
+  "/calendars/:exchange",
+  validate({ params: EXCHANGE, query: { year: { type: "integer" } } }),
+  getCalendar
+);
+router.put(
+  "/calendars/:exchange",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ params: EXCHANGE, body: { description: { type: "string" } } }),
+  putCalendar
+);
+router.delete(
+  "/calendars/:exchange",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ params: EXCHANGE }),
+  deleteCalendar
+);
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}/days:
+ *   post:
+ *     summary: Load holidays and special sessions from a CSV file
+ *     responses:
+ *       200:
+ *         description: Days loaded
+ */
+router.post(
+  "/calendars/:exchange/days",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ params: EXCHANGE, query: { replace: { type: "boolean", default: false } } }),
+  uploadListCSV,
+  uploadCalendarDays
+);
+
+/**
+ * @swagger
+ * /api/calendars/{exchange}/days/{date}:
+ *   delete:
+ *     summary: Remove a holiday or special session
+ *     responses:
+ *       204:
+ *         description: Day removed
+ */
+router.delete(
+  "/calendars/:exchange/days/:date",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ params: { ...EXCHANGE, date: { type: "date", required: true } } }),
+  deleteCalendarDay
+);
+
+export default router;
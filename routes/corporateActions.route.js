@@ -0,0 +1,122 @@
+import express from "express";
+import {
+  createCorporateAction,
+  deleteCorporateAction,
+  getCorporateAction,
+  getCorporateActions,
+  updateCorporateAction,
+  uploadCorporateActions,
+} from "../controllers/corporateAction.controller.js";
+import { uploadListCSV } from "../middlewares/memoryUpload.middleware.js";
+import { requireRole, requireUnboundKey } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { CORPORATE_ACTION_TYPES } from "../models/corporateAction.model.js";
+import { dateRange } from "../utils/validation.utils.js";
+
+const router = express.Router();
+
+const ACTION_ID = { params: { id: { type: "objectId", required: true } } };
+
+// Fields of an action; the model checks which ones its type needs
+const actionBody = ({ create }) => ({
+  symbol: { type: "symbol", required: create },
+  ex_date: { type: "date", required: create },
+  type: { type: "string", values: CORPORATE_ACTION_TYPES, required: create },
+  ratio_new: { type: "number" },
+  ratio_old: { type: "number" },
+  amount: { type: "number" },
+  description: { type: "string" },
+});
+
+/**
+ * @swagger
+ * /api/corporate_actions:
+ *   get:
+ *     summary: List corporate actions
+ *     responses:
+ *       200:
+ *         description: Corporate actions
+ *   post:
+ *     summary: Add a corporate action
+ *     responses:
+ *       201:
+ *         description: Action added
+ */
+router.get(
+  "/corporate_actions",
+  validate({
+    query: {
+      symbol: { type: "symbol" },
+      type: { type: "string", values: CORPORATE_ACTION_TYPES },
+      ...dateRange(),
+    },
+  }),
+  getCorporateActions
+);
+router.post(
+  "/corporate_actions",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ body: actionBody({ create: true }) }),
+  createCorporateAction
+);
+
+/**
+ * @swagger
+ * /api/corporate_actions/upload:
+ *   post:
+ *     summary: Import corporate actions from a CSV file
+ *     responses:
+ *       200:
+ *         description: Actions imported
+ */
+router.post(
+  "/corporate_actions/upload",
+  requireRole("admin"),
+  requireUnboundKey,
+  uploadListCSV,
+  uploadCorporateActions
+);
+
+/**
+ * @swagger
+ * /api/corporate_actions/{id}:
+ *   get:
+ *     summary: Get a corporate action
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The action
+ *   put:
+ *     summary: Update a corporate action
+ *     responses:
+ *       200:
+ *         description: Action updated
+ *   delete:
+ *     summary: Delete a corporate action
+ *     responses:
+ *       204:
+ *         description: Action deleted
+ */
+router.get("/corporate_actions/:id", validate(ACTION_ID), getCorporateAction);
+router.put(
+  "/corporate_actions/:id",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate({ ...ACTION_ID, body: actionBody({ create: false }) }),
+  updateCorporateAction
+);
+router.delete(
+  "/corporate_actions/:id",
+  requireRole("admin"),
+  requireUnboundKey,
+  validate(ACTION_ID),
+  deleteCorporateAction
+);
+
+export default router;
@@ -1,14 +1,52 @@
 import express from "express";
 import { uploadCSV } from "../middlewares/fileuploader.middleware.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+import { limitUploads } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { BATCH_STATES } from "../models/uploadBatch.model.js";
+import { ON_CONFLICT_MODES } from "../utils/records.utils.js";
 import { insertValidRecords } from "../controllers/validrow.controller.js";
+import { getUploadJob } from "../controllers/uploadJob.controller.js";
+import { getUploadRejects } from "../controllers/uploadReject.controller.js";
+import {
+  deleteUploadBatch,
+  getUploadBatch,
+  getUploadBatches,
+} from "../controllers/uploadBatch.controller.js";
+import { getValidationRules } from "../controllers/rules.controller.js";
+import {
+  createProfile,
+  deleteProfile,
+  getProfile,
+  getProfiles,
+  updateProfile,
+} from "../controllers/profile.controller.js";
 
 const router = express.Router();
+
+const UPLOAD_ID = { type: "objectId", required: true };
+
+// Fields of a saved ingestion profile; the model checks the rest
+const profileBody = ({ create }) => ({
+  name: {
+    type: "string",
+    required: create,
+    pattern: /^[a-z0-9_-]+$/i,
+    patternMessage: "must only hold letters, digits, '-' and '_'",
+  },
+  description: { type: "string" },
+  header_aliases: { type: "object" },
+  scales: { type: "object" },
+  defaults: { type: "object" },
+  exchange: { type: "symbol" },
+});
+
 /**
  * @swagger
  * /upload:
  *   post:
- *     summary: Upload a CSV file containing stock data
- *     description: This endpoint allows you to upload a CSV file containing stock data which will be validated and stored in the database.
+ *     summary: Upload files containing stock data
+ *     description: This endpoint allows you to upload CSV, NDJSON, JSON, gzip or zip files containing stock data which will be validated and stored in the database.
  *     requestBody:
  *       content:
  *         multipart/form-data:
@@ -16,9 +54,11 @@ const router = express.Router();
  *             type: object
  *             properties:
  *               csvFile:
- *                 type: string
- *                 format: binary
- *                 description: The CSV file to be uploaded
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: The files to be uploaded
  *           required:
  *             - csvFile
  *     responses:
@@ -28,6 +68,199 @@ const router = express.Router();
  *         description: Bad request, validation error, or upload error
  */
 
-router.post("/upload", uploadCSV, insertValidRecords);
+router.post(
+  "/upload",
+  requireRole("uploader"),
+  validate({
+    query: {
+      on_conflict: { type: "string", values: ON_CONFLICT_MODES, default: "skip" },
+      profile: { type: "string" },
+      async: { type: "boolean", default: false },
+    },
+  }),
+  limitUploads,
+  uploadCSV,
+  insertValidRecords
+);
+
+/**
+ * @swagger
+ * /upload/rules:
+ *   get:
+ *     summary: List the row validation rules and their severities
+ *     responses:
+ *       200:
+ *         description: Validation rules
+ */
+router.get("/upload/rules", getValidationRules);
+
+/**
+ * @swagger
+ * /upload/profiles:
+ *   get:
+ *     summary: List ingestion profiles
+ *     responses:
+ *       200:
+ *         description: Ingestion profiles
+ *   post:
+ *     summary: Create an ingestion profile
+ *     responses:
+ *       201:
+ *         description: Profile created
+ */
+router.get("/upload/profiles", getProfiles);
+router.post(
+  "/upload/profiles",
+  requireRole("admin"),
+  validate({ body: profileBody({ create: true }) }),
+  createProfile
+);
+
+/**
+ * @swagger
+ * /upload/profiles/{name}:
+ *   get:
+ *     summary: Get an ingestion profile
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The profile
+ *   put:
+ *     summary: Update an ingestion profile
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *   delete:
+ *     summary: Delete an ingestion profile
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Profile deleted
+ */
+router.get("/upload/profiles/:name", getProfile);
+router.put(
+  "/upload/profiles/:name",
+  requireRole("admin"),
+  validate({ body: profileBody({ create: false }) }),
+  updateProfile
+);
+router.delete("/upload/profiles/:name", requireRole("admin"), deleteProfile);
+
+/**
+ * @swagger
+ * /upload/jobs/{id}:
+ *   get:
+ *     summary: Get the status of an asynchronous upload job
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Job id returned by `POST /upload?async=true`
+ *     responses:
+ *       200:
+ *         description: Job state, progress, timings and final summary
+ *       404:
+ *         description: Job not found
+ */
+router.get("/upload/jobs/:id", validate({ params: { id: UPLOAD_ID } }), getUploadJob);
+
+/**
+ * @swagger
+ * /upload/{uploadId}/rejects.csv:
+ *   get:
+ *     summary: Download the rejected rows of an upload as CSV
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Upload id returned by `POST /upload`
+ *     responses:
+ *       200:
+ *         description: Original rejected rows with an `Errors` column
+ *       404:
+ *         description: No rejected rows stored for this upload
+ */
+router.get(
+  "/upload/:uploadId/rejects.csv",
+  validate({ params: { uploadId: UPLOAD_ID } }),
+  getUploadRejects
+);
+
+/**
+ * @swagger
+ * /uploads:
+ *   get:
+ *     summary: List upload batches with their files, uploader and counts
+ *     responses:
+ *       200:
+ *         description: Upload batches, newest first
+ */
+router.get(
+  "/uploads",
+  validate({
+    query: {
+      state: { type: "string", values: BATCH_STATES },
+      uploader: { type: "string" },
+      sha256: {
+        type: "string",
+        lowercase: true,
+        pattern: /^[0-9a-f]{64}$/,
+        patternMessage: "must be a hex SHA-256 digest",
+      },
+      before: { type: "objectId" },
+      limit: { type: "integer", min: 1, max: 200, default: 50 },
+    },
+  }),
+  getUploadBatches
+);
+
+/**
+ * @swagger
+ * /uploads/{id}:
+ *   get:
+ *     summary: Get an upload batch
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Upload id returned by `POST /upload`
+ *     responses:
+ *       200:
+ *         description: The upload batch
+ *   delete:
+ *     summary: Roll back the rows an upload inserted or overwrote
+ *     responses:
+ *       200:
+ *         description: Upload rolled back
+ */
+router.get("/uploads/:id", validate({ params: { id: UPLOAD_ID } }), getUploadBatch);
+router.delete(
+  "/uploads/:id",
+  requireRole("admin"),
+  validate({ params: { id: UPLOAD_ID } }),
+  deleteUploadBatch
+);
 
 export default router;
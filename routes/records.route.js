@@ -0,0 +1,134 @@
+import express from "express";
+import {
+  deleteRecord,
+  getRecord,
+  getRecordAudit,
+  getRecords,
+  patchRecord,
+} from "../controllers/record.controller.js";
+import { exportRecords } from "../controllers/export.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { RECORD_AUDIT_ACTIONS } from "../models/recordAudit.model.js";
+import { EXPORT_FIELDS, EXPORT_FORMATS } from "../utils/export.utils.js";
+import { RECORD_FILTER_PARAMS, RECORD_QUERY_PARAMS } from "../utils/recordQuery.utils.js";
+import { RECORD_COLUMNS } from "../utils/records.utils.js";
+
+const router = express.Router();
+
+const RECORD_ID = { id: { type: "objectId", required: true } };
+
+// A PATCH may only name record fields; the values are checked like an
+// uploaded row by the handler
+const RECORD_EDIT = {
+  type: "object",
+  unknown: "reject",
+  properties: Object.fromEntries(
+    RECORD_COLUMNS.map(({ field }) => [field, { type: "any" }])
+  ),
+};
+
+/**
+ * @swagger
+ * /api/records:
+ *   get:
+ *     summary: Browse stored records
+ *     responses:
+ *       200:
+ *         description: A page of records
+ */
+router.get("/records", validate({ query: RECORD_QUERY_PARAMS }), getRecords);
+
+/**
+ * @swagger
+ * /api/records/audit:
+ *   get:
+ *     summary: Read the audit trail of manual record changes
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ */
+router.get(
+  "/records/audit",
+  validate({
+    query: {
+      record_id: { type: "objectId" },
+      symbol: { type: "symbol" },
+      actor: { type: "string" },
+      action: { type: "string", values: RECORD_AUDIT_ACTIONS },
+      before: { type: "objectId" },
+      limit: { type: "integer", min: 1, max: 500, default: 100 },
+    },
+  }),
+  getRecordAudit
+);
+
+/**
+ * @swagger
+ * /api/records/{id}:
+ *   get:
+ *     summary: Get a record
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The record
+ *   patch:
+ *     summary: Correct a record
+ *     responses:
+ *       200:
+ *         description: The updated record
+ *   delete:
+ *     summary: Delete a record
+ *     responses:
+ *       204:
+ *         description: Record deleted
+ */
+router.get("/records/:id", validate({ params: RECORD_ID }), getRecord);
+router.patch(
+  "/records/:id",
+  requireRole("uploader"),
+  validate({
+    params: RECORD_ID,
+    query: { exchange: { type: "symbol" } },
+    body: RECORD_EDIT,
+  }),
+  patchRecord
+);
+router.delete(
+  "/records/:id",
+  requireRole("admin"),
+  validate({ params: RECORD_ID }),
+  deleteRecord
+);
+
+/**
+ * @swagger
+ * /api/export:
+ *   get:
+ *     summary: Export stored records
+ *     responses:
+ *       200:
+ *         description: The records, streamed
+ */
+router.get(
+  "/export",
+  validate({
+    query: {
+      ...RECORD_FILTER_PARAMS,
+      format: { type: "string", values: Object.keys(EXPORT_FORMATS), default: "csv" },
+      fields: {
+        type: "list",
+        items: { type: "string", values: EXPORT_FIELDS },
+        default: EXPORT_FIELDS,
+      },
+    },
+  }),
+  exportRecords
+);
+
+export default router;
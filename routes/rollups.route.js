@@ -0,0 +1,18 @@
+import express from "express";
+import { postRollupRebuild } from "../controllers/rollup.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/rollups/rebuild:
+ *   post:
+ *     summary: Rebuild the workspace's rollups
+ *     responses:
+ *       200:
+ *         description: Rollups rebuilt
+ */
+router.post("/rollups/rebuild", requireRole("admin"), postRollupRebuild);
+
+export default router;
@@ -1,10 +1,45 @@
 import express from "express";
 import { getHighest } from "../controllers/highest.controller.js";
-import { getAverageClose } from "../controllers/avgerageClose.controller.js";
-import { getAverageVwap } from "../controllers/averageVWAP.controller.js";
+import {
+  getAverageClose,
+  getAverageVwap,
+  getStats,
+} from "../controllers/stats.controller.js";
+import {
+  getSymbolCoverage,
+  getSymbols,
+} from "../controllers/symbols.controller.js";
+import { getCandles } from "../controllers/candles.controller.js";
+import { getIndicators } from "../controllers/indicators.controller.js";
+import { getLeaders } from "../controllers/leaders.controller.js";
+import { getPerformance } from "../controllers/performance.controller.js";
+import { cacheResponse } from "../middlewares/cache.middleware.js";
+import { resolveTradingDayRange } from "../middlewares/calendar.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { parseInterval } from "../utils/candles.utils.js";
+import { INDICATORS } from "../utils/indicators.utils.js";
+import { LEADER_METRICS } from "../utils/leaders.utils.js";
+import {
+  STAT_AGGREGATIONS,
+  STAT_FIELDS,
+  isStatAggregation,
+} from "../utils/stats.utils.js";
+import { dateRange } from "../utils/validation.utils.js";
 
 const router = express.Router();
 
+// Largest number of symbols one performance request may ask for
+const MAX_SYMBOLS = 50;
+
+// Query parameters shared by the price endpoints
+const ADJUSTED = { adjusted: { type: "boolean", default: false } };
+const EXCHANGE = { exchange: { type: "symbol" } };
+const SYMBOL = { symbol: { type: "symbol", required: true } };
+const SERIES = { series: { type: "symbol" } };
+
+// Date-range endpoints accept `last_n_trading_days` in place of `start_date`
+router.use(resolveTradingDayRange);
+
 /**
  * @swagger
  * /api/highest_volume:
@@ -57,7 +92,19 @@ const router = express.Router();
  *                       volume:
  *                         type: number
  */
-router.get("/highest_volume", getHighest);
+router.get(
+  "/highest_volume",
+  validate({
+    query: {
+      ...dateRange({ required: true }),
+      symbol: { type: "symbol" },
+      limit: { type: "integer", min: 1, max: 1000, default: 1 },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse(),
+  getHighest
+);
 
 /**
  * @swagger
@@ -105,7 +152,12 @@ router.get("/highest_volume", getHighest);
  *                 average_close:
  *                   type: number
  */
-router.get("/average_close", getAverageClose);
+router.get(
+  "/average_close",
+  validate({ query: { ...dateRange({ required: true }), ...SYMBOL, ...ADJUSTED } }),
+  cacheResponse(),
+  getAverageClose
+);
 
 /**
  * @swagger
@@ -153,6 +205,398 @@ router.get("/average_close", getAverageClose);
  *                 average_vwap:
  *                   type: number
  */
-router.get("/average_vwap", getAverageVwap);
+router.get(
+  "/average_vwap",
+  validate({ query: { ...dateRange({ required: true }), ...SYMBOL, ...ADJUSTED } }),
+  cacheResponse(),
+  getAverageVwap
+);
+
+/**
+ * @swagger
+ * /api/candles:
+ *   get:
+ *     summary: Get OHLCV bars for a symbol
+ *     description: Resamples daily records into weekly, monthly, quarterly or yearly bars.
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The stock symbol to build bars for
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Bar size (1w, 1M, 1Q, 1Y or a multiple such as 2w)
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Series to filter by
+ *     responses:
+ *       200:
+ *         description: The bars for the specified stock and date range
+ */
+router.get(
+  "/candles",
+  validate({
+    query: {
+      ...dateRange({ required: true }),
+      ...SYMBOL,
+      ...SERIES,
+      interval: {
+        type: "string",
+        required: true,
+        check: (interval) =>
+          !parseInterval(interval) &&
+          "must be a number followed by w, M, Q or Y (e.g. 1w, 1M, 1Q, 1Y)",
+      },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse(),
+  getCandles
+);
+
+/**
+ * @swagger
+ * /api/indicators:
+ *   get:
+ *     summary: Get a technical indicator time series for a symbol
+ *     description: Computes SMA, EMA, RSI, MACD, Bollinger Bands or ATR over the daily records of a symbol.
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The stock symbol to compute the indicator for
+ *       - in: query
+ *         name: indicator
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: One of sma, ema, rsi, macd, bollinger or atr
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date for filtering (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: The indicator values for the specified stock and date range
+ */
+router.get(
+  "/indicators",
+  validate({
+    query: {
+      ...dateRange({ required: true }),
+      ...SYMBOL,
+      series: { type: "symbol", default: "EQ" },
+      indicator: { type: "string", required: true, values: Object.keys(INDICATORS) },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse({ lookback: true }),
+  getIndicators
+);
+
+/**
+ * @swagger
+ * /api/performance:
+ *   get:
+ *     summary: Get return, volatility and drawdown metrics for one or more symbols
+ *     description: Computes returns, volatility, Sharpe ratio, maximum drawdown and best/worst days from the close series.
+ *     parameters:
+ *       - in: query
+ *         name: symbols
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Comma-separated stock symbols
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: risk_free_rate
+ *         schema:
+ *           type: number
+ *         description: Annual risk-free rate as a fraction
+ *     responses:
+ *       200:
+ *         description: The metrics for each symbol
+ */
+router.get(
+  "/performance",
+  validate({
+    query: {
+      ...dateRange({ required: true }),
+      symbols: {
+        type: "list",
+        items: { type: "symbol" },
+        maxItems: MAX_SYMBOLS,
+        required: ({ symbol }) => !symbol,
+      },
+      symbol: { type: "list", items: { type: "symbol" }, maxItems: MAX_SYMBOLS },
+      series: { type: "symbol", default: "EQ" },
+      ...EXCHANGE,
+      risk_free_rate: { type: "number", greaterThan: -1, lessThan: 1, default: 0 },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse(),
+  getPerformance
+);
+
+/**
+ * @swagger
+ * /api/stats:
+ *   get:
+ *     summary: Get statistics of record fields for a symbol
+ *     description: Computes aggregations (avg, min, max, median, stddev, sum, count, percentiles) of record fields in a single aggregation.
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The stock symbol to compute statistics for
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated record fields (default close)
+ *       - in: query
+ *         name: aggs
+ *         schema:
+ *           type: string
+ *         description: Comma-separated aggregations (default avg)
+ *     responses:
+ *       200:
+ *         description: The statistics for the specified stock
+ */
+router.get(
+  "/stats",
+  validate({
+    query: {
+      ...dateRange(),
+      ...SYMBOL,
+      ...SERIES,
+      fields: {
+        type: "list",
+        items: { type: "string", values: STAT_FIELDS },
+        default: ["close"],
+      },
+      aggs: {
+        type: "list",
+        items: {
+          type: "string",
+          check: (agg) =>
+            !isStatAggregation(agg) &&
+            `must be one of: ${STAT_AGGREGATIONS.join(", ")} or a percentile such as p90`,
+        },
+        default: ["avg"],
+      },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse(),
+  getStats
+);
+
+/**
+ * @swagger
+ * /api/leaders:
+ *   get:
+ *     summary: Get market leaderboards
+ *     description: Top gainers, losers, most active and highest delivery symbols on a day or over a date range.
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: One of pct_change, volume, turnover, trades or percentage_deliverable
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Trading day to rank (YYYY-MM-DD)
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date of the range to rank (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date of the range to rank (YYYY-MM-DD)
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Series to filter by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: desc (default) or asc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of leaders to return (default is 10)
+ *     responses:
+ *       200:
+ *         description: The leaders with the record of the day each value occurred
+ */
+router.get(
+  "/leaders",
+  validate({
+    query: {
+      metric: { type: "string", required: true, values: LEADER_METRICS },
+      // A single day, or a range when `date` is omitted
+      date: { type: "date" },
+      start_date: { type: "date", required: ({ date }) => !date },
+      end_date: { type: "date", required: ({ date }) => !date, after: "start_date" },
+      ...SERIES,
+      order: { type: "string", values: ["asc", "desc"], default: "desc" },
+      limit: { type: "integer", min: 1, max: 100, default: 10 },
+      ...ADJUSTED,
+    },
+  }),
+  cacheResponse(),
+  getLeaders
+);
+
+/**
+ * @swagger
+ * /api/symbols:
+ *   get:
+ *     summary: List the symbols in the database
+ *     description: Lists each symbol and series with its first and last dates, row count and latest close.
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Symbol prefix to search for
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Series to filter by
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Entries per page (default is 50)
+ *     responses:
+ *       200:
+ *         description: A page of symbols
+ */
+router.get(
+  "/symbols",
+  validate({
+    query: {
+      search: { type: "symbol" },
+      ...SERIES,
+      page: { type: "integer", min: 1, default: 1 },
+      limit: { type: "integer", min: 1, max: 500, default: 50 },
+    },
+  }),
+  cacheResponse(),
+  getSymbols
+);
+
+/**
+ * @swagger
+ * /api/symbols/{symbol}/coverage:
+ *   get:
+ *     summary: Report missing trading days for a symbol
+ *     description: Compares a symbol's records against the trading calendar and lists the gaps.
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The stock symbol to check
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Series to check (default is EQ)
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period to check (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period to check (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: The coverage of the period
+ */
+router.get(
+  "/symbols/:symbol/coverage",
+  validate({
+    params: SYMBOL,
+    query: { ...dateRange(), series: { type: "symbol", default: "EQ" }, ...EXCHANGE },
+  }),
+  cacheResponse(),
+  getSymbolCoverage
+);
 
 export default router;
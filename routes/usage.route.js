@@ -0,0 +1,17 @@
+import express from "express";
+import { getUsage } from "../controllers/usage.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Get the caller's rate limit usage
+ *     responses:
+ *       200:
+ *         description: Usage of each limit
+ */
+router.get("/usage", getUsage);
+
+export default router;
@@ -0,0 +1,156 @@
+import express from "express";
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhookDeliveries,
+  getWebhooks,
+  replayWebhookDelivery,
+  updateWebhook,
+} from "../controllers/webhook.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { WEBHOOK_EVENTS } from "../models/webhook.model.js";
+import { DELIVERY_STATES } from "../models/webhookDelivery.model.js";
+import { webhookUrlProblem } from "../utils/webhooks.utils.js";
+
+const router = express.Router();
+
+// Shortest secret accepted, so signatures can't be guessed
+const MIN_SECRET_LENGTH = 16;
+
+const WEBHOOK_ID = { params: { id: { type: "objectId", required: true } } };
+
+const URL_RULE = {
+  type: "string",
+  maxLength: 2048,
+  check: (value) => {
+    const url = URL.canParse(value) ? new URL(value) : null;
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      return "must be an http or https URL";
+    }
+    return webhookUrlProblem(value);
+  },
+};
+const EVENTS_RULE = { type: "list", items: { type: "string", values: WEBHOOK_EVENTS } };
+const SECRET_RULE = {
+  type: "string",
+  trim: false,
+  check: (value) =>
+    value.length < MIN_SECRET_LENGTH &&
+    `must be at least ${MIN_SECRET_LENGTH} characters long`,
+};
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List the workspace's webhooks
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *   post:
+ *     summary: Subscribe a webhook to upload and deletion events
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its secret
+ */
+router.get("/webhooks", requireRole("admin"), getWebhooks);
+router.post(
+  "/webhooks",
+  requireRole("admin"),
+  validate({
+    body: {
+      url: { ...URL_RULE, required: true },
+      events: { ...EVENTS_RULE, required: true },
+      secret: SECRET_RULE,
+      description: { type: "string" },
+      active: { type: "boolean", default: true },
+    },
+  }),
+  createWebhook
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     responses:
+ *       200:
+ *         description: The webhook
+ *   patch:
+ *     summary: Change a webhook's URL, events, secret or state
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *   delete:
+ *     summary: Delete a webhook and its deliveries
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ */
+router.get("/webhooks/:id", requireRole("admin"), validate(WEBHOOK_ID), getWebhook);
+router.patch(
+  "/webhooks/:id",
+  requireRole("admin"),
+  validate({
+    ...WEBHOOK_ID,
+    body: {
+      url: URL_RULE,
+      events: EVENTS_RULE,
+      secret: SECRET_RULE,
+      description: { type: "string" },
+      active: { type: "boolean" },
+    },
+  }),
+  updateWebhook
+);
+router.delete("/webhooks/:id", requireRole("admin"), validate(WEBHOOK_ID), deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries and their attempts
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ */
+router.get(
+  "/webhooks/:id/deliveries",
+  requireRole("admin"),
+  validate({
+    ...WEBHOOK_ID,
+    query: {
+      state: { type: "string", values: DELIVERY_STATES },
+      event: { type: "string", values: WEBHOOK_EVENTS },
+      before: { type: "objectId" },
+      limit: { type: "integer", min: 1, max: 200, default: 50 },
+    },
+  }),
+  getWebhookDeliveries
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery's payload again
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ */
+router.post(
+  "/webhooks/:id/deliveries/:deliveryId/replay",
+  requireRole("admin"),
+  validate({
+    params: {
+      id: { type: "objectId", required: true },
+      deliveryId: { type: "objectId", required: true },
+    },
+  }),
+  replayWebhookDelivery
+);
+
+export default router;
@@ -0,0 +1,100 @@
+import express from "express";
+import {
+  copyWorkspace,
+  createWorkspace,
+  getWorkspace,
+  getWorkspaces,
+  mergeWorkspace,
+} from "../controllers/workspace.controller.js";
+import { requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { WORKSPACE_NAME_PATTERN } from "../models/workspace.model.js";
+import { RECORD_FILTER_PARAMS } from "../utils/recordQuery.utils.js";
+import { ON_CONFLICT_MODES } from "../utils/records.utils.js";
+
+const router = express.Router();
+
+// Records a copy or merge takes from the source workspace
+const TRANSFER_BODY = {
+  from: { type: "string", required: true },
+  symbol: RECORD_FILTER_PARAMS.symbol,
+  series: RECORD_FILTER_PARAMS.series,
+  start_date: RECORD_FILTER_PARAMS.start_date,
+  end_date: RECORD_FILTER_PARAMS.end_date,
+};
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List workspaces
+ *     responses:
+ *       200:
+ *         description: Workspaces
+ *   post:
+ *     summary: Create a workspace
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ */
+router.get("/workspaces", getWorkspaces);
+router.post("/workspaces", requireRole("admin"), createWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/{name}:
+ *   get:
+ *     summary: Get a workspace with its record counts
+ *     responses:
+ *       200:
+ *         description: The workspace
+ */
+router.get("/workspaces/:name", getWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/{name}/copy:
+ *   post:
+ *     summary: Create a workspace from another one's records
+ *     responses:
+ *       201:
+ *         description: Workspace created with the copied records
+ */
+router.post(
+  "/workspaces/:name/copy",
+  requireRole("admin"),
+  validate({
+    params: {
+      name: {
+        type: "string",
+        pattern: WORKSPACE_NAME_PATTERN,
+        patternMessage: "must only hold lower case letters, digits, '-' and '_'",
+      },
+    },
+    body: { ...TRANSFER_BODY, description: { type: "string" } },
+  }),
+  copyWorkspace
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{name}/merge:
+ *   post:
+ *     summary: Merge another workspace's records into a workspace
+ *     responses:
+ *       200:
+ *         description: Records merged
+ */
+router.post(
+  "/workspaces/:name/merge",
+  requireRole("admin"),
+  validate({
+    body: {
+      ...TRANSFER_BODY,
+      on_conflict: { type: "string", values: ON_CONFLICT_MODES, default: "skip" },
+    },
+  }),
+  mergeWorkspace
+);
+
+export default router;
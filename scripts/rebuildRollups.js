@@ -0,0 +1,24 @@
+// Rebuild the monthly and yearly rollups from the stored records, for every
+// workspace or the one given:
+//
+//   npm run rebuild-rollups [-- <workspace>]
+import mongoose from "mongoose";
+import { dbConnect } from "../utils/db.utils.js";
+import { rebuildRollups } from "../utils/rollups.utils.js";
+
+const [workspace] = process.argv.slice(2);
+
+if (!(await dbConnect())) process.exit(1);
+
+try {
+  const { months, years, removed } = await rebuildRollups(workspace);
+  console.log(
+    `Rebuilt ${months} monthly and ${years} yearly rollups` +
+      `${workspace ? ` of workspace '${workspace}'` : ""}; removed ${removed} stale ones.`
+  );
+} catch (error) {
+  console.error("Error rebuilding rollups:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,69 @@
+// Local webhook receiver for trying out webhook subscriptions: prints each
+// delivery and checks its signature against the webhook's secret.
+//
+//   WEBHOOK_SECRET=<secret> npm run webhook-receiver [-- --port 4000 --fail 2]
+//
+// Subscribe http://localhost:4000/ with `POST /api/webhooks`, running the
+// server with WEBHOOK_ALLOW_PRIVATE_URLS=true so it may reach localhost.
+// `--fail <n>` answers the first n deliveries with a 503, to watch them
+// being retried.
+import crypto from "crypto";
+import http from "http";
+import { parseArgs } from "util";
+import { signPayload } from "../utils/webhooks.utils.js";
+
+// Oldest signature timestamp accepted
+const MAX_AGE_SECONDS = 5 * 60;
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: "string", default: "4000" },
+    fail: { type: "string", default: "0" },
+  },
+});
+const secret = process.env.WEBHOOK_SECRET;
+let failures = parseInt(options.fail) || 0;
+
+// Why a signature header doesn't match the body, or null when it does
+const signatureProblem = (header, body) => {
+  const timestamp = /(?:^|,)t=(\d+)/.exec(header || "")?.[1];
+  if (!timestamp) return "missing or malformed signature";
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) return "stale timestamp";
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(header);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+    ? null
+    : "signature mismatch";
+};
+
+const server = http.createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+
+  const event = req.headers["x-webhook-event"];
+  const delivery = req.headers["x-webhook-delivery"];
+  const problem = secret ? signatureProblem(req.headers["x-webhook-signature"], body) : null;
+  console.log(
+    `${new Date().toISOString()} ${req.method} ${req.url} ${event} (delivery ${delivery}): ` +
+      (secret ? problem || "signature valid" : "signature not checked, WEBHOOK_SECRET unset")
+  );
+  try {
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+  } catch {
+    console.log(body);
+  }
+
+  if (problem) {
+    res.writeHead(401).end(problem);
+  } else if (failures > 0) {
+    failures--;
+    res.writeHead(503).end("Failing on purpose");
+  } else {
+    res.writeHead(204).end();
+  }
+});
+
+server.listen(parseInt(options.port), () =>
+  console.log(`Webhook receiver listening on http://localhost:${options.port}/`)
+);
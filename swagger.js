@@ -1,6 +1,16 @@
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 
+// A response documented by the shared error envelope
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: { $ref: "#/components/schemas/Error" },
+    },
+  },
+});
+
 // Swagger configuration options
 const swaggerOptions = {
   definition: {
@@ -12,9 +22,72 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: "http://localhost:5555", // Replace with your server URL
+        url: "/", // The server serving these docs
       },
     ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description:
+            "API key issued with `POST /api/keys`. Keys have the `reader`, `uploader` or `admin` role.",
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "The same API key, sent as `Authorization: Bearer <key>`.",
+        },
+      },
+      schemas: {
+        // The body of every error response
+        Error: {
+          type: "object",
+          properties: {
+            error: {
+              type: "object",
+              required: ["code", "message"],
+              properties: {
+                code: {
+                  type: "string",
+                  description:
+                    "Stable machine-readable error code, e.g. `validation_error`, `not_found`, `conflict`, `rate_limited`",
+                  example: "validation_error",
+                },
+                message: {
+                  type: "string",
+                  description: "Human-readable description of the problem",
+                  example: "Invalid 'end_date'. It must not be before 'start_date'.",
+                },
+                details: {
+                  description:
+                    "Structured data about the error. For `validation_error`, one `{ in, name, message }` per invalid parameter.",
+                  example: [
+                    {
+                      in: "query",
+                      name: "end_date",
+                      message: "Invalid 'end_date'. It must not be before 'start_date'.",
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        BadRequest: errorResponse("Invalid parameters or request body"),
+        Unauthorized: errorResponse("Missing, invalid, expired or revoked API key"),
+        Forbidden: errorResponse("The API key's role doesn't allow this request"),
+        NotFound: errorResponse("The requested resource doesn't exist"),
+        Conflict: errorResponse("The request conflicts with stored data"),
+        TooManyRequests: errorResponse("The API key's rate limit is used up"),
+        InternalError: errorResponse("Unexpected server error"),
+      },
+    },
+    // Every endpoint needs an API key
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
   },
   apis: ["./routes/*.js", "./controllers/*.js", "./midllewares/.*js"], // Path to the API docs
 };
@@ -0,0 +1,7 @@
+// Who is making a change, for audit trails and upload batches: the name of
+// the request's API key (the `X-Actor` header, or `anonymous`, when
+// authentication is disabled), and the client's address
+export const actorOf = (req) => ({
+  actor: req.apiKey?.name || req.get("X-Actor") || "anonymous",
+  ip: req.ip,
+});
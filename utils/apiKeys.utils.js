@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import { API_KEY_ROLES, ApiKeyModel } from "../models/apiKey.model.js";
+
+// Characters of a key kept in clear to recognise it
+const PREFIX_LENGTH = 10;
+
+// How often a key's `last_used_at` is written, at most
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Key accepted with the admin role without being stored, so the first keys
+// can be issued on a fresh database
+const bootstrapAdminKey = process.env.ADMIN_API_KEY;
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// Whether a key with role `role` may do what `required` allows
+export const hasRole = (role, required) =>
+  API_KEY_ROLES.indexOf(role) >= API_KEY_ROLES.indexOf(required);
+
+const matchesBootstrapKey = (key) => {
+  if (!bootstrapAdminKey) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), "hex"),
+    Buffer.from(hashApiKey(bootstrapAdminKey), "hex")
+  );
+};
+
+/**
+ * Create a key and store its hash. Resolves with the stored key and the key
+ * itself, which is not kept anywhere and must be handed to the caller.
+ */
+export const issueApiKey = async ({
+  name,
+  role,
+  workspace,
+  limits,
+  expiresAt,
+  createdBy,
+  rotatedFrom,
+}) => {
+  const key = `sk_${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = await ApiKeyModel.create({
+    name,
+    role,
+    prefix: key.slice(0, PREFIX_LENGTH),
+    key_hash: hashApiKey(key),
+    workspace: workspace || null,
+    limits,
+    expires_at: expiresAt || null,
+    created_by: createdBy,
+    rotated_from: rotatedFrom || null,
+  });
+  return { apiKey, key };
+};
+
+// Whether a stored key can still be used
+export const isActiveKey = (apiKey, now = new Date()) =>
+  !apiKey.revoked_at && (!apiKey.expires_at || apiKey.expires_at > now);
+
+/**
+ * Look up the key a request was sent with. Resolves with `{ id, name, role,
+ * prefix, workspace, limits }`, or null when the key is unknown, revoked or expired.
+ */
+export const findApiKey = async (key) => {
+  if (matchesBootstrapKey(key)) {
+    return { id: null, name: "admin", role: "admin", prefix: key.slice(0, PREFIX_LENGTH) };
+  }
+
+  const now = new Date();
+  const apiKey = await ApiKeyModel.findOne({ key_hash: hashApiKey(key) }).lean();
+  if (!apiKey || !isActiveKey(apiKey, now)) return null;
+
+  if (!apiKey.last_used_at || now - apiKey.last_used_at > LAST_USED_INTERVAL_MS) {
+    ApiKeyModel.updateOne({ _id: apiKey._id }, { last_used_at: now }).catch((error) =>
+      console.error("Error recording API key use:", error)
+    );
+  }
+
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    role: apiKey.role,
+    prefix: apiKey.prefix,
+    workspace: apiKey.workspace,
+    limits: apiKey.limits,
+  };
+};
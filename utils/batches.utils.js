@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import { RecordModel } from "../models/record.model.js";
+import { RecordVersionModel } from "../models/recordVersion.model.js";
+import { UploadBatchModel } from "../models/uploadBatch.model.js";
+import { recordsChanged } from "./records.utils.js";
+import { emitEvent } from "./webhooks.utils.js";
+
+// Record versions restored per write during a rollback
+const ROLLBACK_CHUNK_SIZE = 1000;
+
+// SHA-256 of a file on disk, read as a stream
+const fileChecksum = async (path) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(path), hash);
+  return hash.digest("hex");
+};
+
+/**
+ * Record the start of an upload: its files with their size and checksum,
+ * who sent it, the workspace it writes to and with which options. `id`
+ * becomes the upload id the written records are tagged with. Copies between
+ * workspaces are recorded the same way, without files and with the
+ * `sourceWorkspace` they read from.
+ */
+export const startUploadBatch = async (
+  id,
+  files,
+  {
+    workspace,
+    sourceWorkspace,
+    uploader,
+    ip,
+    profile,
+    onConflict,
+    asynchronous = false,
+  }
+) =>
+  UploadBatchModel.create({
+    _id: id,
+    workspace,
+    source_workspace: sourceWorkspace,
+    files: await Promise.all(
+      files.map(async ({ name, path }) => ({
+        name,
+        size: (await fs.promises.stat(path)).size,
+        sha256: await fileChecksum(path),
+      }))
+    ),
+    uploader,
+    ip,
+    profile,
+    on_conflict: onConflict,
+    asynchronous,
+  });
+
+// What an `upload.completed` or `upload.failed` webhook says about a batch
+const uploadEvent = ({ _id, workspace, breakdown, createdAt, ...batch }) => ({
+  upload_id: _id,
+  state: batch.state,
+  source_workspace: batch.source_workspace || null,
+  files: batch.files,
+  uploader: batch.uploader,
+  profile: batch.profile || null,
+  on_conflict: batch.on_conflict || null,
+  asynchronous: batch.asynchronous,
+  counts: batch.counts,
+  files_breakdown: breakdown,
+  error: batch.error,
+  upload_url: `/uploads/${_id}`,
+  rejects_url: batch.counts.rejected > 0 ? `/upload/${_id}/rejects.csv` : null,
+  uploaded_at: createdAt,
+  finished_at: batch.finished_at,
+});
+
+/**
+ * Record how an upload ended, from the result of `ingestFiles` or the error
+ * it threw (a RecordConflictError carries the counts of the batches it rolled back).
+ * Uploads that wrote nothing valid, or failed, are marked `failed`; rows
+ * they wrote before failing can still be rolled back. Webhooks subscribed
+ * to `upload.completed` or `upload.failed` are notified.
+ */
+export const finishUploadBatch = async (id, { result, error }) => {
+  const validation = result?.validation || {};
+  const summary = result?.summary || error?.summary || {};
+
+  let failure = error?.message || null;
+  if (!failure && !validation.success) failure = "Validation failed";
+  if (!failure && !validation.successfulRecords) {
+    failure = "No valid rows to insert into the database";
+  }
+
+  const batch = await UploadBatchModel.findByIdAndUpdate(
+    id,
+    {
+      state: failure ? "failed" : "completed",
+      counts: {
+        total: validation.totalRecords || 0,
+        accepted: validation.successfulRecords || 0,
+        rejected: validation.failedRecords || 0,
+        warned: validation.warnedRecords || 0,
+        inserted: summary.inserted || 0,
+        updated: summary.updated || 0,
+        unchanged: summary.unchanged || 0,
+        conflicting: summary.conflicting || 0,
+      },
+      breakdown: result?.files || error?.files || [],
+      error: failure,
+      finished_at: new Date(),
+    },
+    { new: true }
+  ).lean();
+  if (!batch) return;
+
+  await emitEvent(batch.workspace, `upload.${batch.state}`, uploadEvent(batch)).catch(
+    (error) => console.error(`Error notifying webhooks of upload ${id}:`, error)
+  );
+};
+
+// Run `write` over a cursor's documents in chunks
+const inChunks = async (cursor, write) => {
+  let chunk = [];
+  for await (const doc of cursor) {
+    chunk.push(doc);
+    if (chunk.length >= ROLLBACK_CHUNK_SIZE) {
+      await write(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) await write(chunk);
+};
+
+/**
+ * Undo what an upload did to `stock_data`: rows it overwrote get their
+ * saved previous version back and rows it inserted are deleted. Rows that
+ * changed after the upload finished (a later upload or a manual edit) are
+ * left alone and counted as skipped. Resolves with the counts.
+ */
+export const rollbackUploadBatch = async (batch) => {
+  // Rows still exactly as this upload left them
+  const untouched = {
+    upload_id: batch._id,
+    updatedAt: { $lte: batch.finished_at },
+  };
+  const counts = { deleted: 0, restored: 0, skipped: 0 };
+
+  // First and last day of each symbol the rollback can change
+  const touched = await RecordModel.aggregate([
+    { $match: { upload_id: batch._id } },
+    {
+      $group: {
+        _id: "$symbol",
+        start: { $min: "$date" },
+        end: { $max: "$date" },
+      },
+    },
+  ]);
+
+  await inChunks(
+    RecordVersionModel.find({ upload_id: batch._id }).lean().cursor(),
+    async (versions) => {
+      const result = await RecordModel.bulkWrite(
+        versions.map(({ record_id, previous }) => ({
+          replaceOne: {
+            filter: { _id: record_id, ...untouched },
+            replacement: previous,
+          },
+        })),
+        { ordered: false, timestamps: false }
+      );
+      counts.restored += result.matchedCount;
+
+      // Rows changed since that still carry this upload's id are counted
+      // with the inserted ones below; count those deleted or re-uploaded here
+      const missed = versions.length - result.matchedCount;
+      if (missed > 0) {
+        const stillTagged = await RecordModel.countDocuments({
+          _id: { $in: versions.map(({ record_id }) => record_id) },
+          upload_id: batch._id,
+        });
+        counts.skipped += missed - stillTagged;
+      }
+    }
+  );
+
+  // Apart from changed rows, what is left are the rows this upload inserted
+  const { deletedCount } = await RecordModel.deleteMany(untouched);
+  counts.deleted = deletedCount;
+  counts.skipped += await RecordModel.countDocuments({ upload_id: batch._id });
+
+  await RecordVersionModel.deleteMany({ upload_id: batch._id });
+  await recordsChanged(
+    batch.workspace,
+    touched.flatMap(({ _id: symbol, start, end }) => [
+      { symbol, date: start },
+      { symbol, date: end },
+    ])
+  );
+  return counts;
+};
+
+/**
+ * Undo the batches upload `id` wrote to `workspace` before it stopped at a
+ * conflict, so an upload with `on_conflict: "fail"` leaves the records as
+ * they were. Resolves with the rollback counts.
+ */
+export const undoConflictingUpload = (id, workspace) =>
+  rollbackUploadBatch({ _id: id, workspace, finished_at: new Date() });
@@ -0,0 +1,183 @@
+import crypto from "crypto";
+
+/*
+ * Cache of `/api` query results. Entries are kept in a store: the
+ * in-process LRU store below unless another one is installed with
+ * `setCacheStore`. A store is any object with these async methods:
+ *
+ * - `get(key)`: the entry stored under `key`, or undefined
+ * - `set(key, entry)`: store an entry, evicting others as it sees fit
+ * - `delete(key)`
+ * - `clear()`
+ * - `entries()`: an (async) iterable of `[key, entry]` pairs
+ *
+ * and optionally `size()` and `stats()` for the operator statistics.
+ * Entries are plain JSON-serializable objects, so an external store (e.g.
+ * Redis) can keep them as strings.
+ *
+ * Each entry carries the scope of data it was computed from (workspace,
+ * symbols and dates); writes to `stock_data` drop exactly the entries
+ * whose scope they overlap.
+ */
+
+const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES ?? 1000);
+// Entries older than this are recomputed even when no write touched them,
+// covering writes made by other server processes; 0 keeps them until evicted
+const ttlSeconds = parseInt(process.env.CACHE_TTL_SECONDS ?? 3600);
+
+/**
+ * In-process store keeping the `maxEntries` most recently used entries. A
+ * Map iterates in insertion order, so re-inserting an entry on each read
+ * keeps the least recently used one first.
+ */
+export const createMemoryStore = (maxEntries) => {
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => entries.clear(),
+    entries: () => [...entries],
+    size: async () => entries.size,
+    stats: () => ({ max_entries: maxEntries, evictions }),
+  };
+};
+
+let store = createMemoryStore(maxEntries);
+const counters = { hits: 0, misses: 0, stores: 0, invalidated: 0 };
+// Bumped by every write, so results computed while data changed are not kept
+let generation = 0;
+
+export const isCacheEnabled = () => maxEntries > 0;
+
+// Use another store, e.g. an adapter for an external cache
+export const setCacheStore = (replacement) => {
+  store = replacement;
+};
+
+/**
+ * Cache key of a request: the path, workspace and validated query, with
+ * parameter names sorted so equivalent queries share an entry.
+ */
+export const cacheKey = (path, workspace, query) =>
+  JSON.stringify([
+    path,
+    workspace,
+    Object.keys(query)
+      .sort()
+      .map((name) => [name, query[name]]),
+  ]);
+
+// Strong ETag of a response body
+export const etagOf = (body) =>
+  `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+/**
+ * The entry stored under `key`, or null when there is none or it has
+ * expired. Counts a hit or a miss.
+ */
+export const readCachedResult = async (key) => {
+  const entry = await store.get(key);
+  const fresh = entry && (!ttlSeconds || Date.now() - entry.stored_at < ttlSeconds * 1000);
+  if (entry && !fresh) await store.delete(key);
+  counters[fresh ? "hits" : "misses"]++;
+  return fresh ? entry : null;
+};
+
+// The current write generation; pass it back to `storeCachedResult`
+export const cacheGeneration = () => generation;
+
+/**
+ * Store a computed result under `key` with its scope, unless data changed
+ * since `since` (a `cacheGeneration()` read before computing it).
+ */
+export const storeCachedResult = async (key, entry, since) => {
+  if (since !== generation) return;
+  await store.set(key, { ...entry, stored_at: Date.now() });
+  counters.stores++;
+};
+
+const overlaps = (scope, change) => {
+  if (change.workspace && scope.workspace !== change.workspace) return false;
+  if (
+    change.symbols &&
+    scope.symbols &&
+    !scope.symbols.some((symbol) => change.symbols.includes(symbol))
+  ) {
+    return false;
+  }
+  // Dates are YYYY-MM-DD strings, so they compare in calendar order
+  if (change.end && scope.start && scope.start > change.end) return false;
+  if (change.start && scope.end && scope.end < change.start) return false;
+  return true;
+};
+
+/**
+ * Drop the entries computed from data a write changed. `change` narrows
+ * what was written: a `workspace`, a list of `symbols` and `start`/`end`
+ * days (YYYY-MM-DD); what it leaves out is taken to be everything.
+ */
+export const invalidateCachedResults = async (change = {}) => {
+  generation++;
+  const stale = [];
+  for await (const [key, entry] of store.entries()) {
+    if (overlaps(entry.scope, change)) stale.push(key);
+  }
+  await Promise.all(stale.map((key) => store.delete(key)));
+  counters.invalidated += stale.length;
+};
+
+// Drop every entry
+export const clearCache = async () => {
+  generation++;
+  const size = store.size ? await store.size() : undefined;
+  await store.clear();
+  if (size) counters.invalidated += size;
+};
+
+// Hit and miss counts since the server started, with the store's own figures
+export const readCacheStats = async () => {
+  const lookups = counters.hits + counters.misses;
+  return {
+    enabled: isCacheEnabled(),
+    store: store.name || "custom",
+    entries: store.size ? await store.size() : null,
+    ttl_seconds: ttlSeconds || null,
+    ...counters,
+    hit_rate: lookups > 0 ? counters.hits / lookups : null,
+    ...(store.stats && store.stats()),
+  };
+};
+
+/**
+ * Days (YYYY-MM-DD) and symbols covered by a list of records, as a change
+ * for `invalidateCachedResults`.
+ */
+export const changeOf = (workspace, records) => {
+  const days = records.map(({ date }) => new Date(date).toISOString().split("T")[0]);
+  return {
+    workspace,
+    symbols: [...new Set(records.map(({ symbol }) => symbol))],
+    start: days.reduce((min, day) => (day < min ? day : min), days[0]),
+    end: days.reduce((max, day) => (day > max ? day : max), days[0]),
+  };
+};
@@ -0,0 +1,181 @@
+import { Readable } from "stream";
+import csvParser from "csv-parser";
+import moment from "moment";
+import {
+  CALENDAR_DAY_TYPES,
+  TradingCalendarModel,
+} from "../models/tradingCalendar.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exchange whose calendar is used when a request doesn't name one
+export const DEFAULT_EXCHANGE = (process.env.DEFAULT_EXCHANGE || "NSE").toUpperCase();
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Turn a stored calendar into the lookup structure the helpers below use
+const compileCalendar = ({ exchange, weekend_days = [0, 6], days = [] }) => ({
+  exchange,
+  weekendDays: new Set(weekend_days),
+  holidays: new Set(
+    days.filter((day) => day.type === "holiday").map((day) => formatDay(day.date))
+  ),
+  specialSessions: new Set(
+    days
+      .filter((day) => day.type === "special_session")
+      .map((day) => formatDay(day.date))
+  ),
+});
+
+// Monday to Friday with no holidays; used when no calendar is stored
+export const WEEKDAY_CALENDAR = compileCalendar({ exchange: null });
+
+const calendars = new Map();
+
+/**
+ * Load an exchange's calendar, compiled for the helpers below. Exchanges
+ * without a stored calendar get a Monday-to-Friday calendar. Calendars are
+ * kept in memory until `invalidateCalendar` is called for the exchange.
+ */
+export const loadCalendar = async (exchange = DEFAULT_EXCHANGE) => {
+  const key = String(exchange).toUpperCase();
+  if (!calendars.has(key)) {
+    const stored = await TradingCalendarModel.findOne({ exchange: key }).lean();
+    calendars.set(key, compileCalendar(stored || { exchange: key }));
+  }
+  return calendars.get(key);
+};
+
+// Forget a cached calendar after it has been changed
+export const invalidateCalendar = (exchange) =>
+  calendars.delete(String(exchange).toUpperCase());
+
+/**
+ * Whether the exchange trades on a date: special sessions always do,
+ * holidays and weekend days don't, other days do.
+ */
+export const isTradingDay = (date, calendar = WEEKDAY_CALENDAR) => {
+  const day = formatDay(startOfDay(date));
+  if (calendar.specialSessions.has(day)) return true;
+  if (calendar.holidays.has(day)) return false;
+  return !calendar.weekendDays.has(date.getUTCDay());
+};
+
+/**
+ * Number of trading days after `from` up to and including `to`, i.e. how
+ * many sessions a return from `from` to `to` spans. Consecutive trading days
+ * give 1, as does Friday to Monday; a missing Wednesday between Tuesday and
+ * Thursday gives 2.
+ */
+export const tradingDaysBetween = (from, to, calendar = WEEKDAY_CALENDAR) => {
+  const end = startOfDay(to);
+  let count = 0;
+  for (
+    let day = new Date(startOfDay(from).getTime() + DAY_MS);
+    day <= end;
+    day = new Date(day.getTime() + DAY_MS)
+  ) {
+    if (isTradingDay(day, calendar)) count++;
+  }
+  return count;
+};
+
+/**
+ * Trading days from `start` to `end` inclusive, as UTC midnights (the way
+ * record dates are stored).
+ */
+export const tradingDays = (start, end, calendar = WEEKDAY_CALENDAR) => {
+  const days = [];
+  for (let day = startOfDay(start); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (isTradingDay(day, calendar)) days.push(day);
+  }
+  return days;
+};
+
+/**
+ * The `n`th trading day counting back from `end` (inclusive when `end` is a
+ * trading day), so that [result, end] holds exactly `n` trading days.
+ */
+export const nthTradingDayBefore = (end, n, calendar = WEEKDAY_CALENDAR) => {
+  let day = startOfDay(end);
+  let found = isTradingDay(day, calendar) ? 1 : 0;
+  while (found < n) {
+    day = new Date(day.getTime() - DAY_MS);
+    if (isTradingDay(day, calendar)) found++;
+  }
+  return day;
+};
+
+// Date formats accepted in holiday lists (NSE publishes e.g. "26-Jan-2024")
+const CALENDAR_DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "DD-MMM-YYYY",
+  "DD-MMM-YY",
+  "DD-MM-YYYY",
+  "DD/MM/YYYY",
+  "MMMM D, YYYY",
+];
+
+// Header names (lower case) each column may appear under
+const CALENDAR_COLUMNS = {
+  date: ["date", "holiday date"],
+  description: ["description", "holiday", "name", "occasion"],
+  type: ["type", "day type"],
+};
+
+/**
+ * Read a holiday list CSV with a `Date` column and optional `Description`
+ * and `Type` (`holiday`, the default, or `special_session`) columns. Resolves
+ * with the parsed days and a list of `{ line, message }` for rows that
+ * couldn't be read.
+ */
+export const readCalendarCSV = async (buffer) => {
+  const days = [];
+  const errors = [];
+  let line = 1;
+
+  const parser = Readable.from([buffer]).pipe(
+    csvParser({
+      mapHeaders: ({ header }) => {
+        const name = header.replace(/^\uFEFF/, "").trim().toLowerCase();
+        const column = Object.keys(CALENDAR_COLUMNS).find((key) =>
+          CALENDAR_COLUMNS[key].includes(name)
+        );
+        return column || null;
+      },
+    })
+  );
+
+  for await (const row of parser) {
+    line++;
+    const date = moment.utc(String(row.date || "").trim(), CALENDAR_DATE_FORMATS, true);
+    const type = String(row.type || "holiday")
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, "_");
+
+    if (!date.isValid()) {
+      errors.push({ line, message: `Invalid date '${row.date || ""}'` });
+    } else if (!CALENDAR_DAY_TYPES.includes(type)) {
+      errors.push({
+        line,
+        message: `Invalid type '${row.type}'. Allowed values: ${CALENDAR_DAY_TYPES.join(", ")}`,
+      });
+    } else {
+      days.push({
+        date: date.toDate(),
+        type,
+        description: String(row.description || "").trim(),
+      });
+    }
+  }
+
+  if (line === 1) {
+    errors.push({ line, message: "The file has no rows" });
+  }
+
+  return { days, errors };
+};
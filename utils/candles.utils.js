@@ -0,0 +1,126 @@
+// Bar sizes accepted by `interval`: an optional multiple followed by a unit
+const INTERVAL_UNITS = {
+  w: "week",
+  M: "month",
+  Q: "quarter",
+  Y: "year",
+};
+
+const INTERVAL_PATTERN = /^(\d*)(w|M|Q|Y)$/;
+
+/**
+ * Parse an interval such as `1w`, `2w`, `1M`, `6M`, `1Q` or `1Y` into the
+ * `unit` and `binSize` understood by `$dateTrunc`. Returns null when the
+ * interval isn't recognised.
+ */
+export const parseInterval = (interval) => {
+  const match = INTERVAL_PATTERN.exec(String(interval).trim());
+  if (!match) return null;
+
+  const binSize = match[1] === "" ? 1 : parseInt(match[1]);
+  if (binSize < 1) return null;
+
+  return { unit: INTERVAL_UNITS[match[2]], binSize };
+};
+
+// Where each input document of `candleStages` keeps the values bars are
+// built from: daily records, or the month rollups of `rollupCandleStages`
+const RECORD_VALUES = {
+  date: "$date",
+  first_date: "$date",
+  last_date: "$date",
+  open: "$open",
+  high: "$high",
+  low: "$low",
+  close: "$close",
+  volume: "$volume",
+  turnover: "$turnover",
+  trades: "$trades",
+  weighted_price: { $multiply: ["$vwap", "$volume"] },
+  days: 1,
+};
+const ROLLUP_VALUES = {
+  date: "$start",
+  first_date: "$first.date",
+  last_date: "$last.date",
+  open: "$first.open",
+  high: "$high.max",
+  low: "$low.min",
+  close: "$last.close",
+  volume: "$volume.sum",
+  turnover: "$turnover.sum",
+  trades: "$trades.sum",
+  weighted_price: "$vwap_volume",
+  days: "$count",
+};
+
+const barStages = ({ unit, binSize }, values) => [
+  { $sort: { [values.date.slice(1)]: 1 } },
+  {
+    $group: {
+      _id: {
+        series: "$series",
+        period: {
+          $dateTrunc: {
+            date: values.date,
+            unit,
+            binSize,
+            startOfWeek: "monday",
+          },
+        },
+      },
+      first_date: { $first: values.first_date },
+      last_date: { $last: values.last_date },
+      open: { $first: values.open },
+      high: { $max: values.high },
+      low: { $min: values.low },
+      close: { $last: values.close },
+      volume: { $sum: values.volume },
+      turnover: { $sum: values.turnover },
+      trades: { $sum: values.trades },
+      weighted_price: { $sum: values.weighted_price },
+      days: { $sum: values.days },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      series: "$_id.series",
+      period_start: "$_id.period",
+      first_date: 1,
+      last_date: 1,
+      open: 1,
+      high: 1,
+      low: 1,
+      close: 1,
+      volume: 1,
+      turnover: 1,
+      trades: 1,
+      vwap: {
+        $cond: [
+          { $gt: ["$volume", 0] },
+          { $divide: ["$weighted_price", "$volume"] },
+          null,
+        ],
+      },
+      days: 1,
+    },
+  },
+  { $sort: { series: 1, period_start: 1 } },
+];
+
+/**
+ * Aggregation stages that roll daily records, already filtered by a `$match`,
+ * into one bar per series and period. Weeks start on Monday. Each bar takes
+ * the open of its first day and the close of its last, the highest high and
+ * lowest low, summed volume, turnover and trades, and a VWAP weighted by each
+ * day's volume.
+ */
+export const candleStages = (bar) => barStages(bar, RECORD_VALUES);
+
+/**
+ * The same bars as `candleStages`, built from month rollups, and records
+ * shaped like them (see `rollupCandles`). Months must be whole bars of
+ * `bar`, so its unit is `month`, `quarter` or `year`.
+ */
+export const rollupCandleStages = (bar) => barStages(bar, ROLLUP_VALUES);
@@ -0,0 +1,285 @@
+import { Readable } from "stream";
+import csvParser from "csv-parser";
+import moment from "moment";
+import {
+  CORPORATE_ACTION_TYPES,
+  CorporateActionModel,
+} from "../models/corporateAction.model.js";
+import { RecordModel } from "../models/record.model.js";
+import { DEFAULT_WORKSPACE } from "../models/workspace.model.js";
+
+// Record fields scaled by the price factor and by the share-count factor
+export const ADJUSTED_PRICE_FIELDS = [
+  "prev_close",
+  "open",
+  "high",
+  "low",
+  "last",
+  "close",
+  "vwap",
+];
+export const ADJUSTED_VOLUME_FIELDS = ["volume", "deliverable"];
+
+// Whether a request asked for prices adjusted for corporate actions; the
+// `adjusted` query parameter is validated into a boolean
+export const isAdjusted = (query) => query.adjusted === true;
+
+/**
+ * Factors one action applies to prices and share counts before its ex-date.
+ * A 1:5 split (`ratio_new` 5, `ratio_old` 1) divides earlier prices by 5 and
+ * multiplies earlier volumes by 5; a 1:1 bonus halves earlier prices. A
+ * dividend scales earlier prices by (1 - amount / close before the ex-date)
+ * and leaves volumes alone; it is ignored when that close is unknown.
+ */
+const actionFactors = (action, referenceClose) => {
+  if (action.type === "split") {
+    return {
+      price: action.ratio_old / action.ratio_new,
+      volume: action.ratio_new / action.ratio_old,
+    };
+  }
+  if (action.type === "bonus") {
+    const shares = (action.ratio_old + action.ratio_new) / action.ratio_old;
+    return { price: 1 / shares, volume: shares };
+  }
+  if (referenceClose > action.amount) {
+    return { price: 1 - action.amount / referenceClose, volume: 1 };
+  }
+  return null;
+};
+
+const dayKey = (symbol, date) => `${symbol}|${new Date(date).getTime()}`;
+
+// Close before each dividend's ex-date: the ex-date record's previous close,
+// or the last close before the ex-date when there is no record on it
+const dividendReferenceCloses = async (dividends, workspace) => {
+  const closes = new Map();
+  if (dividends.length === 0) return closes;
+
+  const records = await RecordModel.find({
+    workspace,
+    $or: dividends.map(({ symbol, ex_date }) => ({ symbol, date: ex_date })),
+  })
+    .select({ symbol: 1, series: 1, date: 1, prev_close: 1 })
+    .lean();
+  // Prefer the EQ series when a symbol trades in several
+  records
+    .sort((a, b) => (a.series === "EQ") - (b.series === "EQ"))
+    .forEach((record) => closes.set(dayKey(record.symbol, record.date), record.prev_close));
+
+  await Promise.all(
+    dividends
+      .filter(({ symbol, ex_date }) => !closes.has(dayKey(symbol, ex_date)))
+      .map(async ({ symbol, ex_date }) => {
+        const previous = await RecordModel.findOne({
+          workspace,
+          symbol,
+          date: { $lt: ex_date },
+        })
+          .sort({ date: -1 })
+          .select({ close: 1 })
+          .lean();
+        if (previous) closes.set(dayKey(symbol, ex_date), previous.close);
+      })
+  );
+
+  return closes;
+};
+
+/**
+ * Adjustment schedule for the given symbols (all symbols when omitted): per
+ * symbol, its ex-dates in ascending order, each with the cumulative price and
+ * volume factors of that action and every later one. A record dated before
+ * an ex-date, and on or after the previous one, is scaled by that entry's
+ * factors. Derived from the corporate actions on every call, with dividend
+ * reference closes read from `workspace`; raw records are never modified.
+ */
+export const loadAdjustmentSchedule = async (symbols, workspace = DEFAULT_WORKSPACE) => {
+  const actions = await CorporateActionModel.find(
+    symbols ? { symbol: { $in: symbols } } : {}
+  )
+    .sort({ symbol: 1, ex_date: 1 })
+    .lean();
+
+  const closes = await dividendReferenceCloses(
+    actions.filter((action) => action.type === "dividend"),
+    workspace
+  );
+
+  const schedule = new Map();
+  actions.forEach((action) => {
+    const factors = actionFactors(action, closes.get(dayKey(action.symbol, action.ex_date)));
+    if (!factors) return;
+    if (!schedule.has(action.symbol)) schedule.set(action.symbol, []);
+    schedule.get(action.symbol).push({ ex_date: action.ex_date, ...factors });
+  });
+
+  // Accumulate from the latest ex-date backwards
+  schedule.forEach((entries) => {
+    for (let index = entries.length - 2; index >= 0; index--) {
+      entries[index].price *= entries[index + 1].price;
+      entries[index].volume *= entries[index + 1].volume;
+    }
+  });
+
+  return schedule;
+};
+
+// `$switch` picking a record's factor: the first ex-date of its symbol that
+// is after (`$lt`) or on or after (`$lte`) the record's date
+const factorSwitch = (schedule, factor, operator) => ({
+  $switch: {
+    branches: [...schedule].map(([symbol, entries]) => ({
+      case: { $eq: ["$symbol", symbol] },
+      then: {
+        $switch: {
+          branches: entries.map((entry) => ({
+            case: { [operator]: ["$date", entry.ex_date] },
+            then: entry[factor],
+          })),
+          default: 1,
+        },
+      },
+    })),
+    default: 1,
+  },
+});
+
+/**
+ * Aggregation stages back-adjusting prices and volumes of the records they
+ * receive, to be placed right after a pipeline's `$match`. A record's
+ * previous close belongs to the day before it, so it is also adjusted by
+ * actions going ex on the record's own date.
+ */
+export const adjustmentStages = (schedule) => {
+  if (schedule.size === 0) return [];
+
+  const scale = (field, factor) => ({ $multiply: [`$${field}`, factor] });
+  return [
+    {
+      $set: {
+        _price_factor: factorSwitch(schedule, "price", "$lt"),
+        _prev_price_factor: factorSwitch(schedule, "price", "$lte"),
+        _volume_factor: factorSwitch(schedule, "volume", "$lt"),
+      },
+    },
+    {
+      $set: {
+        ...Object.fromEntries(
+          ADJUSTED_PRICE_FIELDS.map((field) => [
+            field,
+            scale(field, field === "prev_close" ? "$_prev_price_factor" : "$_price_factor"),
+          ])
+        ),
+        ...Object.fromEntries(
+          ADJUSTED_VOLUME_FIELDS.map((field) => [field, scale(field, "$_volume_factor")])
+        ),
+      },
+    },
+    { $unset: ["_price_factor", "_prev_price_factor", "_volume_factor"] },
+  ];
+};
+
+// Factors of the first schedule entry matching a date, as in `factorSwitch`
+const factorsFor = (entries = [], date, inclusive) =>
+  entries.find((entry) => (inclusive ? date <= entry.ex_date : date < entry.ex_date)) || {
+    price: 1,
+    volume: 1,
+  };
+
+// Back-adjust records already loaded in memory (they need `symbol` and `date`)
+export const adjustRecords = (records, schedule) =>
+  records.map((record) => {
+    const entries = schedule.get(record.symbol);
+    if (!entries) return record;
+
+    const { price, volume } = factorsFor(entries, record.date, false);
+    const adjusted = { ...record };
+    ADJUSTED_PRICE_FIELDS.forEach((field) => {
+      if (adjusted[field] === undefined) return;
+      adjusted[field] *=
+        field === "prev_close" ? factorsFor(entries, record.date, true).price : price;
+    });
+    ADJUSTED_VOLUME_FIELDS.forEach((field) => {
+      if (adjusted[field] !== undefined) adjusted[field] *= volume;
+    });
+    return adjusted;
+  });
+
+// Date formats accepted in corporate action lists
+const ACTION_DATE_FORMATS = ["YYYY-MM-DD", "DD-MMM-YYYY", "DD-MM-YYYY", "DD/MM/YYYY"];
+
+// Header names (lower case) each column may appear under
+const ACTION_COLUMNS = {
+  symbol: ["symbol"],
+  ex_date: ["ex date", "ex_date", "ex-date"],
+  type: ["type", "action"],
+  ratio: ["ratio"],
+  amount: ["amount", "dividend"],
+  description: ["description", "purpose", "remarks"],
+};
+
+/**
+ * Read a corporate actions CSV with `Symbol`, `Ex Date` and `Type` columns,
+ * a `Ratio` ("new:old", e.g. "5:1" for a split into five shares or "1:1" for
+ * a one-for-one bonus) for splits and bonuses, an `Amount` for dividends and
+ * an optional `Description`. Resolves with the actions in the model's shape
+ * and a list of `{ line, message }` for rows that couldn't be read; the
+ * actions are validated against the model by the caller.
+ */
+export const readCorporateActionsCSV = async (buffer) => {
+  const actions = [];
+  const errors = [];
+  let line = 1;
+
+  const parser = Readable.from([buffer]).pipe(
+    csvParser({
+      mapHeaders: ({ header }) => {
+        const name = header.replace(/^\uFEFF/, "").trim().toLowerCase();
+        return (
+          Object.keys(ACTION_COLUMNS).find((key) => ACTION_COLUMNS[key].includes(name)) ||
+          null
+        );
+      },
+    })
+  );
+
+  for await (const row of parser) {
+    line++;
+    const exDate = moment.utc(String(row.ex_date || "").trim(), ACTION_DATE_FORMATS, true);
+    const type = String(row.type || "").trim().toLowerCase();
+    const ratio = /^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(row.ratio || "");
+
+    if (!String(row.symbol || "").trim()) {
+      errors.push({ line, message: "Missing symbol" });
+    } else if (!exDate.isValid()) {
+      errors.push({ line, message: `Invalid ex date '${row.ex_date || ""}'` });
+    } else if (!CORPORATE_ACTION_TYPES.includes(type)) {
+      errors.push({
+        line,
+        message: `Invalid type '${row.type || ""}'. Allowed values: ${CORPORATE_ACTION_TYPES.join(", ")}`,
+      });
+    } else if (type !== "dividend" && !ratio) {
+      errors.push({ line, message: `Invalid ratio '${row.ratio || ""}'. Use new:old, e.g. 5:1` });
+    } else {
+      actions.push({
+        line,
+        symbol: row.symbol.trim().toUpperCase(),
+        ex_date: exDate.toDate(),
+        type,
+        ...(type === "dividend"
+          ? { amount: Number(row.amount) }
+          : { ratio_new: Number(ratio[1]), ratio_old: Number(ratio[2]) }),
+        ...(String(row.description || "").trim() && {
+          description: String(row.description).trim(),
+        }),
+      });
+    }
+  }
+
+  if (line === 1) {
+    errors.push({ line, message: "The file has no rows" });
+  }
+
+  return { actions, errors };
+};
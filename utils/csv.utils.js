@@ -0,0 +1,8 @@
+// Quote a CSV value when it contains a separator, a quote or a line break
+export const toCSVValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSVLine = (values) => values.map(toCSVValue).join(",") + "\n";
@@ -0,0 +1,46 @@
+// Error code of each HTTP status, used when a response doesn't name a more
+// specific one
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+};
+
+/**
+ * Send an error in the envelope every route answers with:
+ * `{ error: { code, message, details } }`. `code` is a stable machine
+ * readable name (the status's generic code unless given); `details` holds
+ * structured data such as the invalid parameters, and is left out when
+ * there is none.
+ */
+export const sendError = (res, status, message, { code, details } = {}) =>
+  res.status(status).json({
+    error: {
+      code: code || STATUS_CODES[status] || "error",
+      message,
+      ...(details !== undefined && { details }),
+    },
+  });
+
+/**
+ * Send a 400 `validation_error` for a list of invalid parameters, each
+ * `{ in, name, message }`; the message summarises all of them.
+ */
+export const sendValidationErrors = (res, errors) =>
+  sendError(res, 400, errors.map(({ message }) => message).join(" "), {
+    code: "validation_error",
+    details: errors,
+  });
+
+// Fields of a Mongoose validation error, in the shape of parameter errors
+export const validationDetails = (error) =>
+  Object.values(error.errors || {}).map(({ path, message }) => ({
+    in: "body",
+    name: path,
+    message,
+  }));
@@ -0,0 +1,79 @@
+import { toCSVLine } from "./csv.utils.js";
+import { RECORD_COLUMNS } from "./records.utils.js";
+
+// Rows per column chunk in the columnar format
+const rowGroupSize = parseInt(process.env.EXPORT_ROW_GROUP_SIZE) || 10000;
+
+// Exportable record fields, in upload column order
+export const EXPORT_FIELDS = RECORD_COLUMNS.map(({ field }) => field);
+
+const HEADERS = Object.fromEntries(
+  RECORD_COLUMNS.map(({ field, header }) => [field, header])
+);
+
+// Values as the upload endpoint reads them back: dates as YYYY-MM-DD
+const exportValue = (record, field) =>
+  field === "date" ? record.date.toISOString().split("T")[0] : record[field];
+
+const csvExporter = (fields) => ({
+  start: () => toCSVLine(fields.map((field) => HEADERS[field])),
+  write: (record) => toCSVLine(fields.map((field) => exportValue(record, field))),
+  end: () => "",
+});
+
+const ndjsonExporter = (fields) => ({
+  start: () => "",
+  write: (record) =>
+    JSON.stringify(
+      Object.fromEntries(fields.map((field) => [HEADERS[field], exportValue(record, field)]))
+    ) + "\n",
+  end: () => "",
+});
+
+/**
+ * One JSON document holding the rows column by column, in row groups of
+ * `EXPORT_ROW_GROUP_SIZE` rows so only one group is held in memory:
+ * `{ "columns": [...], "row_groups": [{ "rows": n, "data": { column: [...] } }], "rows": total }`.
+ */
+const columnarExporter = (fields) => {
+  let group = [];
+  let groups = 0;
+  let rows = 0;
+
+  const flush = () => {
+    if (group.length === 0) return "";
+    const data = Object.fromEntries(
+      fields.map((field) => [HEADERS[field], group.map((record) => exportValue(record, field))])
+    );
+    const chunk = `${groups > 0 ? "," : ""}\n${JSON.stringify({ rows: group.length, data })}`;
+    groups++;
+    group = [];
+    return chunk;
+  };
+
+  return {
+    start: () =>
+      `{"columns":${JSON.stringify(fields.map((field) => HEADERS[field]))},"row_groups":[`,
+    write: (record) => {
+      group.push(record);
+      rows++;
+      return group.length >= rowGroupSize ? flush() : "";
+    },
+    end: () => `${flush()}\n],"rows":${rows}}\n`,
+  };
+};
+
+// Export formats with their content type, file extension and writer
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv", extension: "csv", create: csvExporter },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    extension: "ndjson",
+    create: ndjsonExporter,
+  },
+  columnar: {
+    contentType: "application/json",
+    extension: "json",
+    create: columnarExporter,
+  },
+};
@@ -0,0 +1,228 @@
+import fs from "fs";
+import readline from "readline";
+import zlib from "zlib";
+import { pipeline } from "stream";
+import { promisify } from "util";
+import csvParser from "csv-parser";
+import StreamArray from "stream-json/streamers/StreamArray.js";
+import yauzl from "yauzl";
+
+const noop = () => {}; // Errors surface through the async iterators instead
+
+// Error reading an uploaded file: content that can't be parsed, a corrupt
+// archive or compressed stream, or a file missing from disk. Failing to
+// store the rows read is not one.
+export class SourceReadError extends Error {
+  constructor(cause) {
+    super(cause.message, { cause });
+    this.name = "SourceReadError";
+  }
+}
+
+// Raise the errors of a row reader as SourceReadErrors
+async function* readingErrors(rows) {
+  try {
+    yield* rows;
+  } catch (error) {
+    throw new SourceReadError(error);
+  }
+}
+
+/**
+ * Detect the format of a file from its first bytes rather than its name:
+ * gzip and zip by their magic numbers, JSON arrays by a leading `[`, NDJSON
+ * by a leading `{` and CSV otherwise.
+ */
+export const detectFormat = (head) => {
+  if (head[0] === 0x1f && head[1] === 0x8b) return "gzip";
+  if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) {
+    return "zip";
+  }
+
+  const text = head.toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if (text.startsWith("[")) return "json";
+  if (text.startsWith("{")) return "ndjson";
+  return "csv";
+};
+
+// Read the first chunk of a stream and put it back, so the stream can
+// still be consumed from the start
+const peek = (stream) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off("readable", onReadable);
+      stream.off("error", onError);
+    };
+    const onReadable = () => {
+      cleanup();
+      const chunk = stream.read();
+      if (chunk) stream.unshift(chunk);
+      resolve(chunk || Buffer.alloc(0));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    stream.on("readable", onReadable);
+    stream.on("error", onError);
+  });
+
+/*
+ * Row readers. Each yields `{ headers }` once, before the first row, then
+ * `{ row, line }` per record, where `line` is the line (CSV, NDJSON) or
+ * position (JSON array) of the record in its file. Records that can't be
+ * parsed come out as `{ line, raw, code }` so they can be rejected like any
+ * other invalid row.
+ */
+
+async function* csvRows(stream) {
+  const parser = pipeline(
+    stream,
+    csvParser({ mapHeaders: ({ header }) => header.trim() }),
+    noop
+  );
+  let headers = null;
+  parser.once("headers", (parsed) => {
+    headers = parsed;
+  });
+
+  // The header is line 1; quoted values spanning several lines aren't counted
+  let line = 1;
+  for await (const row of parser) {
+    if (line === 1) yield { headers };
+    line++;
+    yield { row, line };
+  }
+  if (line === 1 && headers) yield { headers };
+}
+
+// Shared by the JSON readers: announce headers from the first object
+async function* objectRows(entries) {
+  let announced = false;
+  for await (const { line, value, raw } of entries) {
+    if (raw !== undefined) {
+      yield { line, raw, code: "INVALID_JSON" };
+    } else if (!value || typeof value !== "object" || Array.isArray(value)) {
+      yield { line, raw: JSON.stringify(value), code: "NOT_AN_OBJECT" };
+    } else {
+      if (!announced) {
+        announced = true;
+        yield { headers: Object.keys(value) };
+      }
+      yield { row: value, line };
+    }
+  }
+}
+
+async function* ndjsonEntries(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      yield { line, value: JSON.parse(text) };
+    } catch (error) {
+      yield { line, raw: text };
+    }
+  }
+}
+
+async function* jsonArrayEntries(stream) {
+  const parser = pipeline(stream, StreamArray.withParser(), noop);
+  for await (const { key, value } of parser) {
+    yield { line: key + 1, value };
+  }
+}
+
+const readers = {
+  csv: csvRows,
+  ndjson: (stream) => objectRows(ndjsonEntries(stream)),
+  json: (stream) => objectRows(jsonArrayEntries(stream)),
+};
+
+// Describe a stream as a row source, unwrapping gzip on the way
+async function* streamSources(name, stream, wrappers = []) {
+  const format = detectFormat(await peek(stream));
+
+  if (format === "gzip") {
+    const inflated = pipeline(stream, zlib.createGunzip(), noop);
+    yield* streamSources(name, inflated, [...wrappers, format]);
+  } else if (format === "zip") {
+    stream.destroy();
+    yield {
+      name,
+      format: [format, ...[...wrappers].reverse()].join("+"),
+      error: "Zip archives are only supported as uploaded files",
+    };
+  } else {
+    yield {
+      name,
+      format: [format, ...[...wrappers].reverse()].join("+"),
+      rows: readers[format](stream),
+    };
+  }
+}
+
+async function* zipEntries(filePath) {
+  const zip = await promisify(yauzl.open)(filePath, { lazyEntries: true });
+  const openReadStream = promisify(zip.openReadStream.bind(zip));
+  const nextEntry = () =>
+    new Promise((resolve, reject) => {
+      const onEntry = (entry) => done(null, entry);
+      const onEnd = () => done(null, null);
+      const done = (error, entry) => {
+        zip.off("entry", onEntry).off("end", onEnd).off("error", done);
+        error ? reject(error) : resolve(entry);
+      };
+      zip.on("entry", onEntry).on("end", onEnd).on("error", done);
+      zip.readEntry();
+    });
+
+  try {
+    for (let entry = await nextEntry(); entry; entry = await nextEntry()) {
+      // Skip directories and macOS resource forks
+      if (entry.fileName.endsWith("/") || entry.fileName.startsWith("__MACOSX/")) {
+        continue;
+      }
+      yield { name: entry.fileName, stream: await openReadStream(entry) };
+    }
+  } finally {
+    zip.close();
+  }
+}
+
+async function* fileSources({ name, path }) {
+  const head = Buffer.alloc(4);
+  const fd = await fs.promises.open(path, "r");
+  try {
+    await fd.read(head, 0, head.length, 0);
+  } finally {
+    await fd.close();
+  }
+
+  if (detectFormat(head) !== "zip") {
+    yield* streamSources(name, fs.createReadStream(path));
+    return;
+  }
+
+  for await (const entry of zipEntries(path)) {
+    yield* streamSources(`${name}/${entry.name}`, entry.stream, ["zip"]);
+  }
+}
+
+/**
+ * Open an uploaded file as one or more row sources: one per file, or one per
+ * entry for zip archives. Each source is `{ name, format, rows }`, or
+ * `{ name, format, error }` when its content can't be detected. Reading the
+ * file, or a source's rows, throws a SourceReadError when it fails.
+ */
+export async function* openSources(file) {
+  try {
+    for await (const source of fileSources(file)) {
+      yield source.rows ? { ...source, rows: readingErrors(source.rows) } : source;
+    }
+  } catch (error) {
+    throw new SourceReadError(error);
+  }
+}
@@ -0,0 +1,13 @@
+import { once } from "events";
+
+/**
+ * Write a chunk to a response, waiting for the socket to drain when its
+ * buffer is full. Resolves to false when the client has gone away.
+ */
+export const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+  }
+  return !res.destroyed;
+};
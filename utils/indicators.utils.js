@@ -0,0 +1,231 @@
+import { validateInput } from "./validation.utils.js";
+
+// Record fields an indicator can be computed over
+export const PRICE_FIELDS = [
+  "open",
+  "high",
+  "low",
+  "close",
+  "last",
+  "vwap",
+  "prev_close",
+];
+
+// Smoothed indicators (EMA, RSI, MACD, ATR) depend on all earlier values.
+// Fetching this many periods of history first keeps the seed's influence on
+// the first returned value well below display precision.
+const SMOOTHING_WARMUP_PERIODS = 5;
+
+const MAX_PERIOD = 500;
+
+const period = (fallback) => ({
+  type: "integer",
+  default: fallback,
+  min: 1,
+  max: MAX_PERIOD,
+});
+
+const round = (value) =>
+  value === null || !Number.isFinite(value) ? null : Number(value.toFixed(6));
+
+// Simple moving average over `period` values; null until the window is full
+const smaSeries = (values, period) => {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) sum -= values[index - period];
+    return index >= period - 1 ? sum / period : null;
+  });
+};
+
+// Exponential moving average seeded with the SMA of the first `period`
+// non-null values; leading nulls (e.g. from another indicator) are skipped
+const emaSeries = (values, period) => {
+  const k = 2 / (period + 1);
+  let ema = null;
+  let seen = 0;
+  let seed = 0;
+  return values.map((value) => {
+    if (value === null) return null;
+    if (ema === null) {
+      seen++;
+      seed += value;
+      if (seen < period) return null;
+      ema = seed / period;
+      return ema;
+    }
+    ema = value * k + ema * (1 - k);
+    return ema;
+  });
+};
+
+// Wilder's smoothing: the first value is the mean of `period` inputs, then
+// each one moves 1/period of the way towards the next input
+const wilderSeries = (values, period) => {
+  let average = null;
+  let seen = 0;
+  let sum = 0;
+  return values.map((value) => {
+    if (value === null) return null;
+    if (average === null) {
+      seen++;
+      sum += value;
+      if (seen < period) return null;
+      average = sum / period;
+      return average;
+    }
+    average = (average * (period - 1) + value) / period;
+    return average;
+  });
+};
+
+/**
+ * Supported indicators. Each declares its parameters (with defaults and
+ * bounds), how many records of history it needs before the first value it
+ * returns is correct, and `compute`, which maps records sorted by date to one
+ * output object per record (values are null while history is insufficient).
+ * An optional `validate` checks the parameters together, returning the
+ * invalid one as `{ name, message }`.
+ */
+export const INDICATORS = {
+  sma: {
+    params: { period: period(20), field: { type: "field", default: "close" } },
+    warmup: ({ period }) => period - 1,
+    compute: (records, { period, field }) =>
+      smaSeries(
+        records.map((record) => record[field]),
+        period
+      ).map((value) => ({ value })),
+  },
+  ema: {
+    params: { period: period(20), field: { type: "field", default: "close" } },
+    warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS,
+    compute: (records, { period, field }) =>
+      emaSeries(
+        records.map((record) => record[field]),
+        period
+      ).map((value) => ({ value })),
+  },
+  rsi: {
+    params: { period: period(14), field: { type: "field", default: "close" } },
+    warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS,
+    compute: (records, { period, field }) => {
+      const changes = records.map((record, index) =>
+        index === 0 ? null : record[field] - records[index - 1][field]
+      );
+      const gains = wilderSeries(
+        changes.map((change) => (change === null ? null : Math.max(change, 0))),
+        period
+      );
+      const losses = wilderSeries(
+        changes.map((change) => (change === null ? null : Math.max(-change, 0))),
+        period
+      );
+      return gains.map((gain, index) => {
+        const loss = losses[index];
+        if (gain === null || loss === null) return { value: null };
+        if (loss === 0) return { value: gain === 0 ? 50 : 100 };
+        return { value: 100 - 100 / (1 + gain / loss) };
+      });
+    },
+  },
+  macd: {
+    params: {
+      fast_period: period(12),
+      slow_period: period(26),
+      signal_period: period(9),
+      field: { type: "field", default: "close" },
+    },
+    validate: ({ fast_period, slow_period }) =>
+      fast_period < slow_period
+        ? null
+        : {
+            name: "fast_period",
+            message: "Invalid 'fast_period'. It must be smaller than 'slow_period'.",
+          },
+    warmup: ({ slow_period, signal_period }) =>
+      (slow_period + signal_period) * SMOOTHING_WARMUP_PERIODS,
+    compute: (records, { fast_period, slow_period, signal_period, field }) => {
+      const values = records.map((record) => record[field]);
+      const fast = emaSeries(values, fast_period);
+      const slow = emaSeries(values, slow_period);
+      const macd = fast.map((value, index) =>
+        value === null || slow[index] === null ? null : value - slow[index]
+      );
+      const signal = emaSeries(macd, signal_period);
+      return macd.map((value, index) => ({
+        macd: value,
+        signal: signal[index],
+        histogram:
+          value === null || signal[index] === null ? null : value - signal[index],
+      }));
+    },
+  },
+  bollinger: {
+    params: {
+      period: period(20),
+      stddev: { type: "number", default: 2, min: 0.1, max: 10 },
+      field: { type: "field", default: "close" },
+    },
+    warmup: ({ period }) => period - 1,
+    compute: (records, { period, stddev, field }) => {
+      const values = records.map((record) => record[field]);
+      return smaSeries(values, period).map((middle, index) => {
+        if (middle === null) return { middle, upper: null, lower: null };
+        const window = values.slice(index - period + 1, index + 1);
+        const deviation = Math.sqrt(
+          window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period
+        );
+        return {
+          middle,
+          upper: middle + stddev * deviation,
+          lower: middle - stddev * deviation,
+        };
+      });
+    },
+  },
+  atr: {
+    params: { period: period(14) },
+    warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS,
+    compute: (records, { period }) => {
+      const trueRanges = records.map((record, index) => {
+        if (index === 0) return record.high - record.low;
+        const previousClose = records[index - 1].close;
+        return Math.max(
+          record.high - record.low,
+          Math.abs(record.high - previousClose),
+          Math.abs(record.low - previousClose)
+        );
+      });
+      return wilderSeries(trueRanges, period).map((value) => ({ value }));
+    },
+  },
+};
+
+// Validation rule of each kind of indicator parameter
+const paramRule = ({ type, default: value, min, max }) =>
+  type === "field"
+    ? { type: "string", values: PRICE_FIELDS, default: value }
+    : { type, min, max, default: value };
+
+/**
+ * Read an indicator's parameters from the query string, applying defaults.
+ * Returns `{ params }`, or `{ errors }` listing the invalid parameters.
+ */
+export const parseIndicatorParams = (indicator, query) => {
+  const schema = Object.fromEntries(
+    Object.entries(indicator.params).map(([name, spec]) => [name, paramRule(spec)])
+  );
+  const { values, errors } = validateInput(schema, query, "query");
+  if (errors.length > 0) return { errors };
+
+  const params = Object.fromEntries(Object.keys(schema).map((name) => [name, values[name]]));
+  const error = indicator.validate?.(params);
+  return error ? { errors: [{ in: "query", ...error }] } : { params };
+};
+
+// Round every output of a computed point
+export const roundPoint = (point) =>
+  Object.fromEntries(
+    Object.entries(point).map(([name, value]) => [name, round(value)])
+  );
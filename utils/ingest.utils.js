@@ -0,0 +1,154 @@
+import { validateRows } from "../middlewares/fileuploader.middleware.js";
+import { UploadRejectModel } from "../models/uploadReject.model.js";
+import { undoConflictingUpload } from "./batches.utils.js";
+import { SourceReadError, openSources } from "./formats.utils.js";
+import { RecordConflictError, upsertRecords } from "./records.utils.js";
+
+// Number of conflicting and rejected rows echoed back in the summary
+const maxConflictSamples = parseInt(process.env.UPLOAD_MAX_CONFLICT_SAMPLES) || 20;
+const maxRejectedSamples = parseInt(process.env.UPLOAD_MAX_REJECT_SAMPLES) || 20;
+
+const WRITE_COUNTS = ["inserted", "updated", "unchanged", "conflicting"];
+const ROW_COUNTS = [
+  "totalRecords",
+  "successfulRecords",
+  "failedRecords",
+  "warnedRecords",
+];
+
+const zeroCounts = (keys) => Object.fromEntries(keys.map((key) => [key, 0]));
+
+const addCounts = (target, source, keys) =>
+  keys.forEach((key) => {
+    target[key] += source[key] || 0;
+  });
+
+/**
+ * Stream uploaded files into `stock_data`, upserting valid rows batch by
+ * batch. Each file may be CSV, NDJSON or a JSON array, optionally gzipped,
+ * or a zip archive of such files; every file and archive entry goes through
+ * the same validation and write path.
+ *
+ * Returns the combined validation counts, the write counts, a sample of
+ * conflicting rows and a per-file breakdown. `onProgress` is awaited after
+ * every written batch with the running row counts. Written rows are tagged
+ * with `uploadId` and rejected rows are stored under it so they can be
+ * downloaded later. Rows go to `workspace`, whose ingestion profiles are
+ * used; `profile` names the one to read the files with, and it is detected
+ * from each file's header row when omitted. `resumedAt` marks a re-run of
+ * an interrupted upload (see `upsertRecords`).
+ *
+ * A file that can't be read is reported as failed in the breakdown and the
+ * other files go on; any other error, such as a failed write, is thrown.
+ *
+ * With `onConflict: "fail"` the first batch containing a conflict throws a
+ * RecordConflictError, once the batches written before it are rolled back
+ * (`rolledBack` holds the rollback counts, `summary` what was undone).
+ */
+export const ingestFiles = async (
+  files,
+  { uploadId, workspace, profile, onConflict = "skip", onProgress, resumedAt } = {}
+) => {
+  const summary = zeroCounts(WRITE_COUNTS);
+  const validation = {
+    success: false,
+    ...zeroCounts(ROW_COUNTS),
+    invalidRows: [],
+  };
+  const conflicts = [];
+  const breakdown = [];
+
+  const ingestSource = async (source) => {
+    const sourceSummary = zeroCounts(WRITE_COUNTS);
+
+    const onBatch = async (records, counts) => {
+      try {
+        const result = await upsertRecords(records, onConflict, uploadId, workspace, {
+          resumedAt,
+        });
+
+        addCounts(summary, result.summary, WRITE_COUNTS);
+        addCounts(sourceSummary, result.summary, WRITE_COUNTS);
+        conflicts.push(
+          ...result.conflicts.slice(0, maxConflictSamples - conflicts.length)
+        );
+        if (onProgress) {
+          await onProgress({
+            processed: validation.totalRecords + counts.processed,
+            accepted: validation.successfulRecords + counts.accepted,
+            rejected: validation.failedRecords + counts.rejected,
+          });
+        }
+      } catch (error) {
+        if (error instanceof RecordConflictError) {
+          error.summary = summary;
+        }
+        throw error;
+      }
+    };
+
+    const onRejects = (rejects) =>
+      UploadRejectModel.insertMany(
+        rejects.map(({ line, row, errors, unparsed }) => ({
+          upload_id: uploadId,
+          file: source.name,
+          line,
+          row,
+          unparsed,
+          validation_errors: errors,
+        })),
+        { ordered: false }
+      );
+
+    const { invalidRows, ...result } = await validateRows(source.rows, {
+      profile,
+      workspace,
+      onBatch,
+      onRejects,
+    });
+
+    if (result.success) {
+      validation.success = true;
+      addCounts(validation, result, ROW_COUNTS);
+      validation.invalidRows.push(
+        ...invalidRows
+          .slice(0, maxRejectedSamples - validation.invalidRows.length)
+          .map((rejected) => ({ file: source.name, ...rejected }))
+      );
+    }
+
+    return { ...result, ...sourceSummary };
+  };
+
+  for (const file of files) {
+    try {
+      for await (const source of openSources(file)) {
+        const entry = { file: source.name, format: source.format };
+        if (source.error) {
+          breakdown.push({ ...entry, success: false, message: source.error });
+          continue;
+        }
+
+        try {
+          breakdown.push({ ...entry, ...(await ingestSource(source)) });
+        } catch (error) {
+          // Only a file that can't be read fails on its own; failing to
+          // store its rows fails the upload
+          if (!(error instanceof SourceReadError)) throw error;
+          breakdown.push({ ...entry, success: false, message: error.message });
+        }
+      }
+    } catch (error) {
+      if (error instanceof RecordConflictError) {
+        error.files = breakdown;
+        error.rolledBack = await undoConflictingUpload(uploadId, workspace);
+        throw error;
+      }
+      if (!(error instanceof SourceReadError)) throw error;
+      // The file or archive itself couldn't be read
+      breakdown.push({ file: file.name, success: false, message: error.message });
+    }
+  }
+
+  return { validation, summary, conflicts, files: breakdown };
+};
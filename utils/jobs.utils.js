@@ -0,0 +1,185 @@
+import fs from "fs";
+import { UploadJobModel } from "../models/uploadJob.model.js";
+import { UploadRejectModel } from "../models/uploadReject.model.js";
+import { finishUploadBatch, startUploadBatch } from "./batches.utils.js";
+import { ingestFiles } from "./ingest.utils.js";
+import { RecordConflictError } from "./records.utils.js";
+import { addUsage } from "./usage.utils.js";
+
+// Set UPLOAD_JOBS_RESUME=false to fail interrupted jobs instead of re-running them
+const resumeInterruptedJobs = process.env.UPLOAD_JOBS_RESUME !== "false";
+
+// Jobs run one at a time so background uploads can't pile up in memory
+const queue = [];
+let running = false;
+
+const runUploadJob = async (jobId) => {
+  const job = await UploadJobModel.findByIdAndUpdate(
+    jobId,
+    {
+      state: "running",
+      started_at: new Date(),
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!job) return;
+
+  try {
+    // A resumed job starts over, so drop the rejects of the previous attempt
+    if (job.attempts > 1) {
+      await UploadRejectModel.deleteMany({ upload_id: job._id });
+    }
+
+    const result = await ingestFiles(job.files, {
+      uploadId: job._id,
+      workspace: job.workspace,
+      profile: job.profile,
+      onConflict: job.on_conflict,
+      resumedAt: job.attempts > 1 ? job.started_at : undefined,
+      onProgress: (progress) =>
+        UploadJobModel.updateOne({ _id: job._id }, { progress }),
+    });
+    const { validation } = result;
+    const progress = {
+      processed: validation.totalRecords || 0,
+      accepted: validation.successfulRecords || 0,
+      rejected: validation.failedRecords || 0,
+    };
+
+    let failure = null;
+    if (!validation.success) {
+      failure = { message: "Validation failed", files: result.files };
+    } else if (validation.successfulRecords === 0) {
+      failure = { message: "No valid rows to insert into the database" };
+    }
+
+    // Only charge the rows a previous attempt didn't
+    const uncharged = (validation.totalRecords || 0) - (job.rows_charged || 0);
+    await UploadJobModel.updateOne(
+      { _id: job._id },
+      {
+        state: failure ? "failed" : "completed",
+        progress,
+        result,
+        error: failure,
+        finished_at: new Date(),
+        ...(uncharged > 0 && { $inc: { rows_charged: uncharged } }),
+      }
+    );
+    await finishUploadBatch(job._id, { result });
+    if (uncharged > 0) {
+      await addUsage(job.caller, "rows_per_day", uncharged).catch((error) =>
+        console.error(`Error counting the rows of upload job ${job._id}`, error)
+      );
+    }
+  } catch (error) {
+    console.error(`Upload job ${job._id} failed`, error);
+    // Mark the job first, so it isn't left running if the batch can't be updated
+    await UploadJobModel.updateOne(
+      { _id: job._id },
+      {
+        state: "failed",
+        error:
+          error instanceof RecordConflictError
+            ? {
+                message: error.message,
+                summary: error.summary,
+                rolled_back: error.rolledBack,
+                conflicts: error.conflicts,
+                files: error.files,
+              }
+            : { message: error.message },
+        finished_at: new Date(),
+      }
+    );
+    await finishUploadBatch(job._id, { error });
+  }
+};
+
+const drainQueue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length > 0) {
+      const jobId = queue.shift();
+      try {
+        await runUploadJob(jobId);
+      } catch (error) {
+        // Recording the outcome failed too (e.g. the database is down); the
+        // job is resumed or failed by `recoverUploadJobs` on the next start
+        console.error(`Error running upload job ${jobId}`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const enqueue = (jobId) => {
+  queue.push(jobId);
+  setImmediate(() =>
+    drainQueue().catch((error) => console.error("Error draining upload jobs", error))
+  );
+};
+
+// Persist a job for uploaded files, with its upload batch, and schedule it
+// in the background. The rows it reads are counted against `caller`'s
+// daily limit once it finishes.
+export const createUploadJob = async (
+  files,
+  { workspace, profile, onConflict, uploader, ip, caller }
+) => {
+  const job = await UploadJobModel.create({
+    files,
+    workspace,
+    profile,
+    on_conflict: onConflict,
+    caller,
+  });
+  await startUploadBatch(job._id, files, {
+    workspace,
+    uploader,
+    ip,
+    profile,
+    onConflict,
+    asynchronous: true,
+  });
+  enqueue(job._id);
+  return job;
+};
+
+/**
+ * Pick up jobs left queued or running by a previous process. Jobs whose files
+ * are still on disk are queued again from the start, which is safe because
+ * uploads upsert on the natural key; the rest are marked failed.
+ */
+export const recoverUploadJobs = async () => {
+  const interrupted = await UploadJobModel.find({
+    state: { $in: ["queued", "running"] },
+  }).sort({ createdAt: 1 });
+
+  for (const job of interrupted) {
+    const filesExist = job.files.every(({ path }) => fs.existsSync(path));
+    if (resumeInterruptedJobs && filesExist) {
+      await UploadJobModel.updateOne({ _id: job._id }, { state: "queued" });
+      enqueue(job._id);
+    } else {
+      await UploadJobModel.updateOne(
+        { _id: job._id },
+        {
+          state: "failed",
+          error: { message: "Interrupted by a server restart" },
+          finished_at: new Date(),
+        }
+      );
+      await finishUploadBatch(job._id, {
+        error: new Error("Interrupted by a server restart"),
+      });
+    }
+  }
+
+  if (interrupted.length > 0) {
+    console.log(`Recovered ${interrupted.length} interrupted upload job(s)`);
+  }
+};
@@ -0,0 +1,103 @@
+// Metrics symbols can be ranked by
+export const LEADER_METRICS = [
+  "pct_change",
+  "volume",
+  "turnover",
+  "trades",
+  "percentage_deliverable",
+];
+
+// Bookkeeping fields left out of the records returned by leaderboards
+const INTERNAL_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Exclusion projection dropping the internal fields of embedded records
+const hideInternal = (...paths) =>
+  Object.fromEntries(
+    paths.flatMap((path) =>
+      INTERNAL_FIELDS.map((field) => [`${path}.${field}`, 0])
+    )
+  );
+
+// Percentage change from `from` to `to`
+const pctChange = (from, to) => ({
+  $multiply: [{ $divide: [{ $subtract: [to, from] }, from] }, 100],
+});
+
+/**
+ * Aggregation stages ranking the records already filtered by a `$match`.
+ *
+ * - On a single day every (symbol, series) has one record, ranked by the
+ *   metric; `pct_change` is that day's close against its previous close.
+ * - Over a range, `pct_change` compares each symbol's first and last close
+ *   in the range. Other metrics rank each symbol by its best day (or worst,
+ *   in ascending order) and return the record of the day it happened.
+ *
+ * Each leader comes out as `{ symbol, series, value, record }`, or for a
+ * range change `{ symbol, series, value, start_record, end_record }`.
+ */
+export const leaderStages = ({ metric, order, range, limit }) => {
+  const direction = order === "asc" ? 1 : -1;
+  const rank = [{ $sort: { value: direction, symbol: 1 } }, { $limit: limit }];
+
+  if (metric === "pct_change" && range) {
+    return [
+      { $match: { close: { $gt: 0 } } },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: { symbol: "$symbol", series: "$series" },
+          start_record: { $first: "$$ROOT" },
+          end_record: { $last: "$$ROOT" },
+        },
+      },
+      // A symbol with a single day in the range has no change to rank
+      { $match: { $expr: { $lt: ["$start_record.date", "$end_record.date"] } } },
+      {
+        $project: {
+          _id: 0,
+          symbol: "$_id.symbol",
+          series: "$_id.series",
+          value: pctChange("$start_record.close", "$end_record.close"),
+          start_record: 1,
+          end_record: 1,
+        },
+      },
+      ...rank,
+      { $project: hideInternal("start_record", "end_record") },
+    ];
+  }
+
+  const value =
+    metric === "pct_change" ? pctChange("$prev_close", "$close") : `$${metric}`;
+  const ranked = [
+    ...(metric === "pct_change" ? [{ $match: { prev_close: { $gt: 0 } } }] : []),
+    { $set: { value } },
+    ...(range
+      ? [
+          { $sort: { value: direction, date: 1 } },
+          {
+            $group: {
+              _id: { symbol: "$symbol", series: "$series" },
+              record: { $first: "$$ROOT" },
+            },
+          },
+          { $replaceRoot: { newRoot: "$record" } },
+        ]
+      : []),
+    ...rank,
+  ];
+
+  return [
+    ...ranked,
+    {
+      $project: {
+        _id: 0,
+        symbol: 1,
+        series: 1,
+        value: 1,
+        record: "$$ROOT",
+      },
+    },
+    { $project: { ...hideInternal("record"), "record.value": 0 } },
+  ];
+};
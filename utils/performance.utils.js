@@ -0,0 +1,132 @@
+import { WEEKDAY_CALENDAR, tradingDaysBetween } from "./calendar.utils.js";
+
+// Trading sessions per year used to annualize daily figures
+export const TRADING_DAYS_PER_YEAR = 252;
+
+const formatDate = (date) => date.toISOString().split("T")[0];
+
+const round = (value, digits = 6) =>
+  value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+
+/**
+ * Largest peak-to-trough fall of the close series, as a (negative) fraction
+ * of the peak, with the dates of the peak and trough and the first later
+ * date the close got back to the peak (null if it hasn't).
+ */
+const maxDrawdown = (points) => {
+  let peak = points[0];
+  let worst = { drawdown: 0, peak: points[0], trough: points[0] };
+
+  points.forEach((point) => {
+    if (point.close > peak.close) peak = point;
+    const drawdown = point.close / peak.close - 1;
+    if (drawdown < worst.drawdown) worst = { drawdown, peak, trough: point };
+  });
+
+  const recovery =
+    worst.drawdown < 0
+      ? points.find(
+          (point) =>
+            point.date > worst.trough.date && point.close >= worst.peak.close
+        )
+      : null;
+
+  return {
+    value: round(worst.drawdown),
+    peak_date: formatDate(worst.peak.date),
+    trough_date: formatDate(worst.trough.date),
+    recovery_date: recovery ? formatDate(recovery.date) : null,
+  };
+};
+
+/**
+ * Performance metrics of a close series sorted by date.
+ *
+ * Each return runs from one record to the next. Gaps in the data (trading
+ * days of `calendar` without a record) are handled by measuring every
+ * return's span in trading days: volatility and the mean are estimated per
+ * trading day from log returns, so a return covering three sessions counts
+ * as three days of drift and variance rather than one unusually large day.
+ * Multi-day returns are left out of the best and worst days.
+ *
+ * Annualized figures use 252 trading days. The Sharpe ratio is the
+ * annualized log return in excess of the (annual, simple) risk-free rate,
+ * also converted to a log rate, divided by the annualized volatility.
+ */
+export const computePerformance = (
+  points,
+  { riskFreeRate = 0, calendar = WEEKDAY_CALENDAR } = {}
+) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  const returns = points.slice(1).map((point, index) => {
+    const previous = points[index];
+    return {
+      from_date: previous.date,
+      date: point.date,
+      span: Math.max(tradingDaysBetween(previous.date, point.date, calendar), 1),
+      simple: point.close / previous.close - 1,
+      log: Math.log(point.close / previous.close),
+    };
+  });
+
+  const totalSpan = returns.reduce((sum, entry) => sum + entry.span, 0);
+  const totalLog = returns.reduce((sum, entry) => sum + entry.log, 0);
+  const dailyMean = totalSpan > 0 ? totalLog / totalSpan : null;
+
+  // Per-day variance; each return contributes its deviation scaled by its span
+  const dailyVariance =
+    returns.length > 1
+      ? returns.reduce(
+          (sum, entry) => sum + (entry.log - dailyMean * entry.span) ** 2 / entry.span,
+          0
+        ) /
+        (returns.length - 1)
+      : null;
+
+  const volatility =
+    dailyVariance === null
+      ? null
+      : Math.sqrt(dailyVariance * TRADING_DAYS_PER_YEAR);
+  const annualizedLogReturn =
+    dailyMean === null ? null : dailyMean * TRADING_DAYS_PER_YEAR;
+  const sharpe =
+    volatility && annualizedLogReturn !== null
+      ? (annualizedLogReturn - Math.log(1 + riskFreeRate)) / volatility
+      : null;
+
+  const singleDays = returns.filter((entry) => entry.span === 1);
+  const pick = (better) =>
+    singleDays.length === 0
+      ? null
+      : singleDays.reduce((best, entry) => (better(entry, best) ? entry : best));
+  const describeDay = (entry) =>
+    entry && {
+      date: formatDate(entry.date),
+      previous_date: formatDate(entry.from_date),
+      return: round(entry.simple),
+    };
+
+  return {
+    first_date: formatDate(first.date),
+    last_date: formatDate(last.date),
+    trading_days: points.length,
+    missing_days: totalSpan - returns.length,
+    start_close: first.close,
+    end_close: last.close,
+    cumulative_return: round(last.close / first.close - 1),
+    annualized_return:
+      annualizedLogReturn === null ? null : round(Math.exp(annualizedLogReturn) - 1),
+    annualized_volatility: round(volatility),
+    sharpe_ratio: round(sharpe, 4),
+    max_drawdown: maxDrawdown(points),
+    best_day: describeDay(pick((entry, best) => entry.simple > best.simple)),
+    worst_day: describeDay(pick((entry, best) => entry.simple < best.simple)),
+    daily_returns: returns.map((entry) => ({
+      date: formatDate(entry.date),
+      return: round(entry.simple),
+      trading_days: entry.span,
+    })),
+  };
+};
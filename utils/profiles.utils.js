@@ -0,0 +1,218 @@
+import moment from "moment";
+import { IngestionProfileModel } from "../models/ingestionProfile.model.js";
+import { DEFAULT_WORKSPACE } from "../models/workspace.model.js";
+import { RECORD_COLUMNS } from "./records.utils.js";
+
+// Profile preferred when several match an uploaded file equally well
+export const DEFAULT_PROFILE = "nse_legacy";
+
+const TEXT_FIELDS = ["date", "symbol", "series"];
+
+// Turnover in the NSE historical export is 10^5 times the value in rupees,
+// so lakhs of rupees scale by 10^10 and rupees by 10^5
+const LAKHS_TO_EXPORT_TURNOVER = 1e10;
+const RUPEES_TO_EXPORT_TURNOVER = 1e5;
+// The export gives the deliverable share as a ratio, not a percentage
+const PERCENT_TO_RATIO = 0.01;
+
+// Profiles shipped with the server; seeded into the DB on startup
+const BUILTIN_PROFILES = [
+  {
+    name: DEFAULT_PROFILE,
+    description:
+      "NSE historical data export (Date, Symbol, Series, Prev Close, ..., %Deliverble).",
+    header_aliases: {},
+    date_formats: ["YYYY-MM-DD"],
+    exchange: "NSE",
+  },
+  {
+    name: "nse_bhavcopy",
+    description: "NSE full bhavcopy with delivery data (sec_bhavdata_full).",
+    header_aliases: {
+      date: ["DATE1"],
+      prev_close: ["PREV_CLOSE"],
+      open: ["OPEN_PRICE"],
+      high: ["HIGH_PRICE"],
+      low: ["LOW_PRICE"],
+      last: ["LAST_PRICE"],
+      close: ["CLOSE_PRICE"],
+      vwap: ["AVG_PRICE"],
+      volume: ["TTL_TRD_QNTY"],
+      turnover: ["TURNOVER_LACS"],
+      trades: ["NO_OF_TRADES"],
+      deliverable: ["DELIV_QTY"],
+      percentage_deliverable: ["DELIV_PER"],
+    },
+    scales: {
+      turnover: LAKHS_TO_EXPORT_TURNOVER,
+      percentage_deliverable: PERCENT_TO_RATIO,
+    },
+    date_formats: ["DD-MMM-YYYY"],
+    exchange: "NSE",
+  },
+  {
+    name: "broker_export",
+    description:
+      "Generic broker export with long header names, thousands separators and no series column.",
+    header_aliases: {
+      date: ["Trade Date", "Timestamp"],
+      symbol: ["Ticker", "Scrip"],
+      prev_close: ["Previous Close", "Prev. Close"],
+      open: ["Open Price"],
+      high: ["High Price"],
+      low: ["Low Price"],
+      last: ["Last Price", "LTP"],
+      close: ["Close Price"],
+      vwap: ["Average Price", "Avg Price"],
+      volume: ["Total Traded Quantity", "Quantity"],
+      turnover: ["Turnover (Rs.)", "Value"],
+      trades: ["No. of Trades", "Number of Trades"],
+      deliverable: ["Deliverable Qty", "Delivery Quantity"],
+      percentage_deliverable: ["% Dly Qt to Traded Qty", "Delivery %"],
+    },
+    scales: {
+      turnover: RUPEES_TO_EXPORT_TURNOVER,
+      percentage_deliverable: PERCENT_TO_RATIO,
+    },
+    date_formats: ["DD-MMM-YYYY", "DD/MM/YYYY", "YYYY-MM-DD"],
+    thousands_separator: ",",
+    defaults: { series: "EQ" },
+  },
+];
+
+// Create the built-in profiles that don't exist yet; edits made in the DB
+// win. Built-ins stored before profiles had scales get theirs.
+export const seedIngestionProfiles = () =>
+  IngestionProfileModel.bulkWrite(
+    BUILTIN_PROFILES.flatMap(({ scales, ...profile }) => [
+      {
+        updateOne: {
+          filter: { name: profile.name, workspace: null },
+          update: { $setOnInsert: { ...profile, scales: scales || {}, builtin: true } },
+          upsert: true,
+        },
+      },
+      ...(scales
+        ? [
+            {
+              updateOne: {
+                filter: { name: profile.name, workspace: null, scales: { $exists: false } },
+                update: { $set: { scales } },
+              },
+            },
+          ]
+        : []),
+    ])
+  );
+
+// Profiles by name, or all of them, that `workspace` can use: the built-in
+// ones and its own. Built-ins fill in when the DB lacks them.
+export const loadProfiles = async (name, workspace = DEFAULT_WORKSPACE) => {
+  const stored = await IngestionProfileModel.find({
+    ...(name && { name }),
+    workspace: { $in: [null, workspace] },
+  }).lean();
+  const builtin = BUILTIN_PROFILES.filter(
+    (profile) =>
+      (!name || profile.name === name) &&
+      !stored.some(({ name: storedName }) => storedName === profile.name)
+  );
+  return [...builtin, ...stored];
+};
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase();
+
+/**
+ * Work out how a profile reads a file with the given headers. Returns the
+ * columns it could not find (and has no default for), how many columns it
+ * matched, the source header of each NSE column and `mapRow`, which turns a
+ * parsed row into the NSE layout with dates as YYYY-MM-DD, thousands
+ * separators removed and numbers multiplied by the profile's `scales`.
+ */
+export const createRowMapper = (profile, headers) => {
+  const aliases = profile.header_aliases || {};
+  const defaults = profile.defaults || {};
+  const dateFormats = profile.date_formats?.length
+    ? profile.date_formats
+    : ["YYYY-MM-DD"];
+  const separator = profile.thousands_separator || "";
+  // Stored profiles come back from the DB with Maps turned into objects
+  const scales = profile.scales || {};
+  const lookup = new Map(headers.map((header) => [normalizeHeader(header), header]));
+
+  const sources = {};
+  const missing = [];
+  RECORD_COLUMNS.forEach(({ field, header }) => {
+    const match = [header, ...(aliases[field] || [])]
+      .map(normalizeHeader)
+      .find((candidate) => lookup.has(candidate));
+
+    if (match !== undefined) {
+      sources[header] = lookup.get(match);
+    } else if (defaults[field] === undefined) {
+      missing.push(header);
+    }
+  });
+
+  const normalizeValue = (field, value) => {
+    if (field === "date") {
+      const parsed = moment(value, dateFormats, true);
+      return parsed.isValid() ? parsed.format("YYYY-MM-DD") : value;
+    }
+    if (!TEXT_FIELDS.includes(field) && separator) {
+      return value.split(separator).join("");
+    }
+    return value;
+  };
+
+  // Leave values that aren't numbers for validation to reject; the
+  // precision cut drops the noise of multiplying by e.g. 0.01
+  const scaleValue = (field, value) => {
+    const number = Number(value);
+    if (!scales[field] || value === "" || !Number.isFinite(number)) return value;
+    return String(Number((number * scales[field]).toPrecision(15)));
+  };
+
+  const mapRow = (row) =>
+    Object.fromEntries(
+      RECORD_COLUMNS.map(({ field, header }) => {
+        let value = sources[header] !== undefined ? row[sources[header]] : "";
+        value = value === undefined || value === null ? "" : String(value).trim();
+        if (value === "" && defaults[field] !== undefined) {
+          return [header, normalizeValue(field, String(defaults[field]))];
+        }
+        return [header, scaleValue(field, normalizeValue(field, value))];
+      })
+    );
+
+  return {
+    profile,
+    missing,
+    matched: Object.keys(sources).length,
+    sources,
+    mapRow,
+  };
+};
+
+/**
+ * Pick the profile that reads the given headers: the complete match with the
+ * most matched columns, preferring the default profile on ties. When none is
+ * complete, the one matching the most columns is returned so its missing
+ * columns can be reported.
+ */
+export const selectProfile = (profiles, headers) => {
+  const isDefault = (mapper) => (mapper.profile.name === DEFAULT_PROFILE ? 1 : 0);
+  const mappers = profiles.map((profile) => createRowMapper(profile, headers));
+
+  const complete = mappers
+    .filter((mapper) => mapper.missing.length === 0)
+    .sort((a, b) => b.matched - a.matched || isDefault(b) - isDefault(a));
+  if (complete.length > 0) return complete[0];
+
+  return mappers.sort(
+    (a, b) =>
+      b.matched - a.matched ||
+      isDefault(b) - isDefault(a) ||
+      a.missing.length - b.missing.length
+  )[0];
+};
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import { RECORD_COLUMNS, VALUE_FIELDS } from "./records.utils.js";
+import { dateRange } from "./validation.utils.js";
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+// Fields records can be sorted by and returned
+export const SORT_FIELDS = [
+  ...RECORD_COLUMNS.map(({ field }) => field),
+  "createdAt",
+  "updatedAt",
+];
+export const PROJECTION_FIELDS = [...SORT_FIELDS, "warnings", "upload_id"];
+
+const DATE_FIELDS = ["date", "createdAt", "updatedAt"];
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Opaque page cursor: the sort value and id of the last record returned
+export const encodeCursor = (record, field) =>
+  Buffer.from(JSON.stringify([record[field], record._id])).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) return null;
+    if (DATE_FIELDS.includes(field) && !isValidDate(value)) return null;
+    return {
+      value: DATE_FIELDS.includes(field) ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Parameters filtering records: `symbol` and `series` (comma separated),
+// `start_date`/`end_date`, `min_<field>` and `max_<field>` for the numeric
+// fields, `warning` (a rule id) and `upload_id` (the upload batch that
+// wrote the records)
+export const RECORD_FILTER_PARAMS = {
+  symbol: { type: "list", items: { type: "symbol" } },
+  series: { type: "list", items: { type: "symbol" } },
+  ...dateRange(),
+  warning: { type: "string" },
+  upload_id: { type: "objectId" },
+  ...Object.fromEntries(
+    VALUE_FIELDS.flatMap((field) => [
+      [`min_${field}`, { type: "number" }],
+      [`max_${field}`, { type: "number" }],
+    ])
+  ),
+};
+
+// Parameters of a record page: the filters, `sort` (a field, prefixed with
+// `-` for descending order), `fields` to return, `limit` and `cursor`
+export const RECORD_QUERY_PARAMS = {
+  ...RECORD_FILTER_PARAMS,
+  sort: {
+    type: "string",
+    default: "date",
+    check: (sort) =>
+      !SORT_FIELDS.includes(sort.replace(/^-/, "")) &&
+      `must be one of: ${SORT_FIELDS.join(", ")}, prefixed with '-' for descending order`,
+  },
+  fields: {
+    type: "list",
+    items: { type: "string", values: PROJECTION_FIELDS },
+    default: PROJECTION_FIELDS,
+  },
+  limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+  cursor: { type: "string" },
+};
+
+/**
+ * Build the MongoDB filter for record filters validated against
+ * `RECORD_FILTER_PARAMS`.
+ */
+export const recordFilter = (params) => {
+  const filter = {};
+
+  if (params.symbol) filter.symbol = { $in: params.symbol };
+  if (params.series) filter.series = { $in: params.series };
+  if (params.warning) filter["warnings.rule"] = params.warning;
+  if (params.upload_id) filter.upload_id = params.upload_id;
+
+  const { start_date, end_date } = params;
+  if (start_date || end_date) {
+    filter.date = {
+      ...(start_date && { $gte: new Date(start_date) }),
+      ...(end_date && { $lte: new Date(end_date) }),
+    };
+  }
+
+  for (const field of VALUE_FIELDS) {
+    const bounds = { $gte: params[`min_${field}`], $lte: params[`max_${field}`] };
+    for (const [operator, value] of Object.entries(bounds)) {
+      if (value !== undefined) filter[field] = { ...filter[field], [operator]: value };
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Turn record browsing parameters validated against `RECORD_QUERY_PARAMS`
+ * into the MongoDB filter (including the cursor's position), sort and
+ * projection. Returns `{ errors }` when the cursor can't be read.
+ */
+export const parseRecordQuery = (params) => {
+  const filter = recordFilter(params);
+  const { fields, limit } = params;
+
+  const direction = params.sort.startsWith("-") ? -1 : 1;
+  const sortField = params.sort.replace(/^-/, "");
+
+  // Records after the cursor in sort order, with the id breaking ties
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, sortField);
+    if (!cursor) {
+      return { errors: [{ in: "query", name: "cursor", message: "Invalid 'cursor'." }] };
+    }
+    const after = direction === 1 ? "$gt" : "$lt";
+    filter.$or = [
+      { [sortField]: { [after]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [after]: cursor.id } },
+    ];
+  }
+
+  return {
+    filter,
+    sort: { [sortField]: direction, _id: direction },
+    sortField,
+    // The sort field is always read so the next cursor can be built
+    projection: [...new Set([...fields, sortField])],
+    fields,
+    limit,
+  };
+};
@@ -0,0 +1,269 @@
+import { RecordModel } from "../models/record.model.js";
+import { RecordVersionModel } from "../models/recordVersion.model.js";
+import { DEFAULT_WORKSPACE } from "../models/workspace.model.js";
+import { changeOf, invalidateCachedResults } from "./cache.utils.js";
+import { refreshRollups, symbolRanges } from "./rollups.utils.js";
+
+// Allowed values for the `on_conflict` upload option
+export const ON_CONFLICT_MODES = ["skip", "overwrite", "fail"];
+
+// Fields that carry the row's values (everything except the natural key)
+export const VALUE_FIELDS = [
+  "prev_close",
+  "open",
+  "high",
+  "low",
+  "last",
+  "close",
+  "vwap",
+  "volume",
+  "turnover",
+  "trades",
+  "deliverable",
+  "percentage_deliverable",
+];
+
+// Error raised when `on_conflict=fail` meets an existing row with different values
+export class RecordConflictError extends Error {
+  constructor(conflicts) {
+    super("Conflicting records found");
+    this.name = "RecordConflictError";
+    this.conflicts = conflicts;
+  }
+}
+
+// Record fields and the NSE CSV header each one is read from
+export const RECORD_COLUMNS = [
+  { field: "date", header: "Date" },
+  { field: "symbol", header: "Symbol" },
+  { field: "series", header: "Series" },
+  { field: "prev_close", header: "Prev Close" },
+  { field: "open", header: "Open" },
+  { field: "high", header: "High" },
+  { field: "low", header: "Low" },
+  { field: "last", header: "Last" },
+  { field: "close", header: "Close" },
+  { field: "vwap", header: "VWAP" },
+  { field: "volume", header: "Volume" },
+  { field: "turnover", header: "Turnover" },
+  { field: "trades", header: "Trades" },
+  { field: "deliverable", header: "Deliverable Volume" },
+  { field: "percentage_deliverable", header: "%Deliverble" },
+];
+
+// Map a validated CSV row to the shape stored in `stock_data`
+export const toRecord = (row) =>
+  Object.fromEntries(
+    RECORD_COLUMNS.map(({ field, header }) => {
+      if (field === "date") return [field, new Date(row[header])];
+      if (field === "symbol" || field === "series") return [field, row[header]];
+      return [field, Number(row[header])];
+    })
+  );
+
+// Map a record (or a partial one, with dates as Date or YYYY-MM-DD) back to
+// the CSV row it would be read from, so it can go through row validation
+export const toRow = (record) =>
+  Object.fromEntries(
+    RECORD_COLUMNS.filter(({ field }) => record[field] !== undefined).map(
+      ({ field, header }) => {
+        const value = record[field];
+        if (value instanceof Date) return [header, value.toISOString().split("T")[0]];
+        return [header, value === null ? "" : String(value)];
+      }
+    )
+  );
+
+// Natural key of a record: (workspace, symbol, series, date)
+const recordKey = (record) =>
+  `${record.workspace}|${record.symbol}|${record.series}|${new Date(record.date).getTime()}`;
+
+const keyFilter = (record) => ({
+  workspace: record.workspace,
+  symbol: record.symbol,
+  series: record.series,
+  date: record.date,
+});
+
+// What happened to a key an upload repeats, from least to most telling;
+// `counted` marks a key an earlier batch of the upload wrote and counted
+const OUTCOME_WEIGHTS = { unchanged: 0, conflicting: 1, updated: 2, inserted: 3, counted: 4 };
+
+// List the value fields that differ between a stored record and an incoming one
+const diffValues = (existing, incoming) =>
+  VALUE_FIELDS.filter((field) => existing[field] !== incoming[field]).map(
+    (field) => ({ field, existing: existing[field], incoming: incoming[field] })
+  );
+
+/**
+ * Bring what is derived from records up to date after `records` of a
+ * workspace were written or removed: the rollups and the cached results
+ * covering their symbols and dates.
+ */
+export const recordsChanged = async (workspace, records) => {
+  if (records.length === 0) return;
+  await refreshRollups(workspace, symbolRanges(records));
+  await invalidateCachedResults(changeOf(workspace, records));
+};
+
+/**
+ * Upsert records into `workspace` on their natural key (symbol, series,
+ * date).
+ *
+ * Rows that don't exist yet are inserted and rows with identical values are
+ * left alone. When a stored row has different values, `onConflict` decides:
+ * `skip` keeps the stored row, `overwrite` replaces its values and `fail`
+ * throws a RecordConflictError before anything is written.
+ *
+ * Written rows are tagged with `uploadId`. Before a stored row from another
+ * upload is overwritten, its current state is saved as a record version of
+ * this upload so the upload can be rolled back.
+ *
+ * The summary counts each key once however often the upload repeats it:
+ * a key inserted and then overwritten is inserted, and a key written by an
+ * earlier batch of the upload was counted with that batch. When an
+ * interrupted upload runs again, `resumedAt` is when this attempt started:
+ * rows the upload wrote before then are counted again, as inserted or (when
+ * a version of them was saved) updated.
+ */
+export const upsertRecords = async (
+  incoming,
+  onConflict = "skip",
+  uploadId,
+  workspace = DEFAULT_WORKSPACE,
+  { resumedAt } = {}
+) => {
+  const summary = { inserted: 0, updated: 0, unchanged: 0, conflicting: 0 };
+  const conflicts = [];
+
+  if (incoming.length === 0) {
+    return { summary, conflicts };
+  }
+
+  const records = incoming.map((record) => ({ ...record, workspace }));
+
+  const existing = await RecordModel.find({ $or: records.map(keyFilter) })
+    .lean()
+    .exec();
+
+  const writtenByUpload = (previous) =>
+    uploadId && previous?._id && String(previous.upload_id) === String(uploadId);
+  // Rows an interrupted attempt of the upload wrote, and those it overwrote
+  const interrupted = (previous) =>
+    resumedAt && writtenByUpload(previous) && previous.updatedAt < resumedAt;
+  const resumedIds = existing.filter(interrupted).map(({ _id }) => _id);
+  const overwritten = new Set(
+    resumedIds.length > 0
+      ? (
+          await RecordVersionModel.find({
+            upload_id: uploadId,
+            record_id: { $in: resumedIds },
+          })
+            .distinct("record_id")
+            .exec()
+        ).map(String)
+      : []
+  );
+
+  // Current state per key: the stored row, or an earlier row from this batch
+  const current = new Map(existing.map((doc) => [recordKey(doc), doc]));
+  const pending = new Map();
+  const versions = [];
+  // Outcome per key; a later row only replaces it with a weightier one
+  const outcomes = new Map();
+  const settle = (key, previous, outcome) => {
+    let settled = outcome;
+    if (interrupted(previous)) {
+      settled = overwritten.has(String(previous._id)) ? "updated" : "inserted";
+    } else if (writtenByUpload(previous)) {
+      settled = "counted";
+    }
+    const earlier = outcomes.get(key);
+    if (!earlier || OUTCOME_WEIGHTS[settled] > OUTCOME_WEIGHTS[earlier]) {
+      outcomes.set(key, settled);
+    }
+  };
+
+  records.forEach((record) => {
+    const key = recordKey(record);
+    const previous = current.get(key);
+
+    if (!previous) {
+      settle(key, previous, "inserted");
+      current.set(key, record);
+      pending.set(key, { insert: true, record });
+      return;
+    }
+
+    const differences = diffValues(previous, record);
+    if (differences.length === 0) {
+      settle(key, previous, "unchanged");
+      // Write it again, so later batches find it counted by this attempt
+      if (interrupted(previous) && !pending.has(key)) {
+        pending.set(key, { insert: false, record });
+      }
+      return;
+    }
+
+    if (onConflict === "overwrite") {
+      settle(key, previous, "updated");
+      // Keep the stored row unless this upload wrote it itself
+      if (previous._id && String(previous.upload_id) !== String(uploadId)) {
+        versions.push(previous);
+      }
+      current.set(key, record);
+      pending.set(key, { insert: pending.get(key)?.insert || false, record });
+      return;
+    }
+
+    settle(key, previous, "conflicting");
+    conflicts.push({
+      symbol: record.symbol,
+      series: record.series,
+      date: record.date.toISOString().split("T")[0],
+      differences,
+    });
+  });
+
+  outcomes.forEach((outcome) => {
+    if (outcome in summary) summary[outcome]++;
+  });
+
+  if (onConflict === "fail" && conflicts.length > 0) {
+    throw new RecordConflictError(conflicts);
+  }
+
+  if (versions.length > 0) {
+    await RecordVersionModel.bulkWrite(
+      versions.map((previous) => ({
+        updateOne: {
+          filter: { upload_id: uploadId, record_id: previous._id },
+          update: { $setOnInsert: { previous } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const operations = [...pending.values()].map(({ insert, record }) => {
+    const tagged = { ...record, upload_id: uploadId };
+    return {
+      updateOne: {
+        filter: keyFilter(record),
+        update: insert ? { $setOnInsert: tagged } : { $set: tagged },
+        upsert: insert,
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await RecordModel.bulkWrite(operations, { ordered: false });
+    await recordsChanged(
+      workspace,
+      [...pending.values()].map(({ record }) => record)
+    );
+  }
+
+  return { summary, conflicts };
+};
@@ -0,0 +1,425 @@
+import { RecordModel } from "../models/record.model.js";
+import { ROLLUP_FIELDS, ROLLUP_VERSION, RollupModel } from "../models/rollup.model.js";
+import { rollupCandleStages } from "./candles.utils.js";
+import { parseDay } from "./validation.utils.js";
+
+// Rollups written per bulk write
+const WRITE_BATCH_SIZE = 1000;
+
+// Aggregations of the rolled up fields that rollups can answer exactly
+const ROLLUP_AGGREGATIONS = ["avg", "min", "max", "sum", "count"];
+
+// Candle units made of whole months
+const ROLLUP_CANDLE_UNITS = ["month", "quarter", "year"];
+
+const monthStart = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const nextMonth = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+const yearStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+const nextYear = (date) => new Date(Date.UTC(date.getUTCFullYear() + 1, 0, 1));
+const nextDay = (date) => new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+// `{ [field]: { $gte: from, $lt: to } }`, leaving out missing bounds
+const inRange = (field, from, to) =>
+  from || to
+    ? { [field]: { ...(from && { $gte: from }), ...(to && { $lt: to }) } }
+    : {};
+
+// A record's date and prices, as the `first` and `last` of a rollup
+const DAY_PRICES = { date: "$date", open: "$open", close: "$close" };
+
+/**
+ * `$group` summarizing records, or the month rollups of `fromRollups`, per
+ * symbol and series over calendar months or years (`unit`). The input must
+ * be sorted by date so `first` and `last` are the period's ends.
+ */
+const summaryStage = (unit, fromRollups = false) => ({
+  $group: {
+    _id: {
+      workspace: "$workspace",
+      symbol: "$symbol",
+      series: "$series",
+      start: { $dateTrunc: { date: fromRollups ? "$start" : "$date", unit } },
+    },
+    count: { $sum: fromRollups ? "$count" : 1 },
+    first: { $first: fromRollups ? "$first" : DAY_PRICES },
+    last: { $last: fromRollups ? "$last" : DAY_PRICES },
+    ...Object.fromEntries(
+      ROLLUP_FIELDS.flatMap((field) =>
+        ["sum", "min", "max"].map((agg) => [
+          `${field}_${agg}`,
+          { [`$${agg}`]: fromRollups ? `$${field}.${agg}` : `$${field}` },
+        ])
+      )
+    ),
+    vwap_volume: {
+      $sum: fromRollups ? "$vwap_volume" : { $multiply: ["$vwap", "$volume"] },
+    },
+  },
+});
+
+const toRollup = (
+  { _id, count, first, last, vwap_volume, ...summary },
+  period,
+  refreshedAt
+) => ({
+  ..._id,
+  period,
+  count,
+  first,
+  last,
+  ...Object.fromEntries(
+    ROLLUP_FIELDS.map((field) => [
+      field,
+      {
+        sum: summary[`${field}_sum`],
+        min: summary[`${field}_min`],
+        max: summary[`${field}_max`],
+      },
+    ])
+  ),
+  vwap_volume,
+  version: ROLLUP_VERSION,
+  refreshed_at: refreshedAt,
+});
+
+// Store the summaries an aggregation cursor yields as `period` rollups;
+// resolves with their number
+const writeRollups = async (cursor, period) => {
+  let operations = [];
+  let written = 0;
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await RollupModel.bulkWrite(operations, { ordered: false });
+    written += operations.length;
+    operations = [];
+  };
+
+  for await (const summary of cursor) {
+    const rollup = toRollup(summary, period, new Date());
+    const { workspace, symbol, series, start } = rollup;
+    operations.push({
+      replaceOne: {
+        filter: { workspace, symbol, series, period, start },
+        replacement: rollup,
+        upsert: true,
+      },
+    });
+    if (operations.length >= WRITE_BATCH_SIZE) await flush();
+  }
+  await flush();
+  return written;
+};
+
+/**
+ * Dates each symbol of `records` has, as `{ symbol, start, end }`.
+ */
+export const symbolRanges = (records) => {
+  const ranges = new Map();
+  records.forEach(({ symbol, date }) => {
+    const day = new Date(date);
+    const range = ranges.get(symbol);
+    if (!range) {
+      ranges.set(symbol, { symbol, start: day, end: day });
+    } else {
+      if (day < range.start) range.start = day;
+      if (day > range.end) range.end = day;
+    }
+  });
+  return [...ranges.values()];
+};
+
+/**
+ * Recompute the month and year rollups of a workspace covering `ranges`
+ * (see `symbolRanges`) from its records, after they were written. Months
+ * left without records lose their rollup.
+ */
+export const refreshRollups = async (workspace, ranges) => {
+  if (ranges.length === 0) return;
+  const startedAt = new Date();
+
+  const months = ranges.map(({ symbol, start, end }) => ({
+    symbol,
+    ...inRange("date", monthStart(start), nextMonth(end)),
+  }));
+  await writeRollups(
+    RecordModel.aggregate([
+      { $match: { workspace, $or: months } },
+      { $sort: { date: 1 } },
+      summaryStage("month"),
+    ]).cursor(),
+    "month"
+  );
+  await RollupModel.deleteMany({
+    workspace,
+    period: "month",
+    refreshed_at: { $lt: startedAt },
+    $or: ranges.map(({ symbol, start, end }) => ({
+      symbol,
+      ...inRange("start", monthStart(start), nextMonth(end)),
+    })),
+  });
+
+  const years = ranges.map(({ symbol, start, end }) => ({
+    symbol,
+    ...inRange("start", yearStart(start), nextYear(end)),
+  }));
+  await writeRollups(
+    RollupModel.aggregate([
+      { $match: { workspace, period: "month", $or: years } },
+      { $sort: { start: 1 } },
+      summaryStage("year", true),
+    ]).cursor(),
+    "year"
+  );
+  await RollupModel.deleteMany({
+    workspace,
+    period: "year",
+    refreshed_at: { $lt: startedAt },
+    $or: years,
+  });
+};
+
+/**
+ * Rebuild every rollup of `workspace` (all workspaces when omitted) from
+ * its records. Existing rollups keep answering queries until they are
+ * replaced. Resolves with the numbers of rollups written and removed.
+ */
+export const rebuildRollups = async (workspace) => {
+  const startedAt = new Date();
+  const scope = workspace ? { workspace } : {};
+
+  const months = await writeRollups(
+    RecordModel.aggregate([
+      { $match: scope },
+      { $sort: { workspace: 1, symbol: 1, series: 1, date: 1 } },
+      summaryStage("month"),
+    ])
+      .allowDiskUse(true)
+      .cursor(),
+    "month"
+  );
+  const years = await writeRollups(
+    RollupModel.aggregate([
+      { $match: { ...scope, period: "month", refreshed_at: { $gte: startedAt } } },
+      { $sort: { workspace: 1, symbol: 1, series: 1, start: 1 } },
+      summaryStage("year", true),
+    ])
+      .allowDiskUse(true)
+      .cursor(),
+    "year"
+  );
+  const { deletedCount } = await RollupModel.deleteMany({
+    ...scope,
+    refreshed_at: { $lt: startedAt },
+  });
+
+  return { months, years, removed: deletedCount };
+};
+
+// Rollups only answer queries once they are known to cover the records
+let rollupsReady = false;
+
+/**
+ * Build the rollups if there are records but no rollups yet (data stored
+ * before rollups existed), or rebuild them if some were written before
+ * rollups gained fields, then let queries use them.
+ */
+export const ensureRollups = async () => {
+  if (await RollupModel.exists({ version: { $ne: ROLLUP_VERSION } })) {
+    console.log("Rebuilding rollups written by an older version");
+    await rebuildRollups();
+  } else if (!(await RollupModel.exists({})) && (await RecordModel.exists({}))) {
+    console.log("Building rollups of the stored records");
+    await rebuildRollups();
+  }
+  rollupsReady = true;
+};
+
+// Whether rollups can compute these aggregations of these fields
+export const canUseRollups = (fields, aggs) =>
+  rollupsReady &&
+  fields.every((field) => ROLLUP_FIELDS.includes(field)) &&
+  aggs.every((agg) => ROLLUP_AGGREGATIONS.includes(agg));
+
+// Whether rollups can build candles of this size (see `parseInterval`)
+export const canUseRollupCandles = ({ unit }) =>
+  rollupsReady && ROLLUP_CANDLE_UNITS.includes(unit);
+
+// First and end of the whole months from `start` to `end` (either may be
+// null for no bound), or null when there are none
+const wholeMonths = (start, end) => {
+  const fromMonth = start && (start.getUTCDate() === 1 ? start : nextMonth(start));
+  const toMonth = end && monthStart(nextDay(end));
+  return fromMonth && toMonth && fromMonth >= toMonth ? null : { fromMonth, toMonth };
+};
+
+// Date ranges of the days from `start` to `end` outside the whole months
+const edgeDays = (start, end, { fromMonth, toMonth }) => [
+  ...(start && start < fromMonth ? [inRange("date", start, fromMonth)] : []),
+  ...(end && toMonth <= end ? [inRange("date", toMonth, nextDay(end))] : []),
+];
+
+/**
+ * Cover the days from `start` to `end` (either may be null for no bound)
+ * with whole years, whole months and the days left at either end. Returns
+ * null when the range holds no whole month.
+ */
+const splitRange = (start, end) => {
+  const months = wholeMonths(start, end);
+  if (!months) return null;
+  const { fromMonth, toMonth } = months;
+
+  const fromYear = fromMonth && (fromMonth.getUTCMonth() === 0 ? fromMonth : nextYear(fromMonth));
+  const toYear = toMonth && yearStart(toMonth);
+  const periods =
+    fromYear && toYear && fromYear >= toYear
+      ? [{ period: "month", ...inRange("start", fromMonth, toMonth) }]
+      : [
+          { period: "year", ...inRange("start", fromYear, toYear) },
+          ...(fromMonth && fromMonth < fromYear
+            ? [{ period: "month", ...inRange("start", fromMonth, fromYear) }]
+            : []),
+          ...(toMonth && toYear < toMonth
+            ? [{ period: "month", ...inRange("start", toYear, toMonth) }]
+            : []),
+        ];
+
+  return { periods, days: edgeDays(start, end, months) };
+};
+
+// `$group` of the sums, minimums and maximums of `fields`
+const totalsStage = (fields, fromRollups) => ({
+  $group: {
+    _id: null,
+    records: { $sum: fromRollups ? "$count" : 1 },
+    ...Object.fromEntries(
+      fields.flatMap((field) =>
+        ["sum", "min", "max"].map((agg) => [
+          `${field}_${agg}`,
+          { [`$${agg}`]: fromRollups ? `$${field}.${agg}` : `$${field}` },
+        ])
+      )
+    ),
+  },
+});
+
+/**
+ * Statistics of a symbol's records (see `computeStats` in the stats
+ * controller) from the rollups of the whole months and years in the range
+ * plus the records of the partial months at its ends. Resolves to
+ * `{ records, stats }`, or null when the range holds no whole month or no
+ * records, for the caller to compute from the records instead. Check
+ * `canUseRollups` first.
+ */
+export const rollupStats = async (
+  { workspace, symbol, series, start_date, end_date },
+  fields,
+  aggs
+) => {
+  const range = splitRange(
+    start_date ? parseDay(start_date) : null,
+    end_date ? parseDay(end_date) : null
+  );
+  if (!range) return null;
+
+  const match = { workspace, symbol, ...(series && { series }) };
+  const [[rolled], [edges]] = await Promise.all([
+    RollupModel.aggregate([
+      { $match: { ...match, $or: range.periods } },
+      totalsStage(fields, true),
+    ]),
+    range.days.length > 0
+      ? RecordModel.aggregate([
+          { $match: { ...match, $or: range.days } },
+          totalsStage(fields, false),
+        ])
+      : [],
+  ]);
+
+  const parts = [rolled, edges].filter(Boolean);
+  const records = parts.reduce((total, part) => total + part.records, 0);
+  if (records === 0) return null;
+
+  const combine = (field, agg, pick) => {
+    const values = parts
+      .map((part) => part[`${field}_${agg}`])
+      .filter((value) => typeof value === "number");
+    return values.length > 0 ? pick(...values) : null;
+  };
+  const totals = (field) => ({
+    sum: combine(field, "sum", (...sums) => sums.reduce((a, b) => a + b, 0)),
+    min: combine(field, "min", Math.min),
+    max: combine(field, "max", Math.max),
+  });
+
+  return {
+    records,
+    stats: Object.fromEntries(
+      fields.map((field) => {
+        const { sum, min, max } = totals(field);
+        const values = { avg: sum === null ? null : sum / records, min, max, sum, count: records };
+        return [field, Object.fromEntries(aggs.map((agg) => [agg, values[agg]]))];
+      })
+    ),
+  };
+};
+
+// Records shaped like month rollups, for `rollupCandleStages`
+const RECORD_AS_ROLLUP = {
+  series: 1,
+  start: "$date",
+  first: DAY_PRICES,
+  last: DAY_PRICES,
+  high: { max: "$high" },
+  low: { min: "$low" },
+  volume: { sum: "$volume" },
+  turnover: { sum: "$turnover" },
+  trades: { sum: "$trades" },
+  vwap_volume: { $multiply: ["$vwap", "$volume"] },
+  count: { $literal: 1 },
+};
+
+/**
+ * Candles of a symbol (see `candleStages`) from the month rollups of the
+ * whole months in the range plus the records of the partial months at its
+ * ends. Resolves with the bars, or null when the range holds no whole
+ * month, for the caller to build them from the records instead. Check
+ * `canUseRollupCandles` first.
+ */
+export const rollupCandles = async (
+  { workspace, symbol, series, start_date, end_date },
+  bar
+) => {
+  const start = parseDay(start_date);
+  const end = parseDay(end_date);
+  const months = wholeMonths(start, end);
+  if (!months) return null;
+
+  const match = { workspace, symbol, ...(series && { series }) };
+  const days = edgeDays(start, end, months);
+  return RollupModel.aggregate([
+    {
+      $match: {
+        ...match,
+        period: "month",
+        ...inRange("start", months.fromMonth, months.toMonth),
+      },
+    },
+    ...(days.length > 0
+      ? [
+          {
+            $unionWith: {
+              coll: RecordModel.collection.collectionName,
+              pipeline: [
+                { $match: { ...match, $or: days } },
+                { $project: RECORD_AS_ROLLUP },
+              ],
+            },
+          },
+        ]
+      : []),
+    ...rollupCandleStages(bar),
+  ]);
+};
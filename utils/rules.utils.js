@@ -0,0 +1,153 @@
+import { isTradingDay } from "./calendar.utils.js";
+
+export const RULE_SEVERITIES = ["reject", "warn", "off"];
+
+// Slack allowed for values rounded to two decimals in the source file
+const PRICE_TOLERANCE = 0.01;
+const RATIO_TOLERANCE = 0.005;
+
+const withinRange = (value, record, tolerance = 0) =>
+  value >= record.low - tolerance && value <= record.high + tolerance;
+
+/**
+ * Cross-field rules for OHLCV rows. Each rule reports the CSV column it is
+ * about and tests the mapped record, along with the upload's context (the
+ * exchange calendar); `severity` is the default, which can be overridden
+ * through VALIDATION_RULES (e.g. "vwap_within_range=warn").
+ */
+const RULES = [
+  {
+    id: "low_lte_high",
+    code: "LOW_ABOVE_HIGH",
+    field: "Low",
+    description: "Low must not be greater than High.",
+    severity: "reject",
+    test: (record) => record.low <= record.high,
+  },
+  {
+    id: "close_within_range",
+    code: "CLOSE_OUT_OF_RANGE",
+    field: "Close",
+    description: "Close must lie within [Low, High].",
+    severity: "reject",
+    test: (record) => withinRange(record.close, record),
+  },
+  {
+    id: "open_within_range",
+    code: "OPEN_OUT_OF_RANGE",
+    field: "Open",
+    description: "Open must lie within [Low, High].",
+    severity: "warn",
+    test: (record) => withinRange(record.open, record),
+  },
+  {
+    id: "vwap_within_range",
+    code: "VWAP_OUT_OF_RANGE",
+    field: "VWAP",
+    description: `VWAP must lie within [Low, High], allowing ${PRICE_TOLERANCE} for rounding.`,
+    severity: "reject",
+    test: (record) => withinRange(record.vwap, record, PRICE_TOLERANCE),
+  },
+  {
+    id: "non_negative_volume",
+    code: "NEGATIVE_VOLUME",
+    field: "Volume",
+    description: "Volume must not be negative.",
+    severity: "reject",
+    test: (record) => record.volume >= 0,
+  },
+  {
+    id: "deliverable_lte_volume",
+    code: "DELIVERABLE_EXCEEDS_VOLUME",
+    field: "Deliverable Volume",
+    description: "Deliverable Volume must not exceed Volume.",
+    severity: "reject",
+    test: (record) => record.deliverable <= record.volume,
+  },
+  {
+    id: "percentage_deliverable_consistent",
+    code: "PCT_DELIVERABLE_MISMATCH",
+    field: "%Deliverble",
+    description: `%Deliverble must be the ratio Deliverable Volume / Volume (0-1, not a percentage) within ${RATIO_TOLERANCE}.`,
+    severity: "warn",
+    test: (record) =>
+      record.volume <= 0 ||
+      Math.abs(record.percentage_deliverable - record.deliverable / record.volume) <=
+        RATIO_TOLERANCE,
+  },
+  {
+    id: "trading_day",
+    code: "NON_TRADING_DAY",
+    field: "Date",
+    description:
+      "Date must be a trading day of the exchange's calendar (see /api/calendars).",
+    severity: "warn",
+    test: (record, { calendar }) => !calendar || isTradingDay(record.date, calendar),
+  },
+];
+
+// Parse "rule_id=severity,rule_id=severity" overrides, ignoring unknown entries
+const parseOverrides = (config = "") =>
+  Object.fromEntries(
+    config
+      .split(",")
+      .map((entry) => entry.split("=").map((part) => part.trim()))
+      .filter(
+        ([id, severity]) =>
+          RULES.some((rule) => rule.id === id) &&
+          RULE_SEVERITIES.includes(severity)
+      )
+  );
+
+const overrides = parseOverrides(process.env.VALIDATION_RULES);
+
+// Rules with their effective severity, for listing
+export const listRules = () =>
+  RULES.map(({ id, code, field, description, severity }) => ({
+    id,
+    code,
+    field,
+    description,
+    default_severity: severity,
+    severity: overrides[id] || severity,
+  }));
+
+const activeRules = listRules()
+  .filter((rule) => rule.severity !== "off")
+  .map((rule) => ({
+    ...rule,
+    test: RULES.find(({ id }) => id === rule.id).test,
+  }));
+
+/**
+ * Run the active rules against a mapped record. Violations of `reject` rules
+ * come back as row errors, violations of `warn` rules as warnings to store
+ * with the record. `context.calendar` is the exchange calendar rows are
+ * checked against.
+ */
+export const evaluateRules = (record, row, context = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  activeRules.forEach((rule) => {
+    if (rule.test(record, context)) return;
+
+    if (rule.severity === "reject") {
+      errors.push({
+        field: rule.field,
+        code: rule.code,
+        value: row[rule.field],
+        rule: rule.id,
+      });
+    } else {
+      warnings.push({
+        rule: rule.id,
+        code: rule.code,
+        field: rule.field,
+        message: rule.description,
+      });
+    }
+  });
+
+  return { errors, warnings };
+};
@@ -0,0 +1,100 @@
+// Numeric record fields statistics can be computed over
+export const STAT_FIELDS = [
+  "prev_close",
+  "open",
+  "high",
+  "low",
+  "last",
+  "close",
+  "vwap",
+  "volume",
+  "turnover",
+  "trades",
+  "deliverable",
+  "percentage_deliverable",
+];
+
+// Named aggregations; percentiles are written `p<N>` with 0 < N < 100
+export const STAT_AGGREGATIONS = [
+  "avg",
+  "min",
+  "max",
+  "median",
+  "stddev",
+  "sum",
+  "count",
+];
+
+const PERCENTILE_PATTERN = /^p(\d{1,2}(?:\.\d+)?)$/;
+
+const percentileOf = (agg) => {
+  const match = PERCENTILE_PATTERN.exec(agg);
+  if (!match) return null;
+  const value = Number(match[1]);
+  return value > 0 && value < 100 ? Number((value / 100).toPrecision(12)) : null;
+};
+
+// `$group` accumulator computing one aggregation of one field
+const accumulator = (field, agg) => {
+  const path = `$${field}`;
+  switch (agg) {
+    case "avg":
+      return { $avg: path };
+    case "min":
+      return { $min: path };
+    case "max":
+      return { $max: path };
+    case "sum":
+      return { $sum: path };
+    case "stddev":
+      return { $stdDevSamp: path };
+    case "count":
+      return { $sum: { $cond: [{ $isNumber: path }, 1, 0] } };
+    case "median":
+      return { $median: { input: path, method: "approximate" } };
+    default:
+      return {
+        $percentile: {
+          input: path,
+          p: [percentileOf(agg)],
+          method: "approximate",
+        },
+      };
+  }
+};
+
+// Whether `agg` names an aggregation: a named one or a percentile
+export const isStatAggregation = (agg) =>
+  STAT_AGGREGATIONS.includes(agg) || percentileOf(agg) !== null;
+
+// Name of the `$group` output holding one aggregation of one field
+const statKey = (field, agg) => `${field}__${agg.replace(".", "_")}`;
+
+/**
+ * Aggregation stage computing every requested aggregation of every requested
+ * field, plus the number of matched records, in a single `$group`. Median
+ * and percentiles use MongoDB's approximate `$percentile` (MongoDB 7.0+).
+ */
+export const statsStage = (fields, aggs) => {
+  const group = { _id: null, records: { $sum: 1 } };
+  fields.forEach((field) =>
+    aggs.forEach((agg) => {
+      group[statKey(field, agg)] = accumulator(field, agg);
+    })
+  );
+  return { $group: group };
+};
+
+// Reshape the `$group` output into `{ <field>: { <agg>: number|null } }`
+export const readStats = (result, fields, aggs) =>
+  Object.fromEntries(
+    fields.map((field) => [
+      field,
+      Object.fromEntries(
+        aggs.map((agg) => {
+          const value = result[statKey(field, agg)];
+          return [agg, (Array.isArray(value) ? value[0] : value) ?? null];
+        })
+      ),
+    ])
+  );
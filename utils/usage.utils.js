@@ -0,0 +1,115 @@
+import { UsageCounterModel } from "../models/usageCounter.model.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Rate limits, by name: the metric they count and the length of their
+ * window. Windows are fixed and aligned on the clock (minutes, UTC days).
+ * Defaults come from the environment and can be overridden per API key; a
+ * limit of 0 lifts it.
+ */
+export const RATE_LIMITS = {
+  requests_per_minute: {
+    metric: "requests",
+    windowMs: MINUTE_MS,
+    default: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || 600,
+  },
+  uploads_per_day: {
+    metric: "uploads",
+    windowMs: DAY_MS,
+    default: parseInt(process.env.RATE_LIMIT_UPLOADS_PER_DAY) || 200,
+  },
+  rows_per_day: {
+    metric: "rows",
+    windowMs: DAY_MS,
+    default: parseInt(process.env.RATE_LIMIT_ROWS_PER_DAY) || 5000000,
+  },
+};
+
+// Who usage is counted against: the API key, or the client's address when
+// authentication is disabled
+export const callerOf = (req) => {
+  if (!req.apiKey) return `ip:${req.ip}`;
+  return req.apiKey.id ? String(req.apiKey.id) : req.apiKey.name;
+};
+
+// The limit `name` applies to a request's API key
+export const limitOf = (req, name) => req.apiKey?.limits?.[name] ?? RATE_LIMITS[name].default;
+
+const windowOf = (name, now = Date.now()) => {
+  const { windowMs } = RATE_LIMITS[name];
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start: new Date(start), end: new Date(start + windowMs) };
+};
+
+// What is used and left of a limit, with the seconds until its window resets
+const status = (name, limit, used, now = Date.now()) => ({
+  limit: limit || null,
+  used,
+  remaining: limit ? Math.max(limit - used, 0) : null,
+  reset: Math.ceil((windowOf(name, now).end.getTime() - now) / 1000),
+});
+
+const counterFilter = (caller, name, window) => ({
+  caller,
+  metric: RATE_LIMITS[name].metric,
+  window_start: window.start,
+});
+
+/**
+ * Count `amount` against the limit `name` of `caller`, unless that would go
+ * over `limit`. Resolves with `{ allowed, limit, used, remaining, reset }`.
+ */
+export const consumeUsage = async (caller, name, limit, amount = 1) => {
+  const now = Date.now();
+  const window = windowOf(name, now);
+  const filter = counterFilter(caller, name, window);
+
+  try {
+    // Only counters with room left match, so the count never passes the limit
+    const counter = await UsageCounterModel.findOneAndUpdate(
+      limit ? { ...filter, count: { $lte: limit - amount } } : filter,
+      {
+        $inc: { count: amount },
+        // Kept one more window so the previous one can still be read
+        $setOnInsert: {
+          expires_at: new Date(window.end.getTime() + RATE_LIMITS[name].windowMs),
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+    return { allowed: true, ...status(name, limit, counter.count, now) };
+  } catch (error) {
+    // The counter exists but is full, so the upsert tried to insert it again
+    if (error.code !== 11000) throw error;
+    const counter = await UsageCounterModel.findOne(filter).lean();
+    return { allowed: false, ...status(name, limit, counter?.count || 0, now) };
+  }
+};
+
+// Count `amount` against the limit `name` of `caller` after the fact, even
+// past the limit
+export const addUsage = async (caller, name, amount) => {
+  if (!caller || !(amount > 0)) return;
+  const window = windowOf(name);
+  await UsageCounterModel.updateOne(
+    counterFilter(caller, name, window),
+    {
+      $inc: { count: amount },
+      $setOnInsert: {
+        expires_at: new Date(window.end.getTime() + RATE_LIMITS[name].windowMs),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Current use of the limit `name` by `caller`
+export const readUsage = async (caller, name, limit) => {
+  const now = Date.now();
+  const counter = await UsageCounterModel.findOne(
+    counterFilter(caller, name, windowOf(name, now))
+  ).lean();
+  return status(name, limit, counter?.count || 0, now);
+};
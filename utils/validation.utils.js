@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+
+/*
+ * Schema-driven validation of request parameters. A schema maps parameter
+ * names to rules such as `{ type: "date", required: true }` or
+ * `{ type: "integer", min: 1, max: 100, default: 10 }`. Every rule accepts:
+ *
+ * - `required`: true, or a function of the other parsed values
+ * - `default`: the value used when the parameter is missing
+ * - `nullable`: accept `null` (request bodies only)
+ * - `check`: a function of the parsed value returning an error (completing
+ *   "Invalid '<name>'. It ...") or nothing
+ *
+ * and the options of its type listed in `TYPES`. Parsed values replace the
+ * raw ones: dates stay `YYYY-MM-DD` strings, numbers and booleans become
+ * numbers and booleans, symbols are upper-cased.
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Longest symbol or series accepted
+const MAX_SYMBOL_LENGTH = 50;
+
+/**
+ * The UTC midnight of a `YYYY-MM-DD` day, or null when `value` isn't one.
+ * Unlike `new Date()` this rejects impossible days such as `2024-02-30`.
+ */
+export const parseDay = (value) => {
+  if (typeof value !== "string" || !DAY_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+};
+
+const isMissing = (value) =>
+  value === undefined || (typeof value === "string" && value.trim() === "");
+
+const describeValues = (values) => `one of: ${values.join(", ")}`;
+
+const parseString = (value, rule) => {
+  if (typeof value !== "string") return { error: "must be a string" };
+  let parsed = rule.trim === false ? value : value.trim();
+  if (rule.uppercase) parsed = parsed.toUpperCase();
+  if (rule.lowercase) parsed = parsed.toLowerCase();
+  if (rule.values && !rule.values.includes(parsed)) {
+    return { error: `must be ${describeValues(rule.values)}` };
+  }
+  if (rule.maxLength && parsed.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters long` };
+  }
+  if (rule.pattern && !rule.pattern.test(parsed)) {
+    return { error: rule.patternMessage || "has an invalid format" };
+  }
+  return { value: parsed };
+};
+
+const parseNumber = (value, rule, integer) => {
+  const pattern = integer ? INTEGER_PATTERN : NUMBER_PATTERN;
+  const number =
+    typeof value === "number" || (typeof value === "string" && pattern.test(value.trim()))
+      ? Number(value)
+      : NaN;
+  const kind = integer ? "an integer" : "a number";
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    return { error: `must be ${kind}` };
+  }
+
+  const { min, max, greaterThan, lessThan } = rule;
+  const tooLow =
+    (min !== undefined && number < min) ||
+    (greaterThan !== undefined && number <= greaterThan);
+  const tooHigh =
+    (max !== undefined && number > max) || (lessThan !== undefined && number >= lessThan);
+  if (tooLow || tooHigh) {
+    const low = min ?? greaterThan;
+    const high = max ?? lessThan;
+    if (low !== undefined && high !== undefined) {
+      return { error: `must be ${kind} between ${low} and ${high}` };
+    }
+    if (low !== undefined) {
+      return { error: `must be ${kind} ${min !== undefined ? "of at least" : "above"} ${low}` };
+    }
+    return { error: `must be ${kind} ${max !== undefined ? "of at most" : "below"} ${high}` };
+  }
+  return { value: number };
+};
+
+// Comma separated lists can also be given as repeated query parameters
+const splitList = (value, location) => {
+  if (Array.isArray(value)) {
+    return location === "body" ? value : value.flatMap((item) => splitList(item) || [item]);
+  }
+  return typeof value === "string" ? value.split(",") : null;
+};
+
+const parseList = (value, rule, location) => {
+  const items = splitList(value, location);
+  if (!items) return { error: "must be a comma separated list" };
+
+  const parsed = [];
+  for (const item of items) {
+    if (isMissing(item)) continue;
+    const result = parseValue(item, rule.items || { type: "string" }, location);
+    if (result.error) return { error: `has an item that ${result.error}` };
+    if (!parsed.includes(result.value)) parsed.push(result.value);
+  }
+  if (rule.maxItems && parsed.length > rule.maxItems) {
+    return { error: `can hold at most ${rule.maxItems} items` };
+  }
+  return parsed.length > 0 ? { value: parsed } : { missing: true };
+};
+
+/**
+ * Parsers of each rule type. Each gets the raw value, the rule and where
+ * the value comes from, and returns `{ value }` or `{ error }`, the error
+ * completing the sentence "Invalid '<name>'. It ...".
+ */
+const TYPES = {
+  // Options: values, pattern (with patternMessage), maxLength, uppercase, lowercase
+  string: parseString,
+  // A ticker symbol or series code, upper-cased
+  symbol: (value, rule) =>
+    parseString(value, { maxLength: MAX_SYMBOL_LENGTH, ...rule, uppercase: true }),
+  // A calendar day, YYYY-MM-DD. Options: after (a date parameter it can't precede)
+  date: (value) =>
+    parseDay(value)
+      ? { value }
+      : { error: "must be a valid date in the YYYY-MM-DD format (e.g., 2024-10-01)" },
+  // An ISO 8601 date-time, parsed to a Date. Options: future
+  datetime: (value, rule) => {
+    const date =
+      typeof value === "string" && DATE_TIME_PATTERN.test(value) ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) {
+      return { error: "must be an ISO 8601 date-time (e.g., 2025-01-31T00:00:00Z)" };
+    }
+    if (rule.future && date <= new Date()) {
+      return { error: "must be a date-time in the future" };
+    }
+    return { value: date };
+  },
+  // Options: min, max
+  integer: (value, rule) => parseNumber(value, rule, true),
+  // Options: min, max, greaterThan, lessThan
+  number: (value, rule) => parseNumber(value, rule, false),
+  boolean: (value) => {
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: "must be true or false" };
+  },
+  objectId: (value) =>
+    typeof value === "string" && mongoose.isValidObjectId(value)
+      ? { value }
+      : { error: "must be a valid id" },
+  // Comma separated in queries, an array in bodies. Options: items (a rule), maxItems
+  list: parseList,
+  // Options: properties (a schema), unknown ("reject" to refuse other keys)
+  object: (value, rule, location, name) => {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return { error: "must be an object" };
+    }
+    if (!rule.properties) return { value };
+    const { values, errors } = validateInput(rule.properties, value, location, {
+      prefix: `${name}.`,
+      unknown: rule.unknown,
+    });
+    return errors.length > 0 ? { errors } : { value: values };
+  },
+  // Any value, checked by the handler
+  any: (value) => ({ value }),
+};
+
+const parseValue = (value, rule, location, name) => {
+  // Repeated query parameters arrive as arrays
+  if (Array.isArray(value) && location !== "body" && rule.type !== "list") {
+    return { error: "must be given only once" };
+  }
+  const result = TYPES[rule.type](value, rule, location, name);
+  const problem = !result.error && !result.errors && rule.check?.(result.value);
+  return problem ? { error: problem } : result;
+};
+
+const invalid = (location, name, message) => ({ in: location, name, message });
+
+/**
+ * Check `input` (a query, body or path parameters) against `schema`.
+ * Returns `values`, the input with every parameter of the schema parsed
+ * (and missing optional ones removed), and `errors`, a list of
+ * `{ in, name, message }`. With `unknown: "reject"`, parameters the
+ * schema doesn't name are errors.
+ */
+export const validateInput = (schema, input, location, { prefix = "", unknown } = {}) => {
+  const values = { ...(input || {}) };
+  const errors = [];
+
+  if (unknown === "reject") {
+    Object.keys(values)
+      .filter((name) => !Object.hasOwn(schema, name))
+      .forEach((name) =>
+        errors.push(
+          invalid(location, `${prefix}${name}`, `Unknown parameter '${prefix}${name}'.`)
+        )
+      );
+  }
+
+  const missing = [];
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = values[name];
+    const fullName = `${prefix}${name}`;
+
+    if (raw === null && rule.nullable && location === "body") continue;
+
+    const result = isMissing(raw)
+      ? { missing: true }
+      : parseValue(raw, rule, location, fullName);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.error) {
+      errors.push(invalid(location, fullName, `Invalid '${fullName}'. It ${result.error}.`));
+    } else if (result.missing) {
+      delete values[name];
+      if (rule.default !== undefined) {
+        values[name] = rule.default;
+      } else {
+        missing.push([name, rule]);
+      }
+    } else {
+      values[name] = result.value;
+    }
+  }
+
+  // Requirements and date orders depend on the other values, so they are
+  // checked once every parameter is parsed
+  for (const [name, rule] of missing) {
+    const required =
+      typeof rule.required === "function" ? rule.required(values) : rule.required;
+    if (required) {
+      errors.push(invalid(location, `${prefix}${name}`, `'${prefix}${name}' is required.`));
+    }
+  }
+  for (const [name, rule] of Object.entries(schema)) {
+    const { after } = rule;
+    if (after && values[name] !== undefined && values[after] !== undefined) {
+      if (values[name] < values[after]) {
+        errors.push(
+          invalid(
+            location,
+            `${prefix}${name}`,
+            `Invalid '${prefix}${name}'. It must not be before '${prefix}${after}'.`
+          )
+        );
+      }
+    }
+  }
+
+  return { values, errors };
+};
+
+// `start_date` and `end_date` parameters, the end not before the start
+export const dateRange = ({ required = false } = {}) => ({
+  start_date: { type: "date", required },
+  end_date: { type: "date", required, after: "start_date" },
+});
@@ -0,0 +1,270 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import { Agent, fetch } from "undici";
+import { WebhookModel } from "../models/webhook.model.js";
+import { WebhookDeliveryModel } from "../models/webhookDelivery.model.js";
+
+// Attempts made at a delivery before it is marked failed
+const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Wait before the first retry; it doubles after every failed attempt
+const retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+// How long a receiver has to answer
+const timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=true to let webhooks reach loopback and
+// private network addresses, e.g. the local test receiver
+const allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// Addresses webhooks may not reach: this host, private networks, link-local
+// (including cloud metadata services) and multicast
+const privateAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, "ipv6"));
+
+const isPrivateAddress = (address) =>
+  privateAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Pending deliveries waiting for their next attempt, by id
+const timers = new Map();
+
+/**
+ * Why a webhook may not be sent to `url`, judging from its host name alone
+ * (a private IP address or `localhost`), or null. Host names are checked
+ * again as each delivery connects.
+ */
+export const webhookUrlProblem = (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (allowPrivateUrls) return null;
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return "must not point at this server";
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return "must not point at a private, loopback or link-local address";
+  }
+  return null;
+};
+
+// Resolve a host for a delivery's connection, refusing private addresses,
+// which a public name can point at. The connection goes to the addresses
+// checked here, so a name can't pass the check and then resolve elsewhere.
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+
+const dispatcher = allowPrivateUrls
+  ? undefined
+  : new Agent({ connect: { lookup: publicLookup } });
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * `X-Webhook-Signature` of a body sent at `timestamp` (Unix seconds):
+ * `t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`. The
+ * timestamp is signed so receivers can turn away old requests sent again.
+ */
+export const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `t=${timestamp},v1=${hmac.digest("hex")}`;
+};
+
+// POST a delivery's payload to its webhook; resolves with the attempt made
+const post = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const at = new Date();
+  const attempt = (outcome) => ({ at, ...outcome, duration_ms: Date.now() - at });
+
+  try {
+    // IP addresses aren't looked up, so check them, and `localhost`, here
+    const problem = webhookUrlProblem(webhook.url);
+    if (problem) throw new Error(`The webhook URL ${problem}`);
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Signature": signPayload(
+          webhook.secret,
+          Math.floor(at.getTime() / 1000),
+          body
+        ),
+      },
+      body,
+      // A redirect counts as a failure rather than sending the event elsewhere
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+      dispatcher,
+    });
+    // Only the status line is kept: the delivery log must not relay what
+    // the receiver answered
+    await response.body?.cancel();
+    return response.ok
+      ? attempt({ status: response.status })
+      : attempt({
+          status: response.status,
+          error: `${response.status} ${response.statusText}`.trim(),
+        });
+  } catch (error) {
+    return attempt({
+      error:
+        error.name === "TimeoutError"
+          ? `No response within ${timeoutMs} ms`
+          : error.cause?.message || error.message,
+    });
+  }
+};
+
+const scheduleDelivery = (id, at = new Date()) => {
+  const key = String(id);
+  clearTimeout(timers.get(key));
+  timers.set(
+    key,
+    setTimeout(() => {
+      timers.delete(key);
+      attemptDelivery(id).catch((error) =>
+        console.error(`Error sending webhook delivery ${key}:`, error)
+      );
+    }, Math.max(0, at - Date.now()))
+  );
+};
+
+/**
+ * Make the next attempt at a pending delivery. Failed attempts are retried
+ * with exponential backoff until `maxAttempts` have been made; deliveries
+ * of deleted webhooks fail right away.
+ */
+const attemptDelivery = async (id) => {
+  // Claim the delivery, so it is only sent once however often it was scheduled
+  const delivery = await WebhookDeliveryModel.findOneAndUpdate(
+    { _id: id, state: "pending" },
+    { state: "sending" },
+    { new: true }
+  ).lean();
+  if (!delivery) return;
+
+  try {
+    const webhook = await WebhookModel.findById(delivery.webhook).lean();
+    const attempt = webhook
+      ? await post(webhook, delivery)
+      : { at: new Date(), error: "The webhook was deleted" };
+
+    const attempts = delivery.attempts.length + 1;
+    const delivered = attempt.status >= 200 && attempt.status < 300;
+    const retryAt =
+      !delivered && webhook && attempts < maxAttempts
+        ? new Date(Date.now() + retryBaseSeconds * 1000 * 2 ** (attempts - 1))
+        : null;
+
+    await WebhookDeliveryModel.updateOne(
+      { _id: id },
+      {
+        $push: { attempts: attempt },
+        state: delivered ? "delivered" : retryAt ? "pending" : "failed",
+        next_attempt_at: retryAt,
+        ...(delivered && { delivered_at: new Date() }),
+      }
+    );
+    if (retryAt) scheduleDelivery(id, retryAt);
+  } catch (error) {
+    // Release the claim so the delivery is tried again, rather than staying
+    // `sending` until the next restart; the attempt may have reached the
+    // receiver, which the payload id lets it tell
+    const retryAt = new Date(Date.now() + retryBaseSeconds * 1000);
+    await WebhookDeliveryModel.updateOne(
+      { _id: id, state: "sending" },
+      { state: "pending", next_attempt_at: retryAt }
+    );
+    scheduleDelivery(id, retryAt);
+    throw error;
+  }
+};
+
+/**
+ * Notify the active webhooks of `workspace` subscribed to `event`. The
+ * payload is `{ id, event, workspace, created_at, data }`. Deliveries are
+ * stored, then sent in the background; this resolves once they are stored.
+ */
+export const emitEvent = async (workspace, event, data) => {
+  const webhooks = await WebhookModel.find({ workspace, events: event, active: true })
+    .select({ _id: 1 })
+    .lean();
+  if (webhooks.length === 0) return;
+
+  const now = new Date();
+  const payload = {
+    id: `evt_${crypto.randomUUID()}`,
+    event,
+    workspace,
+    created_at: now.toISOString(),
+    data,
+  };
+  const deliveries = await WebhookDeliveryModel.insertMany(
+    webhooks.map(({ _id }) => ({
+      webhook: _id,
+      workspace,
+      event,
+      payload,
+      next_attempt_at: now,
+    }))
+  );
+  deliveries.forEach(({ _id }) => scheduleDelivery(_id, now));
+};
+
+/**
+ * Send a finished delivery's payload again, as a new delivery with its own
+ * attempts. Resolves with the new delivery.
+ */
+export const replayDelivery = async ({ _id, webhook, workspace, event, payload }) => {
+  const replay = await WebhookDeliveryModel.create({
+    webhook,
+    workspace,
+    event,
+    payload,
+    next_attempt_at: new Date(),
+    replay_of: _id,
+  });
+  scheduleDelivery(replay._id);
+  return replay;
+};
+
+/**
+ * Schedule the deliveries left pending by a previous process. Deliveries
+ * that were being sent are sent again, as the receiver may not have got
+ * them; the payload `id` lets it ignore a duplicate.
+ */
+export const recoverWebhookDeliveries = async () => {
+  await WebhookDeliveryModel.updateMany({ state: "sending" }, { state: "pending" });
+  const pending = await WebhookDeliveryModel.find({ state: "pending" })
+    .select({ next_attempt_at: 1 })
+    .lean();
+  pending.forEach(({ _id, next_attempt_at }) =>
+    scheduleDelivery(_id, next_attempt_at || new Date())
+  );
+
+  if (pending.length > 0) {
+    console.log(`Rescheduled ${pending.length} pending webhook deliveries`);
+  }
+};
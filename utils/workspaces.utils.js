@@ -0,0 +1,155 @@
+import { IngestionProfileModel } from "../models/ingestionProfile.model.js";
+import { RecordModel } from "../models/record.model.js";
+import { RecordAuditModel } from "../models/recordAudit.model.js";
+import { UploadBatchModel } from "../models/uploadBatch.model.js";
+import { UploadJobModel } from "../models/uploadJob.model.js";
+import { DEFAULT_WORKSPACE, WorkspaceModel } from "../models/workspace.model.js";
+import { undoConflictingUpload } from "./batches.utils.js";
+import { RecordConflictError, upsertRecords } from "./records.utils.js";
+
+// Records written per batch when copying between workspaces
+const COPY_BATCH_SIZE = 1000;
+// Duplicate records removed per delete
+const DEDUPE_BATCH_SIZE = 1000;
+// Name of the unique index on the records' natural key
+const UNIQUE_RECORD_INDEX = "workspace_1_symbol_1_series_1_date_1";
+
+// Whether a workspace exists; the default one always does
+export const workspaceExists = async (name) =>
+  name === DEFAULT_WORKSPACE || Boolean(await WorkspaceModel.exists({ name }));
+
+// Indexes that keyed data across all workspaces before they existed
+const dropIndex = (model, name) =>
+  model.collection.dropIndex(name).catch((error) => {
+    if (error.codeName !== "IndexNotFound" && error.codeName !== "NamespaceNotFound") {
+      throw error;
+    }
+  });
+
+/**
+ * Move data stored before workspaces existed into the default workspace,
+ * and drop the unique indexes that would keep two workspaces from holding
+ * the same symbol or profile name. Safe to run on every start.
+ */
+export const migrateToWorkspaces = async () => {
+  await WorkspaceModel.updateOne(
+    { name: DEFAULT_WORKSPACE },
+    { $setOnInsert: { description: "Data uploaded without a workspace." } },
+    { upsert: true }
+  );
+
+  const unassigned = { workspace: { $exists: false } };
+  const update = { $set: { workspace: DEFAULT_WORKSPACE } };
+  // Leave `updatedAt` alone, which upload rollbacks compare against
+  const options = { timestamps: false };
+  await RecordModel.updateMany(unassigned, update, options);
+  await RecordAuditModel.updateMany(unassigned, update, options);
+  await UploadBatchModel.updateMany(unassigned, update, options);
+  await UploadJobModel.updateMany(unassigned, update, options);
+  await IngestionProfileModel.updateMany(
+    { ...unassigned, builtin: { $ne: true } },
+    update,
+    options
+  );
+
+  await dropIndex(RecordModel, "symbol_1_series_1_date_1");
+  await dropIndex(IngestionProfileModel, "name_1");
+};
+
+/**
+ * Remove duplicate records (same workspace, symbol, series and date),
+ * which uploads could store before the natural key was unique, keeping the
+ * most recently written one. Then build the record indexes, which the
+ * record model leaves to this function so the unique one is only built once
+ * duplicates are gone. Run after `migrateToWorkspaces`; throws when an
+ * index can't be built, as upserts rely on the unique one.
+ */
+export const dedupeRecords = async () => {
+  // Once the unique index exists there can't be duplicates
+  const unique = await RecordModel.collection
+    .indexExists(UNIQUE_RECORD_INDEX)
+    .catch(() => false);
+  if (unique) return RecordModel.createIndexes();
+
+  const duplicates = RecordModel.aggregate([
+    { $sort: { updatedAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: {
+          workspace: "$workspace",
+          symbol: "$symbol",
+          series: "$series",
+          date: "$date",
+        },
+        newest: { $first: "$_id" },
+        ids: { $push: "$_id" },
+      },
+    },
+    { $match: { "ids.1": { $exists: true } } },
+    { $project: { stale: { $setDifference: ["$ids", ["$newest"]] } } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  let stale = [];
+  let removed = 0;
+  const remove = async () => {
+    removed += (await RecordModel.deleteMany({ _id: { $in: stale } })).deletedCount;
+    stale = [];
+  };
+  for await (const group of duplicates) {
+    stale.push(...group.stale);
+    if (stale.length >= DEDUPE_BATCH_SIZE) await remove();
+  }
+  if (stale.length > 0) await remove();
+  if (removed > 0) console.log(`Removed ${removed} duplicate records`);
+
+  await RecordModel.createIndexes();
+};
+
+// Record fields copied to another workspace; ids, timestamps and the
+// upload that wrote the row stay behind
+const copiedFields = ({ _id, __v, createdAt, updatedAt, upload_id, workspace, ...record }) =>
+  record;
+
+/**
+ * Copy the records of workspace `from` matching `filter` into workspace `to`
+ * as upload `uploadId`, batch by batch, with the same conflict handling as
+ * an upload: with `onConflict: "fail"` a conflict undoes what was copied
+ * and throws a RecordConflictError. Resolves with the write counts and the
+ * number of records read.
+ */
+export const copyWorkspaceRecords = async (from, to, filter, { uploadId, onConflict }) => {
+  const summary = { inserted: 0, updated: 0, unchanged: 0, conflicting: 0 };
+  let read = 0;
+  let batch = [];
+
+  const write = async () => {
+    const result = await upsertRecords(batch, onConflict, uploadId, to);
+    Object.keys(summary).forEach((key) => {
+      summary[key] += result.summary[key];
+    });
+    batch = [];
+  };
+
+  const cursor = RecordModel.find({ ...filter, workspace: from })
+    .sort({ symbol: 1, series: 1, date: 1 })
+    .lean()
+    .cursor();
+  try {
+    for await (const record of cursor) {
+      batch.push(copiedFields(record));
+      read++;
+      if (batch.length >= COPY_BATCH_SIZE) await write();
+    }
+    if (batch.length > 0) await write();
+  } catch (error) {
+    if (error instanceof RecordConflictError) {
+      error.summary = summary;
+      error.rolledBack = await undoConflictingUpload(uploadId, to);
+    }
+    throw error;
+  }
+
+  return { read, summary };
+};